@@ -1,10 +1,111 @@
 // background.js - Professional JS Discovery Service Worker
 // Implements the proper Manifest V3 passive discovery pipeline
 
-// In-memory cache for discovered JS files per tab
-const tabJSFiles = new Map(); // tabId -> Set<url>
+import { ChunkDiscovery } from './js/background/chunk-discovery.js';
+import { ContentArchive } from './js/background/content-archive.js';
+import { DomXssScanner } from './js/background/dom-xss-scanner.js';
+import { EndpointExtractor } from './js/background/endpoint-extractor.js';
+import { EndpointStore } from './js/background/endpoint-store.js';
+import { FileWriteQueue } from './js/background/file-write-queue.js';
+import { FindingsStore } from './js/background/findings-store.js';
+import { IntegrationDispatcher } from './js/background/integration-dispatcher.js';
+import { LibraryFingerprinter } from './js/background/library-fingerprinter.js';
+import { PageSecurity } from './js/background/page-security.js';
+import { RecrawlScheduler } from './js/background/recrawl-scheduler.js';
+import { ResponseMetadata } from './js/background/response-metadata.js';
+import { SecretScanner } from './js/background/secret-scanner.js';
+import { SourceMapDiscovery } from './js/background/source-map-discovery.js';
+import { TabTracker } from './js/background/tab-tracker.js';
+import { WatchlistMonitor } from './js/background/watchlist-monitor.js';
+import { HashUtils } from './js/modules/hash-utils.js';
+import { ScopeManager } from './js/modules/scope-manager.js';
+import { StorageManager } from './js/modules/storage.js';
+import { StorageMigrations } from './js/modules/storage-migrations.js';
+import './inline-script-types.js';
+
+// In-memory cache for discovered JS files; scripts per tab are kept by TabTracker
 const globalJSFiles = new Map(); // domain -> Set<url>
-const urlHashes = new Map(); // url -> SHA-256 hash for deduplication
+const quarantinedURLs = new Set(); // Out-of-scope URLs already quarantined
+
+const MAX_QUARANTINED = 500;
+
+// Execution context a script runs in
+const CONTEXTS = {
+  PAGE: 'page',
+  WORKER: 'worker', // Dedicated and shared workers
+  SERVICE_WORKER: 'service_worker'
+};
+
+// What loaded a script, as reported by the content script (most specific last)
+const INITIATORS = {
+  DOCUMENT: 'document', // Parsed from the page's HTML
+  IMPORT_MAP: 'importmap', // Mapped by an import map
+  PRELOAD: 'preload', // <link rel="preload" as="script">
+  MODULE_PRELOAD: 'modulepreload',
+  INLINE: 'inline', // Inserted by inline code of the page
+  SCRIPT: 'script' // Inserted by another script
+};
+const recordedInitiators = new Map(); // url -> last loadedBy written, to skip repeated reports
+
+// Sources that name scripts without a page loading them; they never count towards a tab's badge
+const UNCOUNTED_SOURCES = new Set(['chunk_manifest', 'recrawl']);
+
+// Inline <script> types collected, shared with content.js
+const INLINE_SCRIPT_TYPES = globalThis.BUGSNIFFER_INLINE_SCRIPT_TYPES;
+
+let scopePromise = null; // Compiled engagement scope, reloaded when it changes
+let aliasesPromise = null; // Merged hostname -> domain, reloaded when it changes
+let quarantineQueue = Promise.resolve(); // Serializes quarantine writes
+
+// Upgrade stored data before anything is read or written, then open the active workspace
+const storageReady = StorageMigrations.run()
+  .catch(error => {
+    console.error('❌ Storage migration failed:', error);
+  })
+  .then(() => StorageManager.ready());
+
+// The service worker is suspended when idle: rebuild the in-memory indexes from storage on every start
+let indexesReady = storageReady.then(rehydrateIndexes).catch(error => {
+  console.error('❌ Failed to rebuild file indexes:', error);
+});
+
+async function rehydrateIndexes() {
+  const [keys, quarantined] = await Promise.all([
+    StorageManager.getJSFileKeys(),
+    StorageManager.getQuarantine()
+  ]);
+  
+  keys.forEach(({ domain, url }) => {
+    if (!globalJSFiles.has(domain)) {
+      globalJSFiles.set(domain, new Set());
+    }
+    globalJSFiles.get(domain).add(url);
+  });
+  quarantined.forEach(file => quarantinedURLs.add(file.url));
+}
+
+// Finish writes for the current workspace, then point storage and the in-memory state at another one
+async function switchWorkspace(id) {
+  const workspaces = await StorageManager.getWorkspaces();
+  if (!workspaces.some(workspace => workspace.id === id)) {
+    throw new Error(`Unknown workspace: ${id}`);
+  }
+  
+  await storageReady;
+  await FileWriteQueue.flushAll();
+  await quarantineQueue;
+  await StorageManager.setActiveWorkspace(id);
+  
+  TabTracker.clear();
+  WatchlistMonitor.clear();
+  globalJSFiles.clear();
+  recordedInitiators.clear();
+  quarantinedURLs.clear();
+  scopePromise = null;
+  aliasesPromise = null;
+  await rehydrateIndexes();
+  await RecrawlScheduler.schedule();
+}
 
 // Initialize extension on startup
 chrome.runtime.onStartup.addListener(() => {
@@ -29,39 +130,109 @@ initializeExtension();
 
 // === CORE DISCOVERY PIPELINE ===
 
-// 1. Network-level script discovery - catches ALL script requests
+// 1. Network-level script discovery - catches ALL script requests, including worker code
 chrome.webRequest.onBeforeRequest.addListener(
   (details) => {
     // Only process script requests
-    if (details.type === 'script') {
-      storeJS(details.url, details.tabId, 'network');
+    const context = getRequestContext(details);
+    if (context) {
+      storeJS(details.url, details.tabId, 'network', {
+        context,
+        frame: getRequestFrame(details),
+        initiatorOrigin: details.initiator || null
+      });
     }
   },
   { urls: ['<all_urls>'] },
   [] // No extra info needed for onBeforeRequest
 );
 
-// 2. Navigation-based discovery - catches dynamic imports and SPA changes
+// Response metadata of script requests (status, caching, CORS and SourceMap headers)
+chrome.webRequest.onCompleted.addListener(
+  (details) => {
+    if (getRequestContext(details)) {
+      recordScriptResponse(details.url, ResponseMetadata.fromRequest(details));
+    }
+  },
+  { urls: ['<all_urls>'] },
+  ['responseHeaders']
+);
+
+// CSPs delivered with documents; <meta> policies are reported by the content script
+chrome.webRequest.onHeadersReceived.addListener(
+  (details) => {
+    if (details.type === 'main_frame' || details.type === 'sub_frame') {
+      const policy = ResponseMetadata.getHeader(details.responseHeaders, PageSecurity.POLICY_HEADER) || '';
+      recordPolicyFindings(details.url, policy, PageSecurity.DELIVERY.HEADER);
+    }
+  },
+  { urls: ['<all_urls>'] },
+  ['responseHeaders']
+);
+
+// Classify a request as script code and the context it will run in; null for anything else
+function getRequestContext(details) {
+  // Our own archive fetches and other extensions
+  if (details.initiator?.startsWith('chrome-extension://')) return null;
+  
+  // Requests without a tab come from service workers (their importScripts and update checks)
+  const fromServiceWorker = details.tabId === -1;
+  if (details.type === 'script') {
+    return fromServiceWorker ? CONTEXTS.SERVICE_WORKER : CONTEXTS.PAGE;
+  }
+  
+  // Worker and service worker main scripts are requested with type "other"
+  if (details.type === 'other' && /\.m?js$/i.test(getPathname(details.url))) {
+    return fromServiceWorker ? CONTEXTS.SERVICE_WORKER : CONTEXTS.WORKER;
+  }
+  return null;
+}
+
+// Frame that loaded a request; service worker requests belong to no frame
+function getRequestFrame(details) {
+  const url = details.documentUrl || details.initiator;
+  if (details.tabId === -1 || !url) return null;
+  return { url, top: details.frameId === 0 };
+}
+
+// Validate an initiator reported by the content script
+function getLoadedBy(initiator) {
+  if (!Object.values(INITIATORS).includes(initiator?.type)) return null;
+  if (typeof initiator.url !== 'string' || !initiator.url.startsWith('http')) return null;
+  
+  const loadedBy = { type: initiator.type, url: initiator.url };
+  if (typeof initiator.specifier === 'string') {
+    loadedBy.specifier = initiator.specifier;
+  }
+  return loadedBy;
+}
+
+// Frame a content script message came from
+function getSenderFrame(sender) {
+  return sender.url ? { url: sender.url, top: sender.frameId === 0 } : null;
+}
+
+// 2. Navigation-based discovery - catches dynamic imports and SPA changes, in every frame
 chrome.webNavigation.onCommitted.addListener(
   ({ tabId, url, frameId }) => {
-    // Only process main frame navigations
+    // A new top-level page starts a fresh tab cache; subframe navigations keep it
     if (frameId === 0) {
-      // Clear previous tab cache for new navigation
-      tabJSFiles.delete(tabId);
-      
-      // Inject script to find dynamic and inline scripts
-      chrome.scripting.executeScript({
-        target: { tabId },
-        func: findInlineAndDynamicScripts
-      }).catch(err => {
-        console.warn('⚠️ Could not inject discovery script:', err.message);
-      });
+      TabTracker.ready().then(() => TabTracker.reset(tabId));
     }
+    
+    // Inject script to find dynamic and inline scripts
+    chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frameId] },
+      func: findInlineAndDynamicScripts,
+      args: [INLINE_SCRIPT_TYPES]
+    }).catch(err => {
+      console.warn(`⚠️ Could not inject discovery script into ${url}:`, err.message);
+    });
   }
 );
 
 // Function injected into page context to find scripts
-function findInlineAndDynamicScripts() {
+function findInlineAndDynamicScripts(inlineScriptTypes) {
   // Find all script elements with src attributes (including dynamically added)
   const scriptSrcs = [...document.querySelectorAll('script[src]')]
     .map(s => s.src)
@@ -96,10 +267,117 @@ function findInlineAndDynamicScripts() {
       source: 'dom_injection'
     });
   }
+  
+  // Inline <script> blocks present so far (content.js also reports event handlers and javascript: URLs)
+  const inlineScripts = [...document.querySelectorAll('script')]
+    .map((script, index) => ({ script, position: index + 1 }))
+    .filter(({ script }) => !script.src &&
+      inlineScriptTypes.includes(script.type.trim().toLowerCase()) &&
+      script.textContent.trim() && script.textContent.length <= 1024 * 1024)
+    .map(({ script, position }) => ({
+      kind: 'script',
+      content: script.textContent,
+      position,
+      element: script.id ? `script#${script.id}` : 'script'
+    }));
+  
+  if (inlineScripts.length > 0) {
+    chrome.runtime.sendMessage({
+      type: 'DISCOVERED_INLINE',
+      pageUrl: location.href,
+      scripts: inlineScripts
+    });
+  }
+  
+  // Service workers registered for this origin, even if not fetched during this visit
+  navigator.serviceWorker?.getRegistrations().then(registrations => {
+    const workerUrls = registrations
+      .flatMap(registration => [registration.active, registration.waiting, registration.installing])
+      .filter(Boolean)
+      .map(worker => worker.scriptURL);
+    
+    if (workerUrls.length > 0) {
+      chrome.runtime.sendMessage({
+        type: 'DISCOVERED_SCRIPTS',
+        urls: [...new Set(workerUrls)],
+        source: 'sw_registration',
+        context: 'service_worker'
+      });
+    }
+  }).catch(() => {});
+}
+
+// === SCOPE ===
+
+// Load and compile the engagement scope once; storage changes invalidate it
+function loadScope() {
+  if (!scopePromise) {
+    scopePromise = StorageManager.getScope().then(scope => ScopeManager.compile(scope));
+  }
+  return scopePromise;
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  
+  if (StorageManager.scopedKey(StorageManager.SCOPE_KEY) in changes) {
+    scopePromise = null;
+  }
+  if (StorageManager.scopedKey(StorageManager.DOMAIN_ALIASES_KEY) in changes) {
+    aliasesPromise = null;
+  }
+  if (StorageManager.INTEGRATION_KEY in changes) {
+    IntegrationDispatcher.invalidate();
+  }
+  if (StorageManager.scopedKey(StorageManager.WATCHLIST_KEY) in changes) {
+    WatchlistMonitor.invalidate();
+  }
+  if (StorageManager.scopedKey(StorageManager.RECRAWL_KEY) in changes) {
+    RecrawlScheduler.schedule();
+  }
+  const quarantineKey = StorageManager.scopedKey(StorageManager.QUARANTINE_KEY);
+  if (quarantineKey in changes && !changes[quarantineKey].newValue) {
+    quarantinedURLs.clear();
+  }
+});
+
+// Load merged-domain aliases once; storage changes invalidate them
+function loadAliases() {
+  if (!aliasesPromise) {
+    aliasesPromise = StorageManager.getDomainAliases();
+  }
+  return aliasesPromise;
+}
+
+// Keep an out-of-scope script in the quarantine bucket instead of the domain lists
+function quarantineJS(url, domain, tabId, source) {
+  if (quarantinedURLs.has(url)) return;
+  quarantinedURLs.add(url);
+  
+  const fileObj = {
+    url: url,
+    domain: domain,
+    discoveredAt: Date.now(),
+    source: source,
+    tabId: tabId,
+    filename: getFilename(url)
+  };
+  quarantineQueue = quarantineQueue
+    .then(() => StorageManager.addQuarantined(fileObj, MAX_QUARANTINED))
+    .catch(error => console.error('❌ Failed to quarantine script:', error));
 }
 
 // Store discovered JavaScript file
-function storeJS(url, tabId, source = 'unknown') {
+// `context` is one of CONTEXTS; `frame` is the {url, top} of the frame that loaded it; `inline` carries the captured body and metadata of inline code,
+// which is archived without a fetch; `loadedBy` is the {type, url, specifier?} of what loaded it (type is one of INITIATORS) and
+// `initiatorOrigin` the origin webRequest reports for it
+async function storeJS(url, tabId, source = 'unknown', {
+  context = CONTEXTS.PAGE,
+  frame = null,
+  inline = null,
+  loadedBy = null,
+  initiatorOrigin = null
+} = {}) {
   // Validate URL
   if (!url || !url.startsWith('http')) {
     return;
@@ -110,14 +388,24 @@ function storeJS(url, tabId, source = 'unknown') {
     return;
   }
   
-  const domain = getDomain(url);
-  if (!domain) return;
+  const hostname = getDomain(url);
+  if (!hostname) return;
+  
+  // Wait for the active workspace and its indexes (service worker start or workspace switch) and the tab state
+  await indexesReady;
+  await TabTracker.ready();
   
-  // Add to tab-specific cache
-  if (!tabJSFiles.has(tabId)) {
-    tabJSFiles.set(tabId, new Set());
+  // Out-of-scope scripts are dropped or quarantined, never archived or analyzed
+  const scope = await loadScope();
+  if (ScopeManager.check(url, scope) === ScopeManager.STATUS.OUT) {
+    if (scope.outOfScope === ScopeManager.OUT_OF_SCOPE.QUARANTINE) {
+      quarantineJS(url, hostname, tabId, source);
+    }
+    return;
   }
-  tabJSFiles.get(tabId).add(url);
+  
+  // Files of merged subdomains are stored under the domain they were merged into
+  const domain = (await loadAliases())[hostname] || hostname;
   
   // Add to global domain cache
   if (!globalJSFiles.has(domain)) {
@@ -128,6 +416,20 @@ function storeJS(url, tabId, source = 'unknown') {
   const wasNew = !globalJSFiles.get(domain).has(url);
   globalJSFiles.get(domain).add(url);
   
+  // Only scripts a tab's page loaded count towards its badge: computed chunk URLs, inline entries, recrawled
+  // pages and requests without a tab (service workers) are stored without being counted
+  const countsForTab = tabId >= 0 && !inline && !UNCOUNTED_SOURCES.has(source);
+  // Tab-less sightings can't be deduplicated per page visit; recrawls and worker loads still check for redeploys
+  const newForTab = countsForTab
+    ? TabTracker.add(tabId, url, domain, wasNew)
+    : tabId < 0 && (source === 'recrawl' || context !== CONTEXTS.PAGE);
+  
+  // Network sightings carry no initiator; the content script's report for a known file replaces the last one
+  if (!wasNew && loadedBy && recordedInitiators.get(url) !== JSON.stringify(loadedBy)) {
+    recordedInitiators.set(url, JSON.stringify(loadedBy));
+    await updateJSFile(domain, url, { loadedBy });
+  }
+  
   if (wasNew) {
     // Create file object with metadata
     const fileObj = {
@@ -136,36 +438,392 @@ function storeJS(url, tabId, source = 'unknown') {
       discoveredAt: Date.now(),
       source: source,
       tabId: tabId,
-      filename: getFilename(url)
+      filename: inline ? inline.label : getFilename(url),
+      context: context
     };
+    if (frame) {
+      fileObj.frame = frame;
+    }
+    if (inline) {
+      fileObj.inline = inline.meta;
+    }
+    if (initiatorOrigin) {
+      fileObj.initiatorOrigin = initiatorOrigin;
+    }
+    if (loadedBy) {
+      fileObj.loadedBy = loadedBy;
+      recordedInitiators.set(url, JSON.stringify(loadedBy));
+    }
     
-    // Store persistently
-    saveJSFile(domain, fileObj);
+    // Store persistently, then archive the file body
+    saveJSFile(domain, fileObj).then(
+      saved => {
+        notifyNewFile(saved);
+        WatchlistMonitor.fileAdded(saved);
+        return inline ? archiveInlineScript(saved, inline.body) : archiveJSFile(saved);
+      },
+      error => {
+        // Forget the URL so its next sighting tries again
+        globalJSFiles.get(domain)?.delete(url);
+        console.error('❌ Failed to store script:', url, error);
+      }
+    );
+  } else if (inline) {
+    // Known inline entry (e.g. the page's event handlers) captured again: keep a version if it changed
+    refreshInlineScript(domain, url, inline);
+  } else if (newForTab) {
+    // A worker sighting is more specific than an earlier page sighting of the same URL
+    if (context !== CONTEXTS.PAGE) {
+      await updateJSFile(domain, url, { context });
+    }
+    // Known file loaded by a new page visit: check whether it was silently redeployed
+    refreshJSFile(domain, url);
   }
 }
 
-// === STORAGE MANAGEMENT ===
+// Domain the files and findings of a URL are stored under; null when it's out of scope
+async function resolveDomain(url) {
+  const hostname = getDomain(url);
+  if (!hostname) return null;
+  
+  await indexesReady;
+  const scope = await loadScope();
+  if (ScopeManager.check(url, scope) === ScopeManager.STATUS.OUT) return null;
+  return (await loadAliases())[hostname] || hostname;
+}
 
-// Store JS file info per domain with deduplication
-function saveJSFile(domain, fileObj) {
-  chrome.storage.local.get([domain], (data) => {
-    let entry = data[domain] || { files: [], lastCrawl: null };
-    
-    // Remove any previous entry for this URL (deduplication)
-    entry.files = entry.files.filter(f => f.url !== fileObj.url);
-    
-    // Add new entry
-    entry.files.push(fileObj);
-    entry.lastCrawl = Date.now();
+// Attach the latest response metadata to a stored script
+async function recordScriptResponse(url, response) {
+  const domain = await resolveDomain(url);
+  if (!domain || !globalJSFiles.get(domain)?.has(url)) return;
+  
+  await updateJSFile(domain, url, { response }).catch(error => {
+    console.warn('⚠️ Failed to record response metadata:', url, error.message);
+  });
+}
+
+// Replace a page's CSP findings from one delivery (header or <meta>)
+async function recordPolicyFindings(pageUrl, policy, delivery) {
+  const page = pageUrl.split('#')[0];
+  const domain = await resolveDomain(page);
+  if (!domain) return;
+  
+  const findings = policy ? PageSecurity.analyzePolicy(policy, page, delivery) : [];
+  await FindingsStore.replaceMatching(
+    domain,
+    finding => finding.type === 'csp' && finding.file === page && finding.delivery === delivery,
+    findings
+  );
+}
+
+// Record the SRI attributes of a page's script elements and flag third-party scripts without integrity
+async function recordPageSecurity(pageUrl, scripts, policies) {
+  const page = pageUrl.split('#')[0];
+  const domain = await resolveDomain(page);
+  if (!domain) return;
+  
+  for (const script of scripts) {
+    const scriptDomain = await resolveDomain(script.url);
+    if (!scriptDomain || !globalJSFiles.get(scriptDomain)?.has(script.url)) continue;
     
-    // Keep only last 100 files per domain to prevent storage bloat
-    if (entry.files.length > 100) {
-      entry.files = entry.files.slice(-100);
+    updateJSFile(scriptDomain, script.url, {
+      scriptElement: { integrity: script.integrity, crossorigin: script.crossorigin, pageUrl: page }
+    }).catch(error => {
+      console.warn('⚠️ Failed to record script attributes:', script.url, error.message);
+    });
+  }
+  
+  await FindingsStore.replaceForFile(domain, page, 'sri', PageSecurity.checkIntegrity(page, scripts));
+  await recordPolicyFindings(page, policies.join(', '), PageSecurity.DELIVERY.META);
+}
+
+// Fetch and archive the body of a stored JS file
+// Already archived files are revalidated once REFRESH_INTERVAL has passed, keeping changed bodies as versions
+async function archiveJSFile(fileObj) {
+  if (fileObj.inline) return;
+  
+  const archived = fileObj.fetch?.status === ContentArchive.STATUS.OK;
+  if (archived && Date.now() - fileObj.fetch.fetchedAt < ContentArchive.REFRESH_INTERVAL) {
+    return;
+  }
+  
+  const result = await ContentArchive.archive(fileObj, { revalidate: archived });
+  await updateJSFile(fileObj.domain, fileObj.url, { fetch: result.meta });
+  if (result.content && result.meta.changed) {
+    WatchlistMonitor.fileChanged(fileObj, result.meta);
+  }
+  
+  if (result.content) {
+    await analyzeContent(fileObj, result.content, result.headers);
+  }
+}
+
+// Archive the captured body of inline code and analyze it
+async function archiveInlineScript(fileObj, body) {
+  const result = await ContentArchive.archiveInline(fileObj, body);
+  await updateJSFile(fileObj.domain, fileObj.url, { fetch: result.meta });
+  
+  if (result.content) {
+    await analyzeContent(fileObj, result.content);
+  }
+}
+
+// Re-archive a stored inline entry when its captured body hash changed
+async function refreshInlineScript(domain, url, inline) {
+  const fileObj = await StorageManager.getJSFileRecord(domain, url);
+  if (fileObj && fileObj.fetch?.sha256 !== inline.meta.sha256) {
+    await archiveInlineScript({ ...fileObj, domain, inline: inline.meta }, inline.body);
+  }
+}
+
+// Store inline code reported by a page: each <script> block becomes its own entry,
+// event handler attributes and javascript: URLs are combined into one entry per page
+async function storeInlineScripts(pageUrl, tabId, scripts, frame = null) {
+  const page = pageUrl.split('#')[0];
+  
+  for (const script of scripts.filter(s => s.kind === 'script')) {
+    const sha256 = await HashUtils.sha256(script.content);
+    storeJS(`${page}#bugsniffer-inline-${sha256.slice(0, 16)}`, tabId, 'inline', {
+      frame,
+      loadedBy: { type: INITIATORS.DOCUMENT, url: page },
+      inline: {
+        body: script.content,
+        label: `inline script #${script.position}`,
+        meta: { kind: 'script', pageUrl: page, position: script.position, element: script.element, sha256 }
+      }
+    });
+  }
+  
+  const handlers = scripts.filter(s => s.kind === 'handler' || s.kind === 'href');
+  if (handlers.length > 0) {
+    const body = handlers
+      .map(h => `// ${h.element} ${h.attribute} (#${h.position})\n${h.content}`)
+      .join('\n\n');
+    const sha256 = await HashUtils.sha256(body);
+    storeJS(`${page}#bugsniffer-inline-handlers`, tabId, 'inline', {
+      frame,
+      loadedBy: { type: INITIATORS.DOCUMENT, url: page },
+      inline: {
+        body,
+        label: `inline handlers (${handlers.length})`,
+        meta: { kind: 'handlers', pageUrl: page, count: handlers.length, sha256 }
+      }
+    });
+  }
+}
+
+// Re-archive a stored file if its body may have changed
+async function refreshJSFile(domain, url) {
+  const fileObj = await StorageManager.getJSFileRecord(domain, url);
+  if (fileObj) {
+    await archiveJSFile({ ...fileObj, domain });
+  }
+}
+
+// === CONTENT ANALYSIS ===
+
+// Run every analyzer over an archived file body
+async function analyzeContent(fileObj, content, headers = {}) {
+  const secrets = SecretScanner.scan(content.body, fileObj.url);
+  await FindingsStore.replaceForFile(fileObj.domain, fileObj.url, 'secret', secrets);
+  
+  const sinks = DomXssScanner.scan(content.body, fileObj.url);
+  await FindingsStore.replaceForFile(fileObj.domain, fileObj.url, 'domxss', sinks);
+  
+  const endpoints = EndpointExtractor.extract(content.body);
+  await EndpointStore.replaceForFile(fileObj.domain, fileObj.url, endpoints);
+  
+  // Known libraries and the advisories affecting their versions
+  const libraries = await LibraryFingerprinter.identify(fileObj.url, content.body, content.sha256);
+  if (libraries.length || fileObj.libraries?.length) {
+    await updateJSFile(fileObj.domain, fileObj.url, { libraries });
+  }
+  
+  // Lazily loaded chunks the page hasn't requested yet
+  ChunkDiscovery.discover(content.body, fileObj.url)
+    .forEach(url => storeJS(url, fileObj.tabId, 'chunk_manifest', {
+      context: fileObj.context,
+      frame: fileObj.frame
+    }));
+  
+  // Inline code has no URL of its own to resolve a source map against;
+  // a redeployed body comes with its own map, so the one found for an older body is replaced
+  if (!fileObj.inline && fileObj.sourceMap?.sha256 !== content.sha256) {
+    await discoverSourceMap(fileObj, content, headers);
+  }
+}
+
+// Look for an exposed source map and store the rebuilt source tree
+async function discoverSourceMap(fileObj, content, headers) {
+  const sourceMap = await SourceMapDiscovery.discover(fileObj.url, content.body, headers);
+  if (!sourceMap) {
+    if (fileObj.sourceMap) {
+      await StorageManager.removeSourceMaps([fileObj.url]);
+      await updateJSFile(fileObj.domain, fileObj.url, { sourceMap: null });
+      await FindingsStore.replaceForFile(fileObj.domain, fileObj.url, 'sourcemap', []);
+    }
+    return;
+  }
+  
+  await StorageManager.setSourceMap(sourceMap);
+  await updateJSFile(fileObj.domain, fileObj.url, {
+    sourceMap: {
+      url: sourceMap.mapUrl,
+      foundVia: sourceMap.foundVia,
+      sourceCount: sourceMap.sourceCount,
+      withContent: sourceMap.withContent,
+      sha256: content.sha256 // Body the map was found for
     }
+  });
+  
+  await FindingsStore.replaceForFile(fileObj.domain, fileObj.url, 'sourcemap', [{
+    id: `sourcemap|${fileObj.url}`,
+    type: 'sourcemap',
+    ruleId: 'exposed-source-map',
+    rule: 'Exposed Source Map',
+    severity: sourceMap.withContent > 0 ? 'medium' : 'low',
+    value: sourceMap.mapUrl,
+    file: fileObj.url,
+    line: 1,
+    column: 1,
+    context: `${sourceMap.sourceCount} original sources (${sourceMap.withContent} with content), found via ${sourceMap.foundVia}`,
+    foundAt: Date.now()
+  }]);
+}
+
+// Re-run analyzers over every archived file of a domain
+async function analyzeDomain(domain) {
+  const files = await StorageManager.getJSFileRecords(domain);
+  let analyzed = 0;
+  
+  for (const file of files) {
+    const content = await StorageManager.getContent(file.url);
+    if (!content) continue;
     
-    // Save to storage
-    chrome.storage.local.set({ [domain]: entry });
+    await analyzeContent({ ...file, domain }, content);
+    analyzed++;
+  }
+  
+  return analyzed;
+}
+
+// === STORAGE MANAGEMENT ===
+
+// Store JS file info per domain with deduplication
+// Resolves with the saved file object (archive state carried over from any previous entry) once persisted
+async function saveJSFile(domain, fileObj) {
+  await storageReady;
+  return FileWriteQueue.save(domain, {
+    ...fileObj,
+    fetch: { status: ContentArchive.STATUS.PENDING, attempts: 0 }
+  });
+}
+
+// Merge a patch into a stored file object; queued behind any pending save of the same file
+async function updateJSFile(domain, url, patch) {
+  await storageReady;
+  return FileWriteQueue.update(domain, url, patch);
+}
+
+// Merge several domains' files, findings and endpoints into one and route their future files there
+async function mergeDomains(domains, target) {
+  const sources = domains.filter(domain => domain !== target);
+  const allDomains = [target, ...sources];
+  await storageReady;
+  await Promise.all(allDomains.map(domain => FileWriteQueue.flush(domain)));
+  const infos = await Promise.all(allDomains.map(domain => StorageManager.getDomainInfo(domain)));
+  const records = await Promise.all(allDomains.map(domain => StorageManager.getJSFileRecords(domain)));
+  
+  // Deduplicate by URL, keeping the most recently discovered record
+  const files = new Map();
+  records.flat().forEach(file => {
+    const existing = files.get(file.url);
+    if (!existing || (file.discoveredAt || 0) > (existing.discoveredAt || 0)) {
+      files.set(file.url, { ...file, domain: target });
+    }
   });
+  const lastCrawl = Math.max(0, ...infos.map(info => info?.lastCrawl || 0)) || null;
+  
+  await StorageManager.setJSFileRecords(target, [...files.values()], lastCrawl);
+  for (const domain of sources) {
+    await StorageManager.removeDomain(domain);
+  }
+  await FindingsStore.merge(target, sources);
+  await EndpointStore.merge(target, sources);
+  
+  // Re-point aliases of the merged domains as well
+  const aliases = await StorageManager.getDomainAliases();
+  Object.keys(aliases).forEach(alias => {
+    if (sources.includes(aliases[alias])) aliases[alias] = target;
+  });
+  sources.forEach(domain => {
+    aliases[domain] = target;
+  });
+  delete aliases[target];
+  await StorageManager.setDomainAliases(aliases);
+  
+  const merged = globalJSFiles.get(target) || new Set();
+  sources.forEach(domain => {
+    (globalJSFiles.get(domain) || []).forEach(url => merged.add(url));
+    globalJSFiles.delete(domain);
+  });
+  globalJSFiles.set(target, merged);
+  
+  return files.size;
+}
+
+// === INTEGRATIONS ===
+
+// Stream newly stored files to the configured local tool
+function notifyNewFile(fileObj) {
+  const { url, domain, source, context, frame, filename, discoveredAt } = fileObj;
+  IntegrationDispatcher.enqueue(IntegrationDispatcher.EVENTS.FILE, {
+    workspace: StorageManager.workspaceId,
+    file: { url, domain, source, context, frame, filename, discoveredAt, inline: Boolean(fileObj.inline) }
+  });
+}
+
+// Stream findings the store hadn't seen before (rescans of unchanged files add none)
+FindingsStore.onAdded((domain, findings) => {
+  findings.forEach(finding => IntegrationDispatcher.enqueue(IntegrationDispatcher.EVENTS.FINDING, {
+    workspace: StorageManager.workspaceId,
+    domain,
+    finding
+  }));
+});
+
+// === WATCHLIST ===
+
+// Watchlist notifications open the changed file's diff or the domain on the dashboard
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const url = WatchlistMonitor.getTargetUrl(notificationId);
+  if (!url) return;
+  chrome.tabs.create({ url });
+  chrome.notifications.clear(notificationId);
+});
+
+// === RECRAWL ===
+
+// Keep the alarm in line with the active workspace's recrawl settings
+storageReady.then(() => RecrawlScheduler.schedule()).catch(error => {
+  console.error('❌ Failed to schedule recrawl:', error);
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RecrawlScheduler.ALARM_NAME) {
+    runRecrawl();
+  }
+});
+
+// Revisit every seed page of the active workspace
+async function runRecrawl() {
+  await storageReady;
+  return RecrawlScheduler.run(storeRecrawledScripts);
+}
+
+// Scripts of a recrawled page belong to no tab
+async function storeRecrawledScripts(scripts) {
+  await Promise.all(scripts.map(({ url, loadedBy }) => storeJS(url, -1, 'recrawl', { loadedBy })));
 }
 
 // === UTILITY FUNCTIONS ===
@@ -178,6 +836,14 @@ function getDomain(url) {
   }
 }
 
+function getPathname(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return '';
+  }
+}
+
 function getFilename(url) {
   try {
     const pathname = new URL(url).pathname;
@@ -187,22 +853,6 @@ function getFilename(url) {
   }
 }
 
-// Generate SHA-256 hash for URL (for advanced deduplication)
-async function hashURL(url) {
-  if (urlHashes.has(url)) {
-    return urlHashes.get(url);
-  }
-  
-  const encoder = new TextEncoder();
-  const data = encoder.encode(url);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  const hash = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  
-  urlHashes.set(url, hash);
-  return hash;
-}
-
 // === MESSAGE HANDLING ===
 
 // Handle messages from popup and content scripts
@@ -210,15 +860,133 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.type === 'GET_JS_FILES') {
     // Popup requesting current JS files for a domain
     const domain = msg.domain;
-    chrome.storage.local.get([domain], (data) => {
-      const entry = data[domain] || { files: [] };
-      sendResponse({ 
-        success: true, 
-        files: entry.files,
-        count: entry.files.length,
+    StorageManager.getJSFileRecords(domain)
+      .then(files => sendResponse({
+        success: true,
+        files: files,
+        count: files.length,
         domain: domain
-      });
-    });
+      }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (msg.type === 'GET_TAB_FILES') {
+    // Popup requesting the files the tab's current page loaded
+    TabTracker.ready()
+      .then(() => {
+        const { files, newUrls } = TabTracker.get(msg.tabId);
+        return Promise.all(files.map(file => StorageManager.getJSFileRecord(file.domain, file.url)))
+          .then(records => records.filter(Boolean))
+          .then(records => sendResponse({ success: true, files: records, count: records.length, newUrls }));
+      })
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (msg.type === 'ACKNOWLEDGE_TAB') {
+    // Popup opened: the tab's new files have been seen, reset the badge colour
+    TabTracker.ready()
+      .then(() => TabTracker.acknowledge(msg.tabId))
+      .then(() => sendResponse({ success: true }));
+    return true;
+  }
+  
+  if (msg.type === 'GET_JS_CONTENTS') {
+    // Popup requesting archived file bodies for a single URL or a whole domain
+    const urlsPromise = msg.url
+      ? Promise.resolve([msg.url])
+      : StorageManager.getJSFiles(msg.domain);
+    
+    urlsPromise
+      .then(urls => Promise.all(urls.map(url => StorageManager.getContent(url))))
+      .then(contents => {
+        const archived = contents.filter(Boolean);
+        sendResponse({
+          success: true,
+          contents: archived,
+          count: archived.length,
+          domain: msg.domain || getDomain(msg.url)
+        });
+      })
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (msg.type === 'SCAN_DOMAIN') {
+    // Popup requesting a rescan of all archived files for a domain
+    analyzeDomain(msg.domain)
+      .then(analyzed => StorageManager.getFindings(msg.domain).then(findings => {
+        sendResponse({ success: true, analyzed, findings });
+      }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (msg.type === 'MERGE_DOMAINS') {
+    // Dashboard merging subdomains into one domain
+    mergeDomains(msg.domains, msg.target)
+      .then(count => sendResponse({ success: true, count, domain: msg.target }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (msg.type === 'SWITCH_WORKSPACE') {
+    // Popup or dashboard switching workspaces; discovery waits until the switch is done
+    const switched = indexesReady.then(() => switchWorkspace(msg.id));
+    indexesReady = switched.catch(() => {});
+    switched
+      .then(() => sendResponse({ success: true, id: msg.id }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (msg.type === 'TEST_INTEGRATION') {
+    // Integrations page checking the (unsaved) settings it shows
+    StorageManager.getIntegration()
+      .then(saved => IntegrationDispatcher.test({ ...saved, ...msg.settings }))
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (msg.type === 'RUN_RECRAWL') {
+    // Recrawl page running the seeds now instead of waiting for the alarm
+    runRecrawl()
+      .then(status => sendResponse({ success: true, status }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (msg.type === 'DISCOVERED_INLINE') {
+    // Content script reporting inline scripts, event handlers and javascript: URLs
+    const { scripts } = msg;
+    const tabId = sender.tab?.id;
+    const pageUrl = msg.pageUrl || sender.url;
+    
+    if (Array.isArray(scripts) && tabId && pageUrl) {
+      storeInlineScripts(pageUrl, tabId, scripts, getSenderFrame(sender));
+      sendResponse({ success: true, processed: scripts.length });
+    }
+    return true;
+  }
+  
+  if (msg.type === 'PAGE_SECURITY') {
+    // Content script reporting script element attributes and <meta> CSPs
+    const pageUrl = msg.pageUrl || sender.url;
+    
+    if (pageUrl && Array.isArray(msg.scripts)) {
+      const scripts = msg.scripts
+        .filter(script => typeof script?.url === 'string' && script.url.startsWith('http'))
+        .map(script => ({
+          url: script.url,
+          integrity: script.integrity || null,
+          crossorigin: script.crossorigin ?? null
+        }));
+      const policies = Array.isArray(msg.policies) ? msg.policies.filter(policy => typeof policy === 'string') : [];
+      recordPageSecurity(pageUrl, scripts, policies);
+      sendResponse({ success: true, processed: scripts.length });
+    }
     return true;
   }
   
@@ -226,9 +994,12 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     // Content script reporting discovered scripts
     const { urls, source } = msg;
     const tabId = sender.tab?.id;
+    const context = Object.values(CONTEXTS).includes(msg.context) ? msg.context : CONTEXTS.PAGE;
     
     if (urls && Array.isArray(urls) && tabId) {
-      urls.forEach(url => storeJS(url, tabId, source));
+      const frame = getSenderFrame(sender);
+      const initiators = msg.initiators && typeof msg.initiators === 'object' ? msg.initiators : {};
+      urls.forEach(url => storeJS(url, tabId, source, { context, frame, loadedBy: getLoadedBy(initiators[url]) }));
       sendResponse({ success: true, processed: urls.length });
     }
     return true;
@@ -237,10 +1008,24 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.type === 'CLEAR_DOMAIN') {
     // Clear all JS files for a domain
     const domain = msg.domain;
-    chrome.storage.local.remove([domain], () => {
-      globalJSFiles.delete(domain);
-      sendResponse({ success: true });
-    });
+    FileWriteQueue.flush(domain)
+      .then(() => StorageManager.getJSFiles(domain))
+      .then(urls => {
+        urls.forEach(url => recordedInitiators.delete(url));
+        return Promise.all([
+          StorageManager.removeContents(urls),
+          StorageManager.removeVersions(urls),
+          StorageManager.removeSourceMaps(urls)
+        ]);
+      })
+      .then(() => FindingsStore.clear(domain))
+      .then(() => EndpointStore.clear(domain))
+      .then(() => StorageManager.removeDomain(domain))
+      .then(() => {
+        globalJSFiles.delete(domain);
+        sendResponse({ success: true });
+      })
+      .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   }
 });
@@ -249,7 +1034,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
 // Clean up tab cache when tabs are closed
 chrome.tabs.onRemoved.addListener((tabId) => {
-  tabJSFiles.delete(tabId);
+  TabTracker.ready().then(() => TabTracker.remove(tabId));
 });
 
 // === DEBUGGING ===
@@ -258,10 +1043,7 @@ chrome.tabs.onRemoved.addListener((tabId) => {
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.type === 'DEBUG_STATS') {
     sendResponse({
-      tabCaches: Array.from(tabJSFiles.entries()).map(([tabId, urls]) => ({
-        tabId,
-        urlCount: urls.size
-      })),
+      tabCaches: TabTracker.getStats(),
       globalDomains: Array.from(globalJSFiles.entries()).map(([domain, urls]) => ({
         domain,
         urlCount: urls.size
@@ -8,6 +8,41 @@ window.bugSnifferContentLoaded = true;
   // Get current domain immediately
   const domain = window.location.hostname;
   
+  // Inline code capture
+  const MAX_INLINE_SIZE = 1024 * 1024; // Skip inline blocks larger than 1 MB
+  const INLINE_SCRIPT_TYPES = new Set(globalThis.BUGSNIFFER_INLINE_SCRIPT_TYPES); // From inline-script-types.js
+  const EMPTY_JS_URL = /^\s*(?:void\s*\(?\s*0\s*\)?)?\s*;?\s*$/i; // javascript:void(0) and friends
+  let lastInlineSignature = '';
+  let lastSecuritySignature = '';
+  
+  // What loaded each script; page-hook.js reports scripts inserted by other scripts
+  const INITIATOR_PRIORITY = ['document', 'importmap', 'preload', 'modulepreload', 'inline', 'script']; // Most specific last
+  const insertedScripts = new Map(); // Inserted script URL -> {type, url} of what inserted it
+  
+  document.addEventListener('bugsniffer:initiator', event => {
+    recordInserted([parseDetail(event.detail)]);
+  });
+  document.addEventListener('bugsniffer:initiators', event => {
+    recordInserted(parseDetail(event.detail) || []);
+  });
+  document.dispatchEvent(new CustomEvent('bugsniffer:initiators-request'));
+  
+  function parseDetail(detail) {
+    try {
+      return typeof detail === 'string' ? JSON.parse(detail) : null;
+    } catch {
+      return null;
+    }
+  }
+  
+  function recordInserted(entries) {
+    entries.forEach(entry => {
+      if (entry && typeof entry.src === 'string' && typeof entry.type === 'string' && typeof entry.url === 'string') {
+        insertedScripts.set(entry.src, { type: entry.type, url: entry.url });
+      }
+    });
+  }
+  
   // Check if extension is enabled (with fallback)
   function checkEnabledAndRun() {
     chrome.storage.local.get(['bugsniffer_enabled'], data => {
@@ -18,6 +53,34 @@ window.bugSnifferContentLoaded = true;
       
       // Otherwise run (default to enabled)
       runSupplementaryDetection();
+      reportServiceWorkers();
+    });
+  }
+  
+  // Service workers registered for this origin, including ones not fetched during this visit
+  function reportServiceWorkers() {
+    if (!navigator.serviceWorker) return;
+    
+    navigator.serviceWorker.getRegistrations().then(registrations => {
+      const urls = new Set();
+      registrations.forEach(registration => {
+        [registration.active, registration.waiting, registration.installing]
+          .filter(Boolean)
+          .forEach(worker => urls.add(worker.scriptURL));
+      });
+      
+      if (urls.size > 0) {
+        chrome.runtime.sendMessage({
+          type: 'DISCOVERED_SCRIPTS',
+          urls: Array.from(urls),
+          source: 'sw_registration',
+          context: 'service_worker'
+        }).catch(err => {
+          console.warn('Failed to send service workers to service worker:', err);
+        });
+      }
+    }).catch(() => {
+      // Registrations are unavailable in sandboxed and opaque-origin documents
     });
   }
   
@@ -45,6 +108,16 @@ window.bugSnifferContentLoaded = true;
     }
 
     const urls = new Set();
+    const page = window.location.href.split('#')[0];
+    const initiators = {};
+    
+    // Keep the most specific initiator seen for a script
+    function setInitiator(url, initiator) {
+      const current = initiators[url];
+      if (!current || INITIATOR_PRIORITY.indexOf(initiator.type) > INITIATOR_PRIORITY.indexOf(current.type)) {
+        initiators[url] = initiator;
+      }
+    }
 
     // Find any scripts that might have been loaded dynamically after service worker
     document.querySelectorAll('script[src]').forEach(script => {
@@ -52,6 +125,15 @@ window.bugSnifferContentLoaded = true;
       if (src && isJsLike(src)) {
         urls.add(src);
       }
+      if (src) {
+        setInitiator(src, insertedScripts.get(src) || { type: 'document', url: page });
+      }
+    });
+
+    // Scripts inserted by other scripts, including ones removed again after loading
+    insertedScripts.forEach((initiator, src) => {
+      urls.add(src);
+      setInitiator(src, initiator);
     });
 
     // Look for module preloads and script preloads
@@ -60,6 +142,15 @@ window.bugSnifferContentLoaded = true;
       if (href && isJsLike(href)) {
         urls.add(href);
       }
+      if (href) {
+        setInitiator(href, { type: link.rel === 'modulepreload' ? 'modulepreload' : 'preload', url: page });
+      }
+    });
+
+    // Modules mapped by import maps
+    collectImportMapEntries().forEach(({ url, specifier }) => {
+      urls.add(url);
+      setInitiator(url, { type: 'importmap', url: page, specifier });
     });
 
     // Send any supplementary findings to service worker
@@ -68,11 +159,164 @@ window.bugSnifferContentLoaded = true;
       chrome.runtime.sendMessage({
         type: 'DISCOVERED_SCRIPTS',
         urls: Array.from(urls),
-        source: 'content_script'
+        source: 'content_script',
+        initiators
       }).catch(err => {
         console.warn('Failed to send supplementary scripts to service worker:', err);
       });
     }
+
+    // Send inline code only when it changed since the last report
+    const inlineScripts = collectInlineScripts();
+    const signature = inlineScripts.map(item => `${item.kind}:${item.position}:${hashString(item.content)}`).join('|');
+    if (inlineScripts.length > 0 && signature !== lastInlineSignature) {
+      lastInlineSignature = signature;
+      chrome.runtime.sendMessage({
+        type: 'DISCOVERED_INLINE',
+        pageUrl: window.location.href,
+        scripts: inlineScripts
+      }).catch(err => {
+        console.warn('Failed to send inline scripts to service worker:', err);
+      });
+    }
+
+    // Send script SRI attributes and <meta> CSPs when they changed since the last report
+    const security = collectPageSecurity();
+    const securitySignature = JSON.stringify(security);
+    if (securitySignature !== lastSecuritySignature) {
+      lastSecuritySignature = securitySignature;
+      chrome.runtime.sendMessage({
+        type: 'PAGE_SECURITY',
+        pageUrl: window.location.href,
+        ...security
+      }).catch(err => {
+        console.warn('Failed to send page security to service worker:', err);
+      });
+    }
+  }
+
+  // Module URLs of <script type="importmap"> imports and scopes; prefix mappings (ending in /) are skipped
+  function collectImportMapEntries() {
+    const entries = [];
+    document.querySelectorAll('script[type="importmap"]').forEach(script => {
+      let map;
+      try {
+        map = JSON.parse(script.textContent);
+      } catch {
+        return;
+      }
+      
+      const tables = [map?.imports, ...Object.values(map?.scopes || {})];
+      tables.filter(table => table && typeof table === 'object').forEach(table => {
+        Object.entries(table).forEach(([specifier, target]) => {
+          if (typeof target !== 'string' || target.endsWith('/')) return;
+          try {
+            const url = new URL(target, document.baseURI).href;
+            if (url.startsWith('http')) {
+              entries.push({ url, specifier });
+            }
+          } catch {
+            // Invalid addresses are ignored by the browser as well
+          }
+        });
+      });
+    });
+    return entries;
+  }
+
+  // Script elements with their integrity and crossorigin attributes, and CSPs set in <meta> tags
+  function collectPageSecurity() {
+    const scripts = [...document.querySelectorAll('script[src]')]
+      .filter(script => script.src.startsWith('http'))
+      .map(script => ({
+        url: script.src,
+        integrity: script.getAttribute('integrity'),
+        crossorigin: script.getAttribute('crossorigin')
+      }));
+
+    const policies = [...document.querySelectorAll('meta[http-equiv]')]
+      .filter(meta => meta.httpEquiv.trim().toLowerCase() === 'content-security-policy' && meta.content.trim())
+      .map(meta => meta.content);
+
+    return { scripts, policies };
+  }
+
+  // Short description of an element for locating captured code
+  function describeElement(element) {
+    const tag = element.tagName.toLowerCase();
+    if (element.id) return `${tag}#${element.id}`;
+    if (element.classList.length) return `${tag}.${[...element.classList].slice(0, 2).join('.')}`;
+    return tag;
+  }
+
+  // 32-bit FNV-1a hash, enough to tell whether an inline block changed since the last report
+  function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  // Collect inline <script> blocks, on* event handler attributes and javascript: URLs
+  function collectInlineScripts() {
+    const scripts = [];
+
+    document.querySelectorAll('script').forEach((script, index) => {
+      if (script.src || !INLINE_SCRIPT_TYPES.has(script.type.trim().toLowerCase())) return;
+      const content = script.textContent;
+      if (!content.trim() || content.length > MAX_INLINE_SIZE) return;
+
+      scripts.push({ kind: 'script', content, position: index + 1, element: describeElement(script) });
+    });
+
+    // Event handler attributes, in document order
+    const handlers = document.evaluate(
+      '//@*[starts-with(name(), "on")]',
+      document,
+      null,
+      XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+      null
+    );
+    for (let i = 0; i < handlers.snapshotLength; i++) {
+      const attribute = handlers.snapshotItem(i);
+      if (!/^on[a-z]+$/i.test(attribute.name) || !attribute.value.trim()) continue;
+
+      scripts.push({
+        kind: 'handler',
+        content: attribute.value,
+        position: i + 1,
+        element: describeElement(attribute.ownerElement),
+        attribute: attribute.name
+      });
+    }
+
+    document.querySelectorAll('a[href], area[href]').forEach((link, index) => {
+      const href = link.getAttribute('href').trim();
+      if (!/^javascript:/i.test(href)) return;
+
+      const content = decodeURIComponentSafe(href.replace(/^javascript:/i, ''));
+      if (EMPTY_JS_URL.test(content)) return;
+
+      scripts.push({
+        kind: 'href',
+        content,
+        position: index + 1,
+        element: describeElement(link),
+        attribute: 'href'
+      });
+    });
+
+    return scripts;
+  }
+
+  function decodeURIComponentSafe(text) {
+    try {
+      return decodeURIComponent(text);
+    } catch {
+      return text;
+    }
   }
 
   // Start detection when DOM is ready
@@ -89,11 +333,11 @@ window.bugSnifferContentLoaded = true;
     mutations.forEach(mutation => {
       mutation.addedNodes.forEach(node => {
         if (node.nodeType === 1) { // Element node
-          if (node.tagName === 'SCRIPT' && node.src) {
+          if (node.tagName === 'SCRIPT') {
             hasNewScripts = true;
           }
           // Check descendants
-          if (node.querySelectorAll && node.querySelectorAll('script[src]').length > 0) {
+          if (node.querySelector && node.querySelector('script')) {
             hasNewScripts = true;
           }
         }
@@ -105,8 +349,8 @@ window.bugSnifferContentLoaded = true;
     }
   });
 
-  // Start observing
-  observer.observe(document.body, {
+  // Start observing; framesets and XML frames have no <body>
+  observer.observe(document.documentElement, {
     childList: true,
     subtree: true
   });
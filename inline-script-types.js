@@ -0,0 +1,15 @@
+// inline-script-types.js
+// Script types whose inline blocks are captured as code. Shared by content.js (loaded before it as a
+// content script) and the service worker's injected discovery, so both collect the same blocks.
+// A classic script that only sets a global, so it loads both ways.
+
+globalThis.BUGSNIFFER_INLINE_SCRIPT_TYPES = [
+  '', // No type attribute
+  'module',
+  'text/javascript',
+  'application/javascript',
+  'text/ecmascript',
+  'application/ecmascript',
+  'text/babel',
+  'application/json'
+];
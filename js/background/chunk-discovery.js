@@ -0,0 +1,317 @@
+/**
+ * Chunk Discovery Module
+ * Computes lazily loaded chunk URLs from webpack runtimes, Vite preload maps and Next.js build manifests
+ */
+
+export class ChunkDiscovery {
+  static MAX_CHUNKS = 2000;
+
+  /**
+   * Find every chunk URL a script's runtime or manifest knows about
+   * @param {string} body - Script body
+   * @param {string} scriptUrl - Script URL
+   * @returns {string[]} - Absolute chunk URLs
+   */
+  static discover(body, scriptUrl) {
+    if (!body) return [];
+
+    const urls = new Set([
+      ...this.fromWebpackRuntime(body, scriptUrl),
+      ...this.fromVite(body, scriptUrl),
+      ...this.fromNextBuildManifest(body, scriptUrl)
+    ]);
+    urls.delete(scriptUrl);
+
+    return [...urls]
+      .filter(url => /\.m?js(?:[?#]|$)/i.test(url))
+      .slice(0, this.MAX_CHUNKS);
+  }
+
+  // === WEBPACK ===
+
+  /**
+   * Evaluate webpack's chunk filename function (`__webpack_require__.u` in webpack 5,
+   * `jsonpScriptSrc` in webpack 4) for every chunk id found in its lookup tables
+   * @param {string} body - Script body
+   * @param {string} scriptUrl - Script URL
+   * @returns {string[]}
+   */
+  static fromWebpackRuntime(body, scriptUrl) {
+    const functionPatterns = [
+      /\.u\s*=\s*function\s*\(\s*([\w$]+)\s*\)\s*\{\s*return(?![\w$])\s*/g, // webpack 5, function form
+      /\.u\s*=\s*\(?\s*([\w$]+)\s*\)?\s*=>\s*(?:\{\s*return(?![\w$])\s*)?/g, // webpack 5, arrow form
+      /function\s+[\w$]+\s*\(\s*([\w$]+)\s*\)\s*\{\s*return(?![\w$])\s*(?=[\w$]+\.p\s*\+)/g // webpack 4 jsonpScriptSrc
+    ];
+
+    const publicPath = this.findPublicPath(body);
+    const urls = [];
+
+    for (const pattern of functionPatterns) {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(body)) !== null) {
+        const parts = this.parseConcatenation(body, match.index + match[0].length, match[1]);
+        if (!parts) continue;
+
+        // Hash tables list every chunk; fallback name tables only rename some of them
+        const tables = parts.filter(part => part.type === 'map');
+        const idTables = tables.some(part => !part.fallback) ? tables.filter(part => !part.fallback) : tables;
+        const chunkIds = new Set(idTables.flatMap(part => Object.keys(part.map)));
+        chunkIds.forEach(chunkId => {
+          const path = parts.map(part => this.evaluatePart(part, chunkId)).join('');
+          const url = this.resolveWebpackPath(path, publicPath, scriptUrl);
+          if (url) urls.push(url);
+        });
+      }
+    }
+
+    return urls;
+  }
+
+  /**
+   * Find the literal webpack public path (`__webpack_require__.p = "/static/"`)
+   * @param {string} body - Script body
+   * @returns {string|null}
+   */
+  static findPublicPath(body) {
+    const match = body.match(/\.p\s*=\s*(["'])([^"']*)\1/);
+    return match && match[2] !== 'auto' ? match[2] : null;
+  }
+
+  /**
+   * Resolve a chunk path produced by the runtime
+   * @param {string} path - Chunk path
+   * @param {string|null} publicPath - Literal public path, if any
+   * @param {string} scriptUrl - Runtime script URL
+   * @returns {string|null}
+   */
+  static resolveWebpackPath(path, publicPath, scriptUrl) {
+    try {
+      // With an automatic public path, webpack resolves chunks next to the runtime script
+      const base = publicPath === null ? scriptUrl : new URL(publicPath, scriptUrl).href;
+      return new URL(path, base).href;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Parse a `+` concatenation of string literals, the chunk id parameter and id lookup tables
+   * @param {string} source - Script body
+   * @param {number} start - Offset where the expression starts
+   * @param {string} param - Chunk id parameter name
+   * @returns {Object[]|null} - Expression parts, or null for unsupported expressions
+   */
+  static parseConcatenation(source, start, param) {
+    const parts = [];
+    let index = start;
+
+    while (index < source.length) {
+      index = this.skipWhitespace(source, index);
+      const part = this.parseOperand(source, index, param);
+      if (!part) return null;
+
+      parts.push(part.value);
+      index = this.skipWhitespace(source, part.end);
+
+      if (source[index] !== '+') break;
+      index++;
+    }
+
+    // Bare object literals can't be evaluated, and without a lookup table there are no ids to enumerate
+    if (parts.some(part => part.type === 'object') || !parts.some(part => part.type === 'map')) {
+      return null;
+    }
+    return parts.filter(part => part.type !== 'publicPath');
+  }
+
+  /**
+   * Parse a single operand of the concatenation
+   * @returns {{value: Object, end: number}|null}
+   */
+  static parseOperand(source, index, param) {
+    const char = source[index];
+
+    if (char === '"' || char === "'") {
+      const end = source.indexOf(char, index + 1);
+      if (end === -1) return null;
+      return { value: { type: 'str', text: source.slice(index + 1, end) }, end: end + 1 };
+    }
+
+    // Lookup table, e.g. {12:"abc",34:"def"}[e]
+    if (char === '{') {
+      const end = this.findClosingBrace(source, index);
+      if (end === -1) return null;
+      const map = this.parseObjectLiteral(source.slice(index, end + 1));
+      const lookup = source.slice(end + 1).match(/^\s*\[\s*([\w$]+)\s*\]/);
+      if (lookup && lookup[1] === param) {
+        return { value: { type: 'map', map }, end: end + 1 + lookup[0].length };
+      }
+      return { value: { type: 'object', map }, end: end + 1 };
+    }
+
+    // Parenthesized operands: ({12:"abc"})[e] and the fallback form ({12:"vendors"}[e]||e)
+    if (char === '(') {
+      const inner = this.parseOperand(source, this.skipWhitespace(source, index + 1), param);
+      if (!inner) return null;
+      const rest = source.slice(inner.end);
+
+      if (inner.value.type === 'object') {
+        const lookup = rest.match(/^\s*\)\s*\[\s*([\w$]+)\s*\]/);
+        if (!lookup || lookup[1] !== param) return null;
+        return { value: { type: 'map', map: inner.value.map }, end: inner.end + lookup[0].length };
+      }
+
+      const fallback = rest.match(/^\s*\|\|\s*([\w$]+)\s*\)/);
+      if (inner.value.type === 'map' && fallback && fallback[1] === param) {
+        return { value: { type: 'map', map: inner.value.map, fallback: true }, end: inner.end + fallback[0].length };
+      }
+
+      const close = rest.match(/^\s*\)/);
+      return close ? { value: inner.value, end: inner.end + close[0].length } : null;
+    }
+
+    const identifier = source.slice(index).match(/^[\w$]+(?:\.[\w$]+)?/);
+    if (!identifier) return null;
+    if (identifier[0] === param) {
+      return { value: { type: 'id' }, end: index + identifier[0].length };
+    }
+    if (/\.p$/.test(identifier[0])) {
+      return { value: { type: 'publicPath' }, end: index + identifier[0].length };
+    }
+    return null;
+  }
+
+  /**
+   * Evaluate a parsed part for a chunk id
+   * @param {Object} part - Parsed part
+   * @param {string} chunkId - Chunk id
+   * @returns {string}
+   */
+  static evaluatePart(part, chunkId) {
+    if (part.type === 'str') return part.text;
+    if (part.type === 'id') return chunkId;
+    if (part.type === 'map') return part.map[chunkId] ?? (part.fallback ? chunkId : 'undefined');
+    return '';
+  }
+
+  /**
+   * Parse a flat object literal of string values
+   * @param {string} text - Object literal source
+   * @returns {Object<string, string>}
+   */
+  static parseObjectLiteral(text) {
+    const map = {};
+    const entryPattern = /(?:"([^"]+)"|'([^']+)'|([\w$]+))\s*:\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = entryPattern.exec(text)) !== null) {
+      map[match[1] ?? match[2] ?? match[3]] = match[4] ?? match[5];
+    }
+    return map;
+  }
+
+  /**
+   * Find the brace closing the one at `start`, skipping string literals
+   * @param {string} source - Source text
+   * @param {number} start - Offset of the opening brace
+   * @returns {number} - Offset of the closing brace or -1
+   */
+  static findClosingBrace(source, start) {
+    let depth = 0;
+    let quote = null;
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'" || char === '`') {
+        quote = char;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  static skipWhitespace(source, index) {
+    while (index < source.length && /\s/.test(source[index])) index++;
+    return index;
+  }
+
+  // === VITE ===
+
+  /**
+   * Collect chunks referenced by Vite's preload dependency lists and dynamic imports
+   * @param {string} body - Script body
+   * @param {string} scriptUrl - Script URL
+   * @returns {string[]}
+   */
+  static fromVite(body, scriptUrl) {
+    if (!/__vite__mapDeps|__vitePreload|modulepreload/.test(body)) return [];
+
+    const base = this.getViteBase(scriptUrl);
+    const urls = [];
+    const add = (path, relativeToScript) => {
+      try {
+        urls.push(new URL(path, relativeToScript ? scriptUrl : base).href);
+      } catch {
+        // Ignore unparseable paths
+      }
+    };
+
+    // Dependency arrays hold base-relative paths ("assets/Foo-abc123.js")
+    const depPattern = /(["'`])((?:\.{0,2}\/)?assets\/[\w\-./]+\.m?js)\1/g;
+    let match;
+    while ((match = depPattern.exec(body)) !== null) {
+      add(match[2], match[2].startsWith('.'));
+    }
+
+    // Dynamic imports are relative to the importing chunk
+    const importPattern = /\bimport\(\s*(["'`])(\.{1,2}\/[^"'`]+\.m?js)\1\s*\)/g;
+    while ((match = importPattern.exec(body)) !== null) {
+      add(match[2], true);
+    }
+
+    return urls;
+  }
+
+  /**
+   * Vite serves chunks from `${base}assets/`; derive base from the chunk's own URL
+   * @param {string} scriptUrl - Script URL
+   * @returns {string}
+   */
+  static getViteBase(scriptUrl) {
+    try {
+      const url = new URL(scriptUrl);
+      const assetsIndex = url.pathname.lastIndexOf('/assets/');
+      return assetsIndex === -1 ? url.origin + '/' : url.origin + url.pathname.slice(0, assetsIndex + 1);
+    } catch {
+      return scriptUrl;
+    }
+  }
+
+  // === NEXT.JS ===
+
+  /**
+   * Collect every page chunk listed in a Next.js `_buildManifest.js`
+   * @param {string} body - Script body
+   * @param {string} scriptUrl - Script URL
+   * @returns {string[]}
+   */
+  static fromNextBuildManifest(body, scriptUrl) {
+    if (!body.includes('__BUILD_MANIFEST')) return [];
+
+    const nextIndex = scriptUrl.indexOf('/_next/');
+    const base = nextIndex === -1 ? new URL('/_next/', scriptUrl).href : scriptUrl.slice(0, nextIndex + '/_next/'.length);
+    const urls = [];
+    const pathPattern = /(["'])(static\/[^"']+\.js)\1/g;
+    let match;
+    while ((match = pathPattern.exec(body)) !== null) {
+      urls.push(new URL(match[2], base).href);
+    }
+
+    return urls;
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * Content Archive Module
+ * Fetches discovered JavaScript files and archives their bodies
+ */
+
+import { HashUtils } from '../modules/hash-utils.js';
+import { StorageManager } from '../modules/storage.js';
+
+export class ContentArchive {
+  static STATUS = {
+    PENDING: 'pending',
+    OK: 'ok',
+    ERROR: 'error',
+    SKIPPED: 'skipped'
+  };
+
+  static MAX_ATTEMPTS = 3;
+  static RETRY_DELAY = 2000; // Doubled after every failed attempt
+  static MAX_CONCURRENT = 4;
+  static MAX_SIZE = 10 * 1024 * 1024; // 10 MB
+  static MAX_VERSIONS = 10;
+  static REFRESH_INTERVAL = 10 * 60 * 1000; // Re-check archived files at most every 10 minutes
+
+  static queue = [];
+  static active = 0;
+
+  /**
+   * Queue a file for fetching and archiving
+   * @param {Object} fileObj - Stored file object
+   * @param {{revalidate: boolean}} options - Revalidate with the server instead of using the HTTP cache
+   * @returns {Promise<{meta: Object, content: Object|null, headers: Object}>}
+   *   `content` is null when nothing new was archived
+   */
+  static archive(fileObj, options = {}) {
+    return new Promise((resolve) => {
+      this.queue.push({ fileObj, options, resolve });
+      this.next();
+    });
+  }
+
+  /**
+   * Start queued jobs while below the concurrency limit
+   */
+  static next() {
+    while (this.active < this.MAX_CONCURRENT && this.queue.length > 0) {
+      const { fileObj, options, resolve } = this.queue.shift();
+      this.active++;
+      this.fetchWithRetry(fileObj, options)
+        .then(resolve)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
+  }
+
+  /**
+   * Fetch a file, retrying transient failures with exponential backoff
+   * @param {Object} fileObj - Stored file object
+   * @param {Object} options - Archive options
+   * @returns {Promise<{meta: Object, content: Object|null, headers: Object}>}
+   */
+  static async fetchWithRetry(fileObj, options) {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.MAX_ATTEMPTS; attempt++) {
+      try {
+        return await this.fetchContent(fileObj, attempt, options);
+      } catch (error) {
+        lastError = error;
+        if (!error.retriable || attempt === this.MAX_ATTEMPTS) break;
+        await new Promise(resolve => setTimeout(resolve, this.RETRY_DELAY * 2 ** (attempt - 1)));
+      }
+    }
+
+    // A failed revalidation leaves the archived copy in place
+    if (options.revalidate) {
+      return { meta: { ...fileObj.fetch, changed: false, fetchedAt: Date.now() }, content: null, headers: {} };
+    }
+
+    return {
+      meta: {
+        status: this.STATUS.ERROR,
+        attempts: lastError?.attempt || this.MAX_ATTEMPTS,
+        httpStatus: lastError?.httpStatus || null,
+        error: lastError?.message || 'Unknown error',
+        fetchedAt: Date.now()
+      },
+      content: null,
+      headers: {}
+    };
+  }
+
+  /**
+   * Fetch a single file and store its body, keeping the replaced body as a version when it changed
+   * @param {Object} fileObj - Stored file object
+   * @param {number} attempt - Attempt number
+   * @param {Object} options - Archive options
+   * @returns {Promise<{meta: Object, content: Object|null, headers: Object}>}
+   */
+  static async fetchContent(fileObj, attempt, options) {
+    let response;
+    try {
+      const cache = options.revalidate ? 'no-cache' : 'force-cache';
+      response = await fetch(fileObj.url, { credentials: 'include', cache });
+    } catch (error) {
+      throw this.createError(error.message, attempt, null, true);
+    }
+
+    if (!response.ok) {
+      const retriable = response.status >= 500 || response.status === 429;
+      throw this.createError(`HTTP ${response.status}`, attempt, response.status, retriable);
+    }
+
+    const headers = Object.fromEntries(response.headers.entries());
+    const contentType = headers['content-type'] || null;
+    const declaredSize = parseInt(headers['content-length'], 10);
+
+    if (declaredSize > this.MAX_SIZE) {
+      return {
+        meta: {
+          status: this.STATUS.SKIPPED,
+          attempts: attempt,
+          httpStatus: response.status,
+          size: declaredSize,
+          contentType,
+          error: 'File too large to archive',
+          fetchedAt: Date.now()
+        },
+        content: null,
+        headers
+      };
+    }
+
+    const buffer = await response.arrayBuffer();
+    return this.storeContent(fileObj, buffer, { attempts: attempt, httpStatus: response.status, contentType }, headers);
+  }
+
+  /**
+   * Archive code captured from the page itself (inline scripts), which needs no fetch
+   * @param {Object} fileObj - Stored file object
+   * @param {string} body - Captured code
+   * @returns {Promise<{meta: Object, content: Object|null, headers: Object}>}
+   */
+  static archiveInline(fileObj, body) {
+    const buffer = new TextEncoder().encode(body);
+    return this.storeContent(fileObj, buffer, { attempts: 0, httpStatus: null, contentType: 'text/javascript' }, {});
+  }
+
+  /**
+   * Store a body, keeping the replaced body as a version when it changed
+   * @param {Object} fileObj - Stored file object
+   * @param {ArrayBuffer|Uint8Array} buffer - Raw body
+   * @param {{attempts: number, httpStatus: number|null, contentType: string|null}} details - Fetch details
+   * @param {Object} headers - Response headers
+   * @returns {Promise<{meta: Object, content: Object|null, headers: Object}>}
+   */
+  static async storeContent(fileObj, buffer, details, headers) {
+    const { attempts, httpStatus, contentType } = details;
+    const sha256 = await HashUtils.sha256(buffer);
+    const content = {
+      url: fileObj.url,
+      domain: fileObj.domain,
+      body: new TextDecoder().decode(buffer),
+      size: buffer.byteLength,
+      contentType,
+      sha256,
+      fetchedAt: Date.now()
+    };
+
+    const previous = await StorageManager.getContent(fileObj.url);
+    const changed = Boolean(previous && previous.sha256 !== sha256);
+    let versionCount = fileObj.fetch?.versionCount || 0;
+
+    if (changed) {
+      versionCount = await StorageManager.addVersion(previous, this.MAX_VERSIONS);
+    }
+    if (!previous || changed) {
+      await StorageManager.setContent(content);
+    }
+
+    return {
+      meta: {
+        status: this.STATUS.OK,
+        attempts,
+        httpStatus,
+        size: content.size,
+        contentType,
+        sha256,
+        fetchedAt: content.fetchedAt,
+        changed, // Body differs from the previous fetch
+        changedAt: changed ? content.fetchedAt : fileObj.fetch?.changedAt || null,
+        previousSha256: changed ? previous.sha256 : fileObj.fetch?.previousSha256 || null,
+        versionCount
+      },
+      content: !previous || changed ? content : null,
+      headers
+    };
+  }
+
+  /**
+   * Create a fetch error carrying retry information
+   * @param {string} message - Error message
+   * @param {number} attempt - Attempt number
+   * @param {number|null} httpStatus - HTTP status code
+   * @param {boolean} retriable - Whether the request may be retried
+   * @returns {Error}
+   */
+  static createError(message, attempt, httpStatus, retriable) {
+    const error = new Error(message);
+    error.attempt = attempt;
+    error.httpStatus = httpStatus;
+    error.retriable = retriable;
+    return error;
+  }
+}
@@ -0,0 +1,555 @@
+/**
+ * DOM XSS Scanner Module
+ * Finds dangerous DOM sinks and attacker-controllable sources in JavaScript bodies,
+ * flagging sinks that a source visibly flows into within the same file
+ */
+
+import { JSTokenizer } from '../modules/js-tokenizer.js';
+import { SecretScanner } from './secret-scanner.js';
+
+const T = JSTokenizer.TYPES;
+
+export class DomXssScanner {
+  static SEVERITY = {
+    HIGH: 'high',
+    MEDIUM: 'medium',
+    LOW: 'low'
+  };
+
+  static MAX_BODY_SIZE = 5 * 1024 * 1024; // Larger bundles aren't tokenized
+  static MAX_FINDINGS_PER_FILE = 200;
+  static MAX_FLOW_DISTANCE = 2000; // Characters between a tainted variable's assignment and its use
+  static MAX_TAINT_HOPS = 2; // Variable assignments followed from a source
+  static MAX_LOOKBEHIND = 100; // Tokens searched back for the assignment a source is part of
+
+  static GLOBAL_OBJECTS = ['window', 'self', 'top', 'parent', 'globalThis', 'document'];
+
+  /**
+   * Sink rules. `severity` applies when no source flows into the sink; flows are always high.
+   *  - kind 'assign': `<object>.<name> = value`; `bare` also matches a plain `<name> = value`
+   *  - kind 'call': `<name>(args)`, optionally on a global object (`window.eval(...)`)
+   *  - kind 'method': `<object>.<name>(args)` on any object unless `objects` is set
+   * `argument` limits the checked value to one argument, `stringArgument` requires it to start with
+   * a string unless a source flows into it, and `requiresFlow` drops matches no source flows into
+   * (too common to report otherwise).
+   */
+  static SINKS = [
+    {
+      id: 'inner-html',
+      name: 'innerHTML Assignment',
+      severity: this.SEVERITY.LOW,
+      kind: 'assign',
+      names: ['innerHTML']
+    },
+    {
+      id: 'outer-html',
+      name: 'outerHTML Assignment',
+      severity: this.SEVERITY.LOW,
+      kind: 'assign',
+      names: ['outerHTML']
+    },
+    {
+      id: 'insert-adjacent-html',
+      name: 'insertAdjacentHTML()',
+      severity: this.SEVERITY.LOW,
+      kind: 'method',
+      names: ['insertAdjacentHTML'],
+      argument: 1
+    },
+    {
+      id: 'document-write',
+      name: 'document.write()',
+      severity: this.SEVERITY.LOW,
+      kind: 'method',
+      names: ['write', 'writeln'],
+      objects: ['document']
+    },
+    {
+      id: 'eval',
+      name: 'eval()',
+      severity: this.SEVERITY.MEDIUM,
+      kind: 'call',
+      names: ['eval']
+    },
+    {
+      id: 'function-constructor',
+      name: 'Function Constructor',
+      severity: this.SEVERITY.MEDIUM,
+      kind: 'call',
+      names: ['Function']
+    },
+    {
+      id: 'string-timer',
+      name: 'setTimeout/setInterval With String',
+      severity: this.SEVERITY.MEDIUM,
+      kind: 'call',
+      names: ['setTimeout', 'setInterval'],
+      argument: 0,
+      stringArgument: true
+    },
+    {
+      id: 'jquery-html',
+      name: 'jQuery .html()',
+      severity: this.SEVERITY.LOW,
+      kind: 'method',
+      names: ['html'],
+      argument: 0
+    },
+    {
+      id: 'jquery-selector',
+      name: 'jQuery $() With Input',
+      severity: this.SEVERITY.LOW,
+      kind: 'call',
+      names: ['$', 'jQuery'],
+      argument: 0,
+      requiresFlow: true
+    },
+    {
+      id: 'location-assignment',
+      name: 'location Assignment',
+      severity: this.SEVERITY.LOW,
+      kind: 'assign',
+      names: ['location'],
+      objects: this.GLOBAL_OBJECTS,
+      bare: true
+    },
+    {
+      id: 'location-href-assignment',
+      name: 'location.href Assignment',
+      severity: this.SEVERITY.LOW,
+      kind: 'assign',
+      names: ['href'],
+      objects: ['location']
+    },
+    {
+      id: 'location-navigation',
+      name: 'location.assign/replace()',
+      severity: this.SEVERITY.LOW,
+      kind: 'method',
+      names: ['assign', 'replace'],
+      objects: ['location'],
+      argument: 0
+    }
+  ];
+
+  static SINK_NAMES = new Set(this.SINKS.flatMap(sink => sink.names));
+
+  /**
+   * Attacker-controllable reads, matched as `<path[0]>.<path[1]>`
+   */
+  static SOURCES = [
+    { name: 'location.hash', path: ['location', 'hash'] },
+    { name: 'location.search', path: ['location', 'search'] },
+    { name: 'location.href', path: ['location', 'href'] },
+    { name: 'document.URL', path: ['document', 'URL'] },
+    { name: 'document.documentURI', path: ['document', 'documentURI'] },
+    { name: 'document.referrer', path: ['document', 'referrer'] },
+    { name: 'window.name', path: ['window', 'name'] }
+  ];
+
+  static MESSAGE_SOURCE = 'postMessage data'; // `.data` read inside a message listener
+
+  static OPENERS = new Set(['(', '[', '{']);
+  static CLOSERS = new Set([')', ']', '}']);
+  static LITERAL_KEYWORDS = new Set(['null', 'true', 'false']);
+
+  /**
+   * Scan a file body for DOM XSS sinks
+   * @param {string} body - File content
+   * @param {string} fileUrl - URL of the scanned file
+   * @returns {Object[]} - Findings
+   */
+  static scan(body, fileUrl) {
+    if (!body || body.length > this.MAX_BODY_SIZE) return [];
+
+    const tokens = this.getTokens(body);
+    const sources = this.findSources(tokens);
+    const taints = this.findTaints(tokens, sources);
+    const fileSources = [...new Set(sources.map(source => source.name))];
+    const lineStarts = SecretScanner.getLineStarts(body);
+    const findings = [];
+
+    for (let i = 0; i < tokens.length && findings.length < this.MAX_FINDINGS_PER_FILE; i++) {
+      if (tokens[i].type !== T.IDENTIFIER || !this.SINK_NAMES.has(tokens[i].value)) continue;
+
+      const match = this.matchSink(tokens, i);
+      if (!match || this.isLiteral(tokens, match.valueStart, match.valueEnd)) continue;
+
+      const flowing = this.getFlowingSources(tokens, match, sources, taints);
+      if (match.rule.requiresFlow && !flowing.length) continue;
+      // Without a flow, only a string argument shows the timer evaluates code rather than calling a function
+      if (match.rule.stringArgument && !flowing.length &&
+        ![T.STRING, T.TEMPLATE].includes(tokens[match.valueStart]?.type)) continue;
+
+      findings.push(this.createFinding(match, flowing, fileSources, tokens, body, lineStarts, fileUrl));
+    }
+
+    return findings;
+  }
+
+  /**
+   * Build a finding object
+   * @returns {Object}
+   */
+  static createFinding(match, flowing, fileSources, tokens, body, lineStarts, fileUrl) {
+    const { rule } = match;
+    const first = tokens[match.start];
+    const last = tokens[match.end - 1];
+    const value = body.slice(first.offset, last.offset + last.value.length);
+    const { line, column } = SecretScanner.getPosition(lineStarts, first.offset);
+    const flow = flowing.length > 0;
+
+    return {
+      id: `domxss|${rule.id}|${fileUrl}|${line}:${column}`,
+      type: 'domxss',
+      ruleId: rule.id,
+      rule: rule.name,
+      severity: flow ? this.SEVERITY.HIGH : rule.severity,
+      value,
+      file: fileUrl,
+      line,
+      column,
+      context: SecretScanner.getContext(body, first.offset, value.length),
+      sources: flow ? flowing : fileSources, // Flowing sources, or every source seen in the file as a hint
+      flow,
+      foundAt: Date.now()
+    };
+  }
+
+  /**
+   * Tokenize a body, dropping whitespace and comments
+   * @param {string} body - JavaScript source
+   * @returns {{type: string, value: string, offset: number, newline: boolean}[]} - `newline` when a line break precedes the token
+   */
+  static getTokens(body) {
+    const tokens = [];
+    let offset = 0;
+    let newline = false;
+
+    JSTokenizer.tokenize(body).forEach(token => {
+      if (token.type === T.WHITESPACE || token.type === T.COMMENT) {
+        newline ||= token.value.includes('\n');
+      } else {
+        tokens.push({ type: token.type, value: token.value, offset, newline });
+        newline = false;
+      }
+      offset += token.value.length;
+    });
+
+    return tokens;
+  }
+
+  /**
+   * Match a sink rule at a token
+   * @param {Object[]} tokens - Tokens from getTokens()
+   * @param {number} index - Index of an identifier named by a sink rule
+   * @returns {{rule: Object, start: number, end: number, valueStart: number, valueEnd: number}|null} -
+   *   Token ranges of the sink expression and of the value written into it
+   */
+  static matchSink(tokens, index) {
+    const name = tokens[index].value;
+    const previous = tokens[index - 1]?.value;
+    const object = previous === '.' || previous === '?.' ? tokens[index - 2] : null;
+
+    for (const rule of this.SINKS) {
+      if (!rule.names.includes(name)) continue;
+
+      if (object) {
+        const allowed = rule.kind === 'call' ? this.GLOBAL_OBJECTS : rule.objects;
+        if (allowed && !allowed.includes(object.value)) continue;
+      } else if (previous === '.' || (rule.kind !== 'call' && !rule.bare)) {
+        continue;
+      }
+
+      const range = rule.kind === 'assign'
+        ? this.matchAssignment(tokens, index)
+        : this.matchCall(tokens, index, rule);
+      if (!range) continue;
+
+      return {
+        rule,
+        start: object?.type === T.IDENTIFIER ? index - 2 : index,
+        end: index + 1,
+        ...range
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Get the assigned value of `<name> = value`
+   * @returns {{valueStart: number, valueEnd: number}|null}
+   */
+  static matchAssignment(tokens, index) {
+    const operator = tokens[index + 1]?.value;
+    if (operator !== '=' && operator !== '+=') return null;
+    if (['var', 'let', 'const'].includes(tokens[index - 1]?.value)) return null; // A local shadowing the global
+
+    return { valueStart: index + 2, valueEnd: this.expressionEnd(tokens, index + 2) };
+  }
+
+  /**
+   * Get the checked arguments of `<name>(args)`
+   * @returns {{valueStart: number, valueEnd: number}|null}
+   */
+  static matchCall(tokens, index, rule) {
+    if (tokens[index + 1]?.value !== '(' || tokens[index - 1]?.value === 'function') return null;
+
+    const close = this.matchingClose(tokens, index + 1);
+    if (close === -1 || tokens[close + 1]?.value === '{') return null; // Unbalanced, or a method definition
+
+    let valueStart = index + 2;
+    let valueEnd = close;
+    if (rule.argument !== undefined) {
+      const argument = this.splitArguments(tokens, valueStart, valueEnd)[rule.argument];
+      if (!argument) return null;
+      [valueStart, valueEnd] = argument;
+    }
+
+    return { valueStart, valueEnd };
+  }
+
+  /**
+   * Find the end of the expression starting at a token (exclusive)
+   * @param {Object[]} tokens - Tokens
+   * @param {number} start - First token of the expression
+   * @returns {number}
+   */
+  static expressionEnd(tokens, start) {
+    let depth = 0;
+    for (let i = start; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      // A line break between two values ends the statement (automatic semicolon insertion)
+      if (depth === 0 && i > start && token.newline && token.type !== T.PUNCTUATOR && this.endsValue(tokens[i - 1])) {
+        return i;
+      }
+      if (token.type !== T.PUNCTUATOR) continue;
+
+      if (this.OPENERS.has(token.value)) {
+        depth++;
+      } else if (this.CLOSERS.has(token.value)) {
+        if (depth === 0) return i;
+        depth--;
+      } else if (depth === 0 && (token.value === ';' || token.value === ',')) {
+        return i;
+      }
+    }
+    return tokens.length;
+  }
+
+  static endsValue(token) {
+    return token.type !== T.PUNCTUATOR || this.CLOSERS.has(token.value);
+  }
+
+  /**
+   * Find the bracket closing the one at openIndex
+   * @returns {number} - Index, or -1 if unbalanced
+   */
+  static matchingClose(tokens, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < tokens.length; i++) {
+      if (tokens[i].type !== T.PUNCTUATOR) continue;
+      if (this.OPENERS.has(tokens[i].value)) depth++;
+      else if (this.CLOSERS.has(tokens[i].value) && --depth === 0) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Split an argument list into token ranges
+   * @returns {number[][]} - [start, end) per argument
+   */
+  static splitArguments(tokens, start, end) {
+    const ranges = [];
+    let depth = 0;
+    let argumentStart = start;
+
+    for (let i = start; i < end; i++) {
+      const value = tokens[i].type === T.PUNCTUATOR ? tokens[i].value : null;
+      if (this.OPENERS.has(value)) depth++;
+      else if (this.CLOSERS.has(value)) depth--;
+      else if (value === ',' && depth === 0) {
+        ranges.push([argumentStart, i]);
+        argumentStart = i + 1;
+      }
+    }
+    if (argumentStart < end) ranges.push([argumentStart, end]);
+    return ranges;
+  }
+
+  /**
+   * Check whether a value is built from constants only (or is empty, e.g. a `.html()` getter)
+   * @returns {boolean}
+   */
+  static isLiteral(tokens, start, end) {
+    for (let i = start; i < end; i++) {
+      const { type, value } = tokens[i];
+      const constant = type === T.STRING || type === T.NUMBER ||
+        (type === T.TEMPLATE && !value.includes('${')) ||
+        (type === T.KEYWORD && this.LITERAL_KEYWORDS.has(value)) ||
+        (type === T.PUNCTUATOR && ['+', '(', ')'].includes(value));
+      if (!constant) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Find reads of attacker-controllable sources
+   * @param {Object[]} tokens - Tokens
+   * @returns {{name: string, index: number}[]}
+   */
+  static findSources(tokens) {
+    const sources = [];
+
+    tokens.forEach((token, index) => {
+      if (token.type !== T.IDENTIFIER) return;
+      const source = this.SOURCES.find(({ path }) => path[0] === token.value &&
+        tokens[index + 1]?.value === '.' && tokens[index + 2]?.value === path[1]);
+      if (source && !['=', '+='].includes(tokens[index + 3]?.value)) {
+        sources.push({ name: source.name, index });
+      }
+    });
+
+    this.findMessageHandlers(tokens).forEach(([start, end]) => {
+      for (let i = start; i < end; i++) {
+        if (tokens[i].value === 'data' && ['.', '?.'].includes(tokens[i - 1].value)) {
+          sources.push({ name: this.MESSAGE_SOURCE, index: i });
+        }
+      }
+    });
+
+    return sources;
+  }
+
+  /**
+   * Find the token ranges of inline `message` event listeners
+   * @returns {number[][]} - [start, end) per listener
+   */
+  static findMessageHandlers(tokens) {
+    const ranges = [];
+
+    tokens.forEach((token, index) => {
+      if (token.value === 'addEventListener' && tokens[index + 1]?.value === '(' &&
+          /^(['"`])message\1$/.test(tokens[index + 2]?.value || '')) {
+        const close = this.matchingClose(tokens, index + 1);
+        if (close !== -1) ranges.push([index + 3, close]);
+      } else if (token.value === 'onmessage' && tokens[index + 1]?.value === '=') {
+        ranges.push([index + 2, this.expressionEnd(tokens, index + 2)]);
+      }
+    });
+
+    return ranges;
+  }
+
+  /**
+   * Follow sources into the variables they are assigned to, up to MAX_TAINT_HOPS assignments deep
+   * @param {Object[]} tokens - Tokens
+   * @param {{name: string, index: number}[]} sources - Sources from findSources()
+   * @returns {Map<string, {offset: number, sources: string[]}[]>} - Assignments per variable name
+   */
+  static findTaints(tokens, sources) {
+    const taints = new Map();
+    const seen = new Set();
+    let origins = sources.map(source => ({ index: source.index, sources: [source.name] }));
+
+    for (let hop = 0; hop < this.MAX_TAINT_HOPS && origins.length; hop++) {
+      const next = [];
+
+      origins.forEach(origin => {
+        const target = this.findAssignmentTarget(tokens, origin.index);
+        if (target === -1 || seen.has(target)) return;
+        seen.add(target);
+
+        const { value: name, offset } = tokens[target];
+        if (!taints.has(name)) taints.set(name, []);
+        taints.get(name).push({ offset, sources: origin.sources });
+
+        // Uses of the variable after the assigned value become origins of the next hop
+        const valueEnd = this.expressionEnd(tokens, target + 2);
+        for (let i = valueEnd; i < tokens.length && tokens[i].offset - offset <= this.MAX_FLOW_DISTANCE; i++) {
+          if (tokens[i].value === name && this.isVariable(tokens, i)) {
+            next.push({ index: i, sources: origin.sources });
+          }
+        }
+      });
+
+      origins = next;
+    }
+
+    return taints;
+  }
+
+  /**
+   * Find the variable a token's expression is assigned to (`x = ...token...`)
+   * @returns {number} - Index of the variable, or -1
+   */
+  static findAssignmentTarget(tokens, index) {
+    let depth = 0;
+
+    for (let i = index - 1; i >= 0 && i >= index - this.MAX_LOOKBEHIND; i--) {
+      const { type, value } = tokens[i];
+      if (type === T.KEYWORD && value === 'return') return -1;
+      if (type !== T.PUNCTUATOR) continue;
+
+      if (this.CLOSERS.has(value)) {
+        if (value === '}' && depth === 0) return -1; // Previous statement
+        depth++;
+      } else if (this.OPENERS.has(value)) {
+        if (depth > 0) depth--;
+        else if (value === '{') return -1; // Start of the enclosing block
+      } else if (depth === 0 && (value === ';' || value === '=>')) {
+        return -1;
+      } else if (depth === 0 && (value === '=' || value === '+=')) {
+        return this.isVariable(tokens, i - 1) ? i - 1 : -1;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Check whether a token is a plain variable reference (not a property or object key)
+   * @returns {boolean}
+   */
+  static isVariable(tokens, index) {
+    const token = tokens[index];
+    return token?.type === T.IDENTIFIER &&
+      !['.', '?.'].includes(tokens[index - 1]?.value) &&
+      tokens[index + 1]?.value !== ':';
+  }
+
+  /**
+   * Get the sources that visibly flow into a sink's value: read in it directly, inside a
+   * template literal substitution, or through a variable assigned from a source shortly before
+   * @returns {string[]} - Source names
+   */
+  static getFlowingSources(tokens, match, sources, taints) {
+    const { valueStart, valueEnd } = match;
+    const flowing = new Set();
+
+    sources
+      .filter(source => source.index >= valueStart && source.index < valueEnd)
+      .forEach(source => flowing.add(source.name));
+
+    const addTainted = (name, offset) => {
+      (taints.get(name) || [])
+        .filter(taint => taint.offset < offset && offset - taint.offset <= this.MAX_FLOW_DISTANCE)
+        .forEach(taint => taint.sources.forEach(source => flowing.add(source)));
+    };
+
+    for (let i = valueStart; i < valueEnd; i++) {
+      const token = tokens[i];
+      if (this.isVariable(tokens, i)) {
+        addTainted(token.value, token.offset);
+      } else if (token.type === T.TEMPLATE && token.value.includes('${')) {
+        const inner = this.getTokens(token.value.slice(token.value.indexOf('${') + 2, token.value.lastIndexOf('}')));
+        this.findSources(inner).forEach(source => flowing.add(source.name));
+        inner.forEach((innerToken, index) => {
+          if (this.isVariable(inner, index)) addTainted(innerToken.value, token.offset);
+        });
+      }
+    }
+
+    return [...flowing];
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Endpoint Extractor Module
+ * LinkFinder-style extraction of URLs, API paths and routes from JavaScript bodies
+ */
+
+export class EndpointExtractor {
+  static KINDS = {
+    URL: 'url',
+    PATH: 'path',
+    FETCH: 'fetch',
+    AXIOS: 'axios',
+    XHR: 'xhr',
+    ROUTE: 'route'
+  };
+
+  static MAX_LENGTH = 300;
+
+  /**
+   * Quoted string literals that look like URLs or paths (adapted from LinkFinder)
+   */
+  static LINK_PATTERN = new RegExp(
+    '(["\'`])(' +
+      '(?:[a-zA-Z]{1,10}://|//)[^"\'`/\\s]+\\.[a-zA-Z]{2,}[^"\'`\\s]*' + // Absolute and protocol-relative URLs
+      '|(?:/|\\.\\./|\\./)[^"\'`><,;| *()%$^/\\\\\\[\\]][^"\'`><,;|()\\s]+' + // Absolute and relative paths
+      '|[a-zA-Z0-9_\\-/]+/[a-zA-Z0-9_\\-/.]+\\.(?:[a-zA-Z]{1,4}|action)(?:[?#][^"\'`\\s]*)?' + // Paths with extensions
+      '|[a-zA-Z0-9_\\-/]+/[a-zA-Z0-9_\\-/]{3,}(?:[?#][^"\'`\\s]*)?' + // REST-style paths without extensions
+      '|[a-zA-Z0-9_\\-]+\\.(?:php|asp|aspx|jsp|json|action|html|js|txt|xml)(?:[?#][^"\'`\\s]*)?' + // Bare filenames
+    ')\\1',
+    'g'
+  );
+
+  /**
+   * Call sites whose first argument is a request target
+   */
+  static CALL_PATTERNS = [
+    { kind: 'fetch', pattern: /\bfetch\(\s*(['"`])((?:(?!\1).)+)\1/g, valueGroup: 2 },
+    { kind: 'axios', pattern: /\baxios(?:\.(get|post|put|patch|delete|head|options|request))?\(\s*(['"`])((?:(?!\2).)+)\2/g, valueGroup: 3, methodGroup: 1 },
+    { kind: 'axios', pattern: /\baxios\(\s*\{[^}]*?\burl\s*:\s*(['"`])((?:(?!\1).)+)\1/g, valueGroup: 2 },
+    { kind: 'xhr', pattern: /\.open\(\s*(['"`])(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\1\s*,\s*(['"`])((?:(?!\3).)+)\3/gi, valueGroup: 4, methodGroup: 2 },
+    { kind: 'route', pattern: /\bpath\s*:\s*(['"`])(\/?[\w\-/:.*?]*)\1/g, valueGroup: 2 },
+    { kind: 'route', pattern: /<Route[^>]*?\bpath=(['"])([^'"]+)\1/g, valueGroup: 2 },
+    { kind: 'route', pattern: /\.(get|post|put|patch|delete|all|use)\(\s*(['"`])(\/[^'"`]*)\2\s*,/g, valueGroup: 3, methodGroup: 1 }
+  ];
+
+  /**
+   * Values the link pattern matches that are never endpoints
+   */
+  static NOISE_PATTERNS = [
+    /^(?:application|text|image|audio|video|multipart|font|model)\/[\w.+-]+$/i, // MIME types
+    /^[MDYHhms]{1,4}\/[MDYHhms]{1,4}(?:\/[MDYHhms]{1,4})?$/, // Date formats
+    /^\.?\.?\/$/, // Bare slashes
+    /^\/\/$/
+  ];
+
+  /**
+   * Extract endpoints from a file body
+   * @param {string} body - File content
+   * @returns {{value: string, kind: string, method: string|null}[]}
+   */
+  static extract(body) {
+    if (!body) return [];
+
+    const results = new Map(); // value -> endpoint
+
+    const add = (rawValue, kind, method = null) => {
+      const value = this.normalize(rawValue);
+      if (!value || this.isNoise(value)) return;
+
+      const existing = results.get(value);
+      if (!existing) {
+        results.set(value, { value, kind, method: method ? method.toUpperCase() : null });
+        return;
+      }
+
+      // Call-site kinds are more specific than plain string matches
+      if (this.isGenericKind(existing.kind) && !this.isGenericKind(kind)) {
+        existing.kind = kind;
+      }
+      if (method && !existing.method) {
+        existing.method = method.toUpperCase();
+      }
+    };
+
+    for (const { kind, pattern, valueGroup, methodGroup } of this.CALL_PATTERNS) {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(body)) !== null) {
+        add(match[valueGroup], kind, methodGroup ? match[methodGroup] : null);
+      }
+    }
+
+    this.LINK_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = this.LINK_PATTERN.exec(body)) !== null) {
+      const value = match[2];
+      add(value, /^(?:[a-zA-Z]{1,10}:)?\/\//.test(value) ? this.KINDS.URL : this.KINDS.PATH);
+    }
+
+    return [...results.values()];
+  }
+
+  /**
+   * Normalize an extracted value (template placeholders, whitespace, length)
+   * @param {string} value - Raw value
+   * @returns {string|null}
+   */
+  static normalize(value) {
+    if (!value) return null;
+    const normalized = value.replace(/\$\{[^}]*\}/g, '{param}').trim();
+    if (!normalized || normalized.length > this.MAX_LENGTH || /\s/.test(normalized)) return null;
+    return normalized;
+  }
+
+  /**
+   * Check whether a value is known noise
+   * @param {string} value - Normalized value
+   * @returns {boolean}
+   */
+  static isNoise(value) {
+    return this.NOISE_PATTERNS.some(pattern => pattern.test(value));
+  }
+
+  /**
+   * Check whether a kind comes from plain string matching
+   * @param {string} kind - Endpoint kind
+   * @returns {boolean}
+   */
+  static isGenericKind(kind) {
+    return kind === this.KINDS.URL || kind === this.KINDS.PATH;
+  }
+}
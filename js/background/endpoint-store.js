@@ -0,0 +1,104 @@
+/**
+ * Endpoint Store Module
+ * Persists extracted endpoints per domain, deduplicated and linked to their source files
+ */
+
+import { StorageManager } from '../modules/storage.js';
+
+export class EndpointStore {
+  // Writes are chained so concurrent extractions for the same domain don't overwrite each other
+  static pending = Promise.resolve();
+
+  /**
+   * Replace the endpoints contributed by one file
+   * @param {string} domain - Domain the file belongs to
+   * @param {string} fileUrl - Source file URL
+   * @param {{value: string, kind: string, method: string|null}[]} endpoints - Endpoints found in the file
+   * @returns {Promise<Object[]>} - All endpoints for the domain
+   */
+  static replaceForFile(domain, fileUrl, endpoints) {
+    const run = async () => {
+      const existing = await StorageManager.getEndpoints(domain);
+      const byValue = new Map();
+
+      // Drop this file from every entry, keeping entries other files still reference
+      existing.forEach(entry => {
+        const files = entry.files.filter(url => url !== fileUrl);
+        if (files.length) byValue.set(entry.value, { ...entry, files });
+      });
+
+      endpoints.forEach(endpoint => {
+        const entry = byValue.get(endpoint.value);
+        if (entry) {
+          entry.files.push(fileUrl);
+          if (!entry.kinds.includes(endpoint.kind)) entry.kinds.push(endpoint.kind);
+          if (endpoint.method && !entry.methods.includes(endpoint.method)) entry.methods.push(endpoint.method);
+        } else {
+          byValue.set(endpoint.value, {
+            value: endpoint.value,
+            kinds: [endpoint.kind],
+            methods: endpoint.method ? [endpoint.method] : [],
+            files: [fileUrl],
+            firstSeen: Date.now()
+          });
+        }
+      });
+
+      const updated = [...byValue.values()];
+      await StorageManager.set({ [StorageManager.endpointsKey(domain)]: updated });
+      return updated;
+    };
+
+    const result = this.pending.then(run);
+    this.pending = result.catch(error => {
+      console.warn('⚠️ Failed to update endpoints:', error.message);
+    });
+    return result;
+  }
+
+  /**
+   * Move endpoints from merged domains into a target domain, combining entries with the same value
+   * @param {string} target - Domain the others are merged into
+   * @param {string[]} sources - Merged domains
+   * @returns {Promise<Object[]>} - All endpoints for the target
+   */
+  static merge(target, sources) {
+    const run = async () => {
+      const byValue = new Map();
+      for (const domain of [target, ...sources]) {
+        (await StorageManager.getEndpoints(domain)).forEach(endpoint => {
+          const entry = byValue.get(endpoint.value);
+          if (!entry) {
+            byValue.set(endpoint.value, { ...endpoint });
+            return;
+          }
+          entry.kinds = [...new Set([...entry.kinds, ...endpoint.kinds])];
+          entry.methods = [...new Set([...entry.methods, ...endpoint.methods])];
+          entry.files = [...new Set([...entry.files, ...endpoint.files])];
+          entry.firstSeen = Math.min(entry.firstSeen, endpoint.firstSeen);
+        });
+      }
+
+      const merged = [...byValue.values()];
+      await StorageManager.set({ [StorageManager.endpointsKey(target)]: merged });
+      await StorageManager.remove(sources.map(domain => StorageManager.endpointsKey(domain)));
+      return merged;
+    };
+
+    const result = this.pending.then(run);
+    this.pending = result.catch(error => {
+      console.warn('⚠️ Failed to merge endpoints:', error.message);
+    });
+    return result;
+  }
+
+  /**
+   * Remove all endpoints for a domain
+   * @param {string} domain - Domain to clear
+   * @returns {Promise<void>}
+   */
+  static clear(domain) {
+    this.pending = this.pending.then(() => StorageManager.remove([StorageManager.endpointsKey(domain)]));
+    return this.pending;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * File Write Queue Module
+ * Batches file record saves and patches per domain into single IndexedDB transactions
+ */
+
+import { StorageManager } from '../modules/storage.js';
+
+export class FileWriteQueue {
+  static FLUSH_DELAY = 50; // Collect a page's burst of script requests into one write
+  static MAX_ATTEMPTS = 3;
+
+  static queues = new Map(); // domain -> {writes, timer}
+  static flushing = new Map(); // domain -> Promise of the flush in progress
+
+  /**
+   * Queue a file record save
+   * @param {string} domain - Domain to store the file under
+   * @param {Object} fileObj - File record
+   * @returns {Promise<Object>} - Resolves with the saved record once it is persisted
+   */
+  static save(domain, fileObj) {
+    return this.enqueue(domain, { type: 'save', fileObj });
+  }
+
+  /**
+   * Queue a patch of a stored (or queued) file record
+   * @param {string} domain - Domain the file is stored under
+   * @param {string} url - File URL
+   * @param {Object} patch - Fields to set
+   * @returns {Promise<Object|null>} - Resolves with the updated record, or null if the file isn't stored
+   */
+  static update(domain, url, patch) {
+    return this.enqueue(domain, { type: 'update', url, patch });
+  }
+
+  static enqueue(domain, write) {
+    return new Promise((resolve, reject) => {
+      if (!this.queues.has(domain)) {
+        this.queues.set(domain, { writes: [], timer: null });
+      }
+      const queue = this.queues.get(domain);
+      queue.writes.push({ ...write, attempts: 0, resolve, reject });
+
+      if (!queue.timer) {
+        queue.timer = setTimeout(() => this.flush(domain), this.FLUSH_DELAY);
+      }
+    });
+  }
+
+  /**
+   * Write everything queued for a domain now
+   * @param {string} domain - Domain to flush
+   * @returns {Promise<void>} - Resolves once earlier flushes and this one have finished
+   */
+  static async flush(domain) {
+    const previous = this.flushing.get(domain) || Promise.resolve();
+    const current = previous.then(() => this.writeBatch(domain));
+    this.flushing.set(domain, current);
+
+    await current;
+    if (this.flushing.get(domain) === current) {
+      this.flushing.delete(domain);
+    }
+  }
+
+  /**
+   * Write every queued domain now
+   * @returns {Promise<void>}
+   */
+  static async flushAll() {
+    await Promise.all([...this.queues.keys()].map(domain => this.flush(domain)));
+  }
+
+  static async writeBatch(domain) {
+    const queue = this.queues.get(domain);
+    if (!queue) return;
+
+    clearTimeout(queue.timer);
+    this.queues.delete(domain);
+
+    try {
+      const results = await StorageManager.applyJSFileWrites(domain, queue.writes);
+      queue.writes.forEach((write, index) => write.resolve(results[index]));
+    } catch (error) {
+      // The whole transaction rolled back: retry each write ahead of newer ones, up to MAX_ATTEMPTS
+      const retries = queue.writes.filter(write => ++write.attempts < this.MAX_ATTEMPTS);
+      queue.writes
+        .filter(write => !retries.includes(write))
+        .forEach(write => write.reject(error));
+
+      if (retries.length) {
+        console.warn(`⚠️ Failed to write ${retries.length} file records for ${domain}, retrying:`, error.message);
+        const retry = this.queues.get(domain) || { writes: [], timer: null };
+        retry.writes = [...retries, ...retry.writes];
+        retry.timer ??= setTimeout(() => this.flush(domain), this.FLUSH_DELAY * 2 ** retries[0].attempts);
+        this.queues.set(domain, retry);
+      }
+    }
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Findings Store Module
+ * Persists analysis findings per domain
+ */
+
+import { StorageManager } from '../modules/storage.js';
+
+export class FindingsStore {
+  // Writes are chained so concurrent analyses of the same domain don't overwrite each other
+  static pending = Promise.resolve();
+  static listeners = new Set();
+
+  /**
+   * Listen for findings that weren't stored before
+   * @param {function(string, Object[]): void} callback - Called with the domain and its new findings
+   */
+  static onAdded(callback) {
+    this.listeners.add(callback);
+  }
+
+  /**
+   * Replace the findings of one type for one file
+   * @param {string} domain - Domain the file belongs to
+   * @param {string} fileUrl - Analysed file URL
+   * @param {string} type - Finding type (e.g. 'secret')
+   * @param {Object[]} findings - New findings for the file
+   * @returns {Promise<Object[]>} - All findings for the domain
+   */
+  static replaceForFile(domain, fileUrl, type, findings) {
+    return this.replaceMatching(domain, f => f.file === fileUrl && f.type === type, findings);
+  }
+
+  /**
+   * Replace the findings selected by a predicate
+   * @param {string} domain - Domain the findings belong to
+   * @param {Function} matches - (finding) => true for findings to drop
+   * @param {Object[]} findings - Replacement findings
+   * @returns {Promise<Object[]>} - All findings for the domain
+   */
+  static replaceMatching(domain, matches, findings) {
+    let added = [];
+    return this.update(domain, existing => {
+      const known = new Set(existing.map(f => f.id));
+      added = findings.filter(f => !known.has(f.id));
+      const kept = existing.filter(f => !matches(f));
+      // Nothing to drop or add: keep the stored array to skip the write
+      return kept.length === existing.length && !findings.length ? existing : [...kept, ...findings];
+    }).then(all => {
+      if (added.length) {
+        this.listeners.forEach(callback => callback(domain, added));
+      }
+      return all;
+    });
+  }
+
+  /**
+   * Remove all findings for a domain
+   * @param {string} domain - Domain to clear
+   * @returns {Promise<void>}
+   */
+  static clear(domain) {
+    this.pending = this.pending.then(() => StorageManager.remove([StorageManager.findingsKey(domain)]));
+    return this.pending;
+  }
+
+  /**
+   * Move findings from merged domains into a target domain
+   * @param {string} target - Domain the others are merged into
+   * @param {string[]} sources - Merged domains
+   * @returns {Promise<Object[]>} - All findings for the target
+   */
+  static merge(target, sources) {
+    const run = async () => {
+      const byId = new Map();
+      for (const domain of [target, ...sources]) {
+        (await StorageManager.getFindings(domain)).forEach(finding => {
+          if (!byId.has(finding.id)) byId.set(finding.id, finding);
+        });
+      }
+
+      const merged = [...byId.values()];
+      await StorageManager.set({ [StorageManager.findingsKey(target)]: merged });
+      await StorageManager.remove(sources.map(domain => StorageManager.findingsKey(domain)));
+      return merged;
+    };
+
+    const result = this.pending.then(run);
+    this.pending = result.catch(error => {
+      console.warn('⚠️ Failed to merge findings:', error.message);
+    });
+    return result;
+  }
+
+  /**
+   * Apply a transform to a domain's findings
+   * @param {string} domain - Domain
+   * @param {Function} transform - (findings) => findings; returning the same array skips the write
+   * @returns {Promise<Object[]>}
+   */
+  static update(domain, transform) {
+    const run = async () => {
+      const existing = await StorageManager.getFindings(domain);
+      const updated = transform(existing);
+      if (updated !== existing) {
+        await StorageManager.set({ [StorageManager.findingsKey(domain)]: updated });
+      }
+      return updated;
+    };
+
+    const result = this.pending.then(run);
+    this.pending = result.catch(error => {
+      console.warn('⚠️ Failed to update findings:', error.message);
+    });
+    return result;
+  }
+}
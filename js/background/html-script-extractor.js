@@ -0,0 +1,124 @@
+/**
+ * HTML Script Extractor Module
+ * Finds the scripts a fetched HTML page loads, with the same selection as `findInlineAndDynamicScripts`:
+ * every http(s) `script[src]`, `link[rel=modulepreload]`, `link[rel=preload][as=script]` and import map entry.
+ *
+ * The service worker has no DOMParser, so tags are matched with regular expressions. Comments are
+ * skipped, and links are only looked for outside of script bodies.
+ */
+
+export class HtmlScriptExtractor {
+  static INITIATOR_PRIORITY = ['document', 'importmap', 'preload', 'modulepreload']; // Most specific last
+
+  static COMMENT = /<!--[\s\S]*?-->/g;
+  static SCRIPT = /<script\b((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/script\s*>/gi;
+  static LINK = /<link\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+  static BASE = /<base\b((?:[^>"']|"[^"]*"|'[^']*')*)>/i;
+  static ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  static ENTITIES = { amp: '&', quot: '"', apos: "'", lt: '<', gt: '>' };
+
+  /**
+   * Extract the scripts of a page
+   * @param {string} html - Page HTML
+   * @param {string} pageUrl - Final URL of the page, after redirects
+   * @returns {{url: string, loadedBy: {type: string, url: string, specifier?: string}}[]}
+   */
+  static extract(html, pageUrl) {
+    const page = pageUrl.split('#')[0];
+    const source = html.replace(this.COMMENT, '');
+    const baseHref = this.parseAttributes(source.match(this.BASE)?.[1] || '').href;
+    const baseUrl = this.toAbsolute(baseHref, page) || page;
+    const scripts = new Map(); // url -> loadedBy
+
+    const add = (url, loadedBy) => {
+      const current = scripts.get(url);
+      if (!current ||
+        this.INITIATOR_PRIORITY.indexOf(loadedBy.type) > this.INITIATOR_PRIORITY.indexOf(current.type)) {
+        scripts.set(url, loadedBy);
+      }
+    };
+
+    for (const [, attributeText, body] of source.matchAll(this.SCRIPT)) {
+      const attributes = this.parseAttributes(attributeText);
+      const src = this.toAbsolute(attributes.src, baseUrl);
+      if (src) {
+        add(src, { type: 'document', url: page });
+      }
+      if (attributes.type?.trim().toLowerCase() === 'importmap') {
+        this.parseImportMap(body, baseUrl).forEach(({ url, specifier }) => {
+          add(url, { type: 'importmap', url: page, specifier });
+        });
+      }
+    }
+
+    for (const [, attributeText] of source.replace(this.SCRIPT, '').matchAll(this.LINK)) {
+      const attributes = this.parseAttributes(attributeText);
+      const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+      const type = rel.includes('modulepreload') ? 'modulepreload'
+        : rel.includes('preload') && attributes.as?.trim().toLowerCase() === 'script' ? 'preload'
+          : null;
+      const href = type && this.toAbsolute(attributes.href, baseUrl);
+      if (href) {
+        add(href, { type, url: page });
+      }
+    }
+
+    return [...scripts].map(([url, loadedBy]) => ({ url, loadedBy }));
+  }
+
+  /**
+   * Parse a tag's attributes; names are lowercased and the first occurrence wins, as in the HTML parser
+   * @param {string} text - Attribute text of a tag
+   * @returns {Object<string, string>}
+   */
+  static parseAttributes(text) {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted, unquoted] of text.matchAll(this.ATTRIBUTE)) {
+      const key = name.toLowerCase();
+      if (key in attributes) continue;
+      attributes[key] = this.decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+    }
+    return attributes;
+  }
+
+  static decodeEntities(value) {
+    return value.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi, (entity, decimal, hex, name) => {
+      if (decimal) return String.fromCodePoint(Number(decimal));
+      if (hex) return String.fromCodePoint(parseInt(hex, 16));
+      return this.ENTITIES[name.toLowerCase()] ?? entity;
+    });
+  }
+
+  /**
+   * Module URLs of an import map's imports and scopes; prefix mappings (ending in /) are skipped
+   * @param {string} text - Import map JSON
+   * @param {string} baseUrl - URL the map's addresses are relative to
+   * @returns {{url: string, specifier: string}[]}
+   */
+  static parseImportMap(text, baseUrl) {
+    let map;
+    try {
+      map = JSON.parse(text);
+    } catch {
+      return [];
+    }
+
+    const tables = [map?.imports, ...Object.values(map?.scopes || {})];
+    return tables
+      .filter(table => table && typeof table === 'object')
+      .flatMap(table => Object.entries(table))
+      .filter(([, target]) => typeof target === 'string' && !target.endsWith('/'))
+      .map(([specifier, target]) => ({ url: this.toAbsolute(target, baseUrl), specifier }))
+      .filter(entry => entry.url);
+  }
+
+  static toAbsolute(url, baseUrl) {
+    if (!url?.trim()) return null;
+    try {
+      const absolute = new URL(url.trim(), baseUrl).href;
+      return absolute.startsWith('http') ? absolute : null;
+    } catch {
+      return null;
+    }
+  }
+}
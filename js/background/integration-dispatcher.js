@@ -0,0 +1,236 @@
+/**
+ * Integration Dispatcher Module
+ * Streams new files and findings to local tooling, either as JSON POSTs to a localhost HTTP endpoint
+ * or as messages to a native messaging host.
+ *
+ * Events are batched, failed batches are retried with exponential backoff, and every attempt is
+ * recorded in the delivery log. Queued events live in memory only: events still waiting when the
+ * service worker is suspended are lost.
+ */
+
+import { StorageManager } from '../modules/storage.js';
+
+export class IntegrationDispatcher {
+  static TRANSPORTS = {
+    HTTP: 'http',
+    NATIVE: 'native'
+  };
+
+  static EVENTS = {
+    FILE: 'file',
+    FINDING: 'finding',
+    TEST: 'test'
+  };
+
+  static BATCH_SIZE = 50;
+  static BATCH_DELAY = 1000; // Collect events for a second before sending
+  static MAX_QUEUE = 1000; // Oldest events are dropped beyond this
+  static MAX_ATTEMPTS = 5;
+  static BASE_BACKOFF = 1000;
+  static MAX_BACKOFF = 30000;
+  static REQUEST_TIMEOUT = 10000;
+  static MAX_LOG_ENTRIES = 200;
+  static LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+  static NATIVE_HOST_PATTERN = /^[a-z0-9_]+(?:\.[a-z0-9_]+)*$/; // Chrome's rule for native host names
+
+  static settingsPromise = null; // Reloaded when the settings change
+  static queue = [];
+  static timer = null;
+  static sending = false;
+  static logQueue = Promise.resolve(); // Serializes delivery log writes
+
+  /**
+   * Load the integration settings once; call invalidate() when they change
+   * @returns {Promise<Object>}
+   */
+  static loadSettings() {
+    if (!this.settingsPromise) {
+      this.settingsPromise = StorageManager.getIntegration();
+    }
+    return this.settingsPromise;
+  }
+
+  static invalidate() {
+    this.settingsPromise = null;
+  }
+
+  /**
+   * Queue an event if the integration is enabled and wants events of its type
+   * @param {string} type - One of EVENTS
+   * @param {Object} data - Event payload
+   */
+  static async enqueue(type, data) {
+    const settings = await this.loadSettings();
+    if (!settings.enabled) return;
+    if (type === this.EVENTS.FILE && !settings.sendFiles) return;
+    if (type === this.EVENTS.FINDING && !settings.sendFindings) return;
+
+    this.queue.push({ type, ...data, emittedAt: Date.now() });
+    if (this.queue.length > this.MAX_QUEUE) {
+      const dropped = this.queue.splice(0, this.queue.length - this.MAX_QUEUE);
+      console.warn(`⚠️ Integration queue full, dropped ${dropped.length} events`);
+    }
+    this.schedule(this.queue.length >= this.BATCH_SIZE ? 0 : this.BATCH_DELAY);
+  }
+
+  // A running flush picks up newly queued events itself
+  static schedule(delay) {
+    if (this.sending) return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), delay);
+  }
+
+  /**
+   * Send queued events in batches until the queue is empty
+   * @returns {Promise<void>}
+   */
+  static async flush() {
+    if (this.sending) return;
+    this.sending = true;
+    clearTimeout(this.timer);
+
+    try {
+      while (this.queue.length) {
+        const settings = await this.loadSettings();
+        if (!settings.enabled) {
+          this.queue = [];
+          break;
+        }
+        const events = this.queue.splice(0, this.BATCH_SIZE);
+        await this.deliverWithRetry(settings, events);
+      }
+    } finally {
+      this.sending = false;
+    }
+  }
+
+  /**
+   * Deliver one batch, backing off between failed attempts; the batch is dropped after MAX_ATTEMPTS
+   * @param {Object} settings - Integration settings
+   * @param {Object[]} events - Batch
+   * @returns {Promise<boolean>} - Whether the batch was delivered
+   */
+  static async deliverWithRetry(settings, events) {
+    for (let attempt = 1; attempt <= this.MAX_ATTEMPTS; attempt++) {
+      const result = await this.deliver(settings, this.createPayload(events));
+      this.log({ kind: 'batch', transport: settings.transport, events: events.length, attempt, ...result });
+      if (result.ok) return true;
+
+      if (attempt < this.MAX_ATTEMPTS) {
+        const backoff = Math.min(this.BASE_BACKOFF * 2 ** (attempt - 1), this.MAX_BACKOFF);
+        await new Promise(resolve => setTimeout(resolve, backoff));
+      }
+    }
+    console.warn(`⚠️ Integration gave up on ${events.length} events after ${this.MAX_ATTEMPTS} attempts`);
+    return false;
+  }
+
+  /**
+   * Send a single test event with the given (possibly unsaved) settings, without retries
+   * @param {Object} settings - Integration settings
+   * @returns {Promise<{ok: boolean, status?: number, error?: string, duration: number}>}
+   */
+  static async test(settings) {
+    const event = { type: this.EVENTS.TEST, emittedAt: Date.now(), workspace: StorageManager.workspaceId };
+    const result = await this.deliver(settings, this.createPayload([event]));
+    this.log({ kind: 'test', transport: settings.transport, events: 1, attempt: 1, ...result });
+    return result;
+  }
+
+  /**
+   * Deliver a payload over the configured transport
+   * @param {Object} settings - Integration settings
+   * @param {Object} payload - Envelope from createPayload
+   * @returns {Promise<{ok: boolean, status?: number, error?: string, duration: number}>}
+   */
+  static async deliver(settings, payload) {
+    const start = Date.now();
+    try {
+      const result = settings.transport === this.TRANSPORTS.NATIVE
+        ? await this.sendNative(settings, payload)
+        : await this.sendHttp(settings, payload);
+      return { ok: true, ...result, duration: Date.now() - start };
+    } catch (error) {
+      return { ok: false, status: error.status, error: error.message, duration: Date.now() - start };
+    }
+  }
+
+  static async sendHttp(settings, payload) {
+    if (!this.isLocalEndpoint(settings.endpoint)) {
+      throw new Error('Endpoint must be an http(s) URL on localhost');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.token) {
+      headers.Authorization = `Bearer ${settings.token}`;
+    }
+
+    const response = await fetch(settings.endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload),
+      credentials: 'omit',
+      signal: AbortSignal.timeout(this.REQUEST_TIMEOUT)
+    });
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return { status: response.status };
+  }
+
+  static async sendNative(settings, payload) {
+    if (!this.NATIVE_HOST_PATTERN.test(settings.nativeHost || '')) {
+      throw new Error('Invalid native messaging host name');
+    }
+
+    await new Promise((resolve, reject) => {
+      chrome.runtime.sendNativeMessage(settings.nativeHost, payload, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response?.ok === false) {
+          reject(new Error(response.error || 'Host rejected the events'));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+    return {};
+  }
+
+  /**
+   * Wrap events in the envelope every transport receives
+   * @param {Object[]} events - Events
+   * @returns {{source: string, version: string, sentAt: number, events: Object[]}}
+   */
+  static createPayload(events) {
+    return {
+      source: 'bugsniffer',
+      version: chrome.runtime.getManifest().version,
+      sentAt: Date.now(),
+      events
+    };
+  }
+
+  /**
+   * Check that an endpoint is an http(s) URL on the loopback interface
+   * @param {string} endpoint - Endpoint URL
+   * @returns {boolean}
+   */
+  static isLocalEndpoint(endpoint) {
+    try {
+      const url = new URL(endpoint);
+      return ['http:', 'https:'].includes(url.protocol) &&
+        (this.LOCAL_HOSTS.has(url.hostname) || /^127\.\d+\.\d+\.\d+$/.test(url.hostname));
+    } catch {
+      return false;
+    }
+  }
+
+  static log(entry) {
+    this.logQueue = this.logQueue
+      .then(() => StorageManager.addDeliveryLogEntry({ at: Date.now(), ...entry }, this.MAX_LOG_ENTRIES))
+      .catch(error => console.warn('⚠️ Failed to write delivery log:', error.message));
+  }
+}
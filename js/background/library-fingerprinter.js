@@ -0,0 +1,167 @@
+/**
+ * Library Fingerprinter Module
+ * Detects third-party libraries and their versions offline and matches them against known-vulnerable ranges.
+ *
+ * Signatures live in data/library-signatures.json, so updating them only means replacing that file.
+ * Each library has `url`, `banner` and `code` regex sources, where `{version}` captures the version, a
+ * `hashes` map of SHA-256 → version for the exact builds published to npm (and mirrored by jsDelivr, unpkg
+ * and cdnjs), and `vulnerabilities` with optional `atOrAbove` / `below` bounds, a severity, advisory
+ * identifiers and a summary. `code` patterns match the version string as minified builds keep it, for
+ * bundles that dropped the banner comment.
+ */
+
+export class LibraryFingerprinter {
+  static DATABASE_PATH = 'data/library-signatures.json';
+  static VERSION_PATTERN = '(\\d+(?:\\.\\d+)+(?:-[0-9A-Za-z.]+)?)';
+  static SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+  static database = null; // Promise of the compiled signatures
+
+  /**
+   * Load and compile the bundled signatures (once per service worker lifetime)
+   * @returns {Promise<Object[]>} - Libraries with compiled patterns
+   */
+  static load() {
+    if (!this.database) {
+      this.database = fetch(chrome.runtime.getURL(this.DATABASE_PATH))
+        .then(response => response.json())
+        .then(data => data.libraries.map(library => ({
+          ...library,
+          url: (library.url || []).map(source => this.compile(source)),
+          banner: (library.banner || []).map(source => this.compile(source)),
+          code: (library.code || []).map(source => this.compile(source)),
+          hashes: library.hashes || {},
+          vulnerabilities: library.vulnerabilities || []
+        })))
+        .catch(error => {
+          console.warn('⚠️ Failed to load library signatures:', error.message);
+          this.database = null;
+          return [];
+        });
+    }
+    return this.database;
+  }
+
+  /**
+   * Compile a signature pattern, substituting the version capture group
+   * @param {string} source - Regex source containing `{version}`
+   * @returns {RegExp}
+   */
+  static compile(source) {
+    return new RegExp(source.replace('{version}', this.VERSION_PATTERN), 'i');
+  }
+
+  /**
+   * Identify the libraries in a file
+   * @param {string} url - File URL
+   * @param {string} body - File content
+   * @param {string|undefined} sha256 - Content hash
+   * @returns {Promise<{id: string, name: string, version: string, detectedVia: string, vulnerabilities: Object[]}[]>}
+   */
+  static async identify(url, body, sha256) {
+    const libraries = await this.load();
+    const detected = [];
+
+    libraries.forEach(library => {
+      const match = this.detect(library, url, body || '', sha256);
+      if (!match) return;
+
+      detected.push({
+        id: library.id,
+        name: library.name,
+        version: match.version,
+        detectedVia: match.detectedVia,
+        vulnerabilities: this.getVulnerabilities(library, match.version)
+      });
+    });
+
+    return detected;
+  }
+
+  /**
+   * Detect one library, preferring the exact content hash, then banner comments (which bundlers
+   * keep wherever the library ends up), then version strings in the code, then the URL
+   * @returns {{version: string, detectedVia: string}|null}
+   */
+  static detect(library, url, body, sha256) {
+    if (sha256 && library.hashes[sha256]) {
+      return { version: library.hashes[sha256], detectedVia: 'hash' };
+    }
+
+    for (const pattern of library.banner) {
+      const match = body.match(pattern);
+      if (match) return { version: match[1], detectedVia: 'banner' };
+    }
+
+    for (const pattern of library.code) {
+      const match = body.match(pattern);
+      if (match) return { version: match[1], detectedVia: 'code' };
+    }
+
+    let path = url;
+    try {
+      path = new URL(url).pathname;
+    } catch {
+      // Match against the raw string
+    }
+    for (const pattern of library.url) {
+      const match = path.match(pattern);
+      if (match) return { version: match[1], detectedVia: 'url' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the advisories whose range includes a version, most severe first
+   * @param {Object} library - Library signature
+   * @param {string} version - Detected version
+   * @returns {{identifiers: string[], severity: string, summary: string}[]}
+   */
+  static getVulnerabilities(library, version) {
+    return library.vulnerabilities
+      .filter(vulnerability => this.inRange(version, vulnerability))
+      .map(({ identifiers, severity, summary }) => ({ identifiers, severity, summary }))
+      .sort((a, b) => (this.SEVERITY_ORDER[a.severity] ?? 3) - (this.SEVERITY_ORDER[b.severity] ?? 3));
+  }
+
+  /**
+   * Check a version against an `atOrAbove` (inclusive) / `below` (exclusive) range
+   * @param {string} version - Version
+   * @param {{atOrAbove?: string, below?: string}} range - Range; missing bounds are open
+   * @returns {boolean}
+   */
+  static inRange(version, range) {
+    if (range.atOrAbove && this.compareVersions(version, range.atOrAbove) < 0) return false;
+    if (range.below && this.compareVersions(version, range.below) >= 0) return false;
+    return true;
+  }
+
+  /**
+   * Compare two dotted versions; pre-releases (`3.0.0-rc1`) sort before their release
+   * @param {string} a - Version
+   * @param {string} b - Version
+   * @returns {number} - Negative, zero or positive
+   */
+  static compareVersions(a, b) {
+    const partsA = String(a).split(/[.-]/);
+    const partsB = String(b).split(/[.-]/);
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const partA = partsA[i];
+      const partB = partsB[i];
+      const numericA = partA === undefined || /^\d+$/.test(partA);
+      const numericB = partB === undefined || /^\d+$/.test(partB);
+
+      if (numericA && numericB) {
+        const difference = Number(partA || 0) - Number(partB || 0);
+        if (difference !== 0) return difference;
+      } else if (numericA !== numericB) {
+        return numericA ? 1 : -1; // A release part outranks a pre-release tag
+      } else if (partA !== partB) {
+        return partA < partB ? -1 : 1;
+      }
+    }
+    return 0;
+  }
+}
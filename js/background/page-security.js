@@ -0,0 +1,149 @@
+/**
+ * Page Security Module
+ * Flags third-party scripts loaded without Subresource Integrity and
+ * Content Security Policies that leave script execution open
+ */
+
+export class PageSecurity {
+  static SEVERITY = {
+    HIGH: 'high',
+    MEDIUM: 'medium',
+    LOW: 'low'
+  };
+
+  static RULES = {
+    MISSING_SRI: { id: 'missing-sri', name: 'Third-Party Script Without SRI', severity: this.SEVERITY.LOW },
+    UNSAFE_INLINE: { id: 'csp-unsafe-inline', name: "CSP Allows 'unsafe-inline' Scripts", severity: this.SEVERITY.MEDIUM },
+    UNSAFE_EVAL: { id: 'csp-unsafe-eval', name: "CSP Allows 'unsafe-eval'", severity: this.SEVERITY.MEDIUM },
+    WILDCARD_SOURCE: { id: 'csp-wildcard-script-src', name: 'CSP Allows Scripts From Any Host', severity: this.SEVERITY.MEDIUM },
+    WILDCARD_SUBDOMAIN: { id: 'csp-wildcard-subdomain', name: 'CSP Allows Scripts From Wildcard Subdomains', severity: this.SEVERITY.LOW },
+    NO_SCRIPT_DIRECTIVE: { id: 'csp-no-script-src', name: 'CSP Without script-src or default-src', severity: this.SEVERITY.LOW }
+  };
+
+  static DELIVERY = {
+    HEADER: 'header',
+    META: 'meta'
+  };
+
+  static POLICY_HEADER = 'content-security-policy'; // Report-only policies aren't enforced and are ignored
+  static SCRIPT_DIRECTIVES = ['script-src', 'default-src']; // The first one present governs scripts
+  static ANY_HOST_SOURCES = new Set(['*', 'http:', 'https:', 'data:', 'blob:', 'filesystem:']);
+  static MAX_CONTEXT_LENGTH = 300;
+
+  /**
+   * Find third-party script elements without an integrity attribute
+   * @param {string} pageUrl - Page the scripts were found on
+   * @param {{url: string, integrity: string|null, crossorigin: string|null}[]} scripts - Script elements
+   * @returns {Object[]} - Findings
+   */
+  static checkIntegrity(pageUrl, scripts) {
+    const pageHost = this.getHostname(pageUrl);
+    const reported = new Set();
+
+    return scripts
+      .filter(script => {
+        const host = this.getHostname(script.url);
+        if (!host || host === pageHost || script.integrity || reported.has(script.url)) return false;
+        reported.add(script.url);
+        return true;
+      })
+      .map(script => this.createFinding(this.RULES.MISSING_SRI, 'sri', pageUrl, {
+        id: `sri|${this.RULES.MISSING_SRI.id}|${pageUrl}|${script.url}`,
+        value: script.url,
+        context: `<script src="${script.url}"${script.crossorigin !== null ? ` crossorigin="${script.crossorigin}"` : ''}>`
+      }));
+  }
+
+  /**
+   * Check the policies of a CSP header or meta tag for script sources that defeat the policy
+   * @param {string} header - Header or meta content; may hold several comma-separated policies
+   * @param {string} pageUrl - Page the policy applies to
+   * @param {string} delivery - One of DELIVERY
+   * @returns {Object[]} - Findings
+   */
+  static analyzePolicy(header, pageUrl, delivery) {
+    const findings = [];
+    header.split(',').map(policy => policy.trim()).filter(Boolean).forEach((policy, index) => {
+      const directives = this.parsePolicy(policy);
+      const directive = this.SCRIPT_DIRECTIVES.find(name => directives.has(name));
+      const report = (rule, value, context) => findings.push(this.createFinding(rule, 'csp', pageUrl, {
+        id: `csp|${rule.id}|${pageUrl}|${delivery}|${index}`,
+        value,
+        context: `${delivery === this.DELIVERY.META ? '<meta>' : 'Header'}: ${context}`.slice(0, this.MAX_CONTEXT_LENGTH),
+        delivery
+      }));
+
+      if (!directive) {
+        report(this.RULES.NO_SCRIPT_DIRECTIVE, policy, policy);
+        return;
+      }
+
+      const sources = directives.get(directive);
+      const lower = sources.map(source => source.toLowerCase());
+      const context = `${directive} ${sources.join(' ')}`;
+      // Nonces and hashes disable 'unsafe-inline'; 'strict-dynamic' also disables host and scheme allowlists
+      const hasNonceOrHash = lower.some(source => /^'(?:nonce|sha256|sha384|sha512)-/.test(source));
+      const strictDynamic = lower.includes("'strict-dynamic'");
+
+      if (lower.includes("'unsafe-inline'") && !hasNonceOrHash && !strictDynamic) {
+        report(this.RULES.UNSAFE_INLINE, "'unsafe-inline'", context);
+      }
+      if (lower.includes("'unsafe-eval'")) {
+        report(this.RULES.UNSAFE_EVAL, "'unsafe-eval'", context);
+      }
+      if (strictDynamic) return;
+
+      const anyHost = sources.filter((source, i) => this.ANY_HOST_SOURCES.has(lower[i]));
+      if (anyHost.length) {
+        report(this.RULES.WILDCARD_SOURCE, anyHost.join(' '), context);
+      }
+      const subdomains = sources.filter(source => /^(?:[a-z][a-z0-9+.-]*:\/\/)?\*\./i.test(source));
+      if (subdomains.length) {
+        report(this.RULES.WILDCARD_SUBDOMAIN, subdomains.join(' '), context);
+      }
+    });
+    return findings;
+  }
+
+  /**
+   * Split a policy into its directives; the first occurrence of a directive wins
+   * @param {string} policy - Single policy
+   * @returns {Map<string, string[]>} - Lowercase directive name -> source expressions
+   */
+  static parsePolicy(policy) {
+    const directives = new Map();
+    policy.split(';').forEach(part => {
+      const [name, ...sources] = part.trim().split(/\s+/);
+      if (name && !directives.has(name.toLowerCase())) {
+        directives.set(name.toLowerCase(), sources);
+      }
+    });
+    return directives;
+  }
+
+  /**
+   * Build a page-level finding; page findings carry no line or column
+   * @returns {Object}
+   */
+  static createFinding(rule, type, pageUrl, fields) {
+    return {
+      type,
+      ruleId: rule.id,
+      rule: rule.name,
+      severity: rule.severity,
+      file: pageUrl,
+      line: null,
+      column: null,
+      ...fields,
+      foundAt: Date.now()
+    };
+  }
+
+  static getHostname(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return null;
+    }
+  }
+}
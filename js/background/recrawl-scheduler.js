@@ -0,0 +1,110 @@
+/**
+ * Recrawl Scheduler Module
+ * Revisits seed pages on a chrome.alarms schedule, so collection keeps going while the target isn't
+ * being browsed. Each seed's HTML is fetched with the browser's cookies and its scripts are extracted
+ * the way the content script finds them; scripts found are handed to the caller to store.
+ *
+ * Only the HTML is fetched: scripts the page would insert at runtime are found later, when the stored
+ * files are archived and analyzed (chunk manifests, source maps).
+ */
+
+import { HtmlScriptExtractor } from './html-script-extractor.js';
+import { StorageManager } from '../modules/storage.js';
+
+export class RecrawlScheduler {
+  static ALARM_NAME = 'bugsniffer-recrawl';
+  static FETCH_TIMEOUT = 15000;
+  static MAX_HTML_SIZE = 5 * 1024 * 1024; // Larger pages are cut off here
+  static MIN_INTERVAL = 15; // Minutes
+
+  static running = null; // Recrawl in progress, shared by alarm and manual runs
+
+  /**
+   * Create, update or clear the alarm to match the recrawl settings
+   * @returns {Promise<void>}
+   */
+  static async schedule() {
+    const settings = await StorageManager.getRecrawl();
+    if (!settings.enabled || !this.getSeeds(settings).length) {
+      await chrome.alarms.clear(this.ALARM_NAME);
+      return;
+    }
+
+    // Recreating an unchanged alarm would push its next run back on every service worker start
+    const interval = Math.max(this.MIN_INTERVAL, settings.intervalMinutes);
+    const alarm = await chrome.alarms.get(this.ALARM_NAME);
+    if (alarm?.periodInMinutes === interval) return;
+
+    await chrome.alarms.create(this.ALARM_NAME, { delayInMinutes: interval, periodInMinutes: interval });
+  }
+
+  /**
+   * List every seed page with the domain it was added for
+   * @param {Object} settings - Recrawl settings
+   * @returns {{domain: string, url: string}[]}
+   */
+  static getSeeds(settings) {
+    return Object.entries(settings.seeds).flatMap(([domain, urls]) => urls.map(url => ({ domain, url })));
+  }
+
+  /**
+   * Crawl every seed page, or join the crawl already running
+   * @param {function({url: string, loadedBy: Object}[], string): Promise<void>} store - Stores the scripts of a page
+   * @returns {Promise<{ranAt: number, seeds: Object<string, Object>}>} - Results per seed URL
+   */
+  static run(store) {
+    if (!this.running) {
+      this.running = this.crawlAll(store).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  static async crawlAll(store) {
+    const settings = await StorageManager.getRecrawl();
+    const status = { ranAt: Date.now(), seeds: {} };
+
+    // One page at a time, to stay gentle on the target
+    for (const { url } of this.getSeeds(settings)) {
+      status.seeds[url] = await this.crawl(url, store);
+    }
+
+    await StorageManager.setRecrawlStatus(status);
+    return status;
+  }
+
+  /**
+   * Fetch a seed page and store its scripts
+   * @param {string} url - Seed page URL
+   * @param {Function} store - Stores the scripts of a page
+   * @returns {Promise<{ok: boolean, at: number, httpStatus?: number, scripts?: number, error?: string}>}
+   */
+  static async crawl(url, store) {
+    const at = Date.now();
+    try {
+      const response = await fetch(url, {
+        credentials: 'include',
+        cache: 'no-cache',
+        signal: AbortSignal.timeout(this.FETCH_TIMEOUT)
+      });
+      if (!response.ok) {
+        return { ok: false, at, httpStatus: response.status, error: `HTTP ${response.status}` };
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType && !contentType.includes('html')) {
+        return { ok: false, at, httpStatus: response.status, error: `Not an HTML page (${contentType})` };
+      }
+
+      const html = (await response.text()).slice(0, this.MAX_HTML_SIZE);
+      const page = response.url || url;
+      const scripts = HtmlScriptExtractor.extract(html, page);
+      await store(scripts, page);
+      return { ok: true, at, httpStatus: response.status, scripts: scripts.length };
+    } catch (error) {
+      console.warn('⚠️ Recrawl failed:', url, error.message);
+      return { ok: false, at, error: error.name === 'TimeoutError' ? 'Timed out' : error.message };
+    }
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Response Metadata Module
+ * Extracts status, caching, CORS and source map headers from webRequest events of script requests
+ */
+
+export class ResponseMetadata {
+  static CACHE_HEADERS = {
+    cacheControl: 'cache-control',
+    etag: 'etag',
+    lastModified: 'last-modified',
+    expires: 'expires',
+    age: 'age'
+  };
+
+  static CORS_HEADERS = {
+    allowOrigin: 'access-control-allow-origin',
+    allowCredentials: 'access-control-allow-credentials',
+    exposeHeaders: 'access-control-expose-headers'
+  };
+
+  static SOURCE_MAP_HEADERS = ['sourcemap', 'x-sourcemap'];
+
+  /**
+   * Build the response record of a completed request
+   * @param {Object} details - webRequest.onCompleted details, with responseHeaders
+   * @returns {Object}
+   */
+  static fromRequest(details) {
+    const headers = details.responseHeaders || [];
+    const pick = (names) => {
+      const picked = {};
+      Object.entries(names).forEach(([key, name]) => {
+        const value = this.getHeader(headers, name);
+        if (value !== null) picked[key] = value;
+      });
+      return picked;
+    };
+
+    const response = {
+      status: details.statusCode,
+      fromCache: Boolean(details.fromCache),
+      recordedAt: Date.now()
+    };
+    if (details.ip) response.ip = details.ip;
+
+    const contentType = this.getHeader(headers, 'content-type');
+    if (contentType !== null) response.contentType = contentType;
+
+    const cache = pick(this.CACHE_HEADERS);
+    if (Object.keys(cache).length) response.cache = cache;
+
+    const cors = pick(this.CORS_HEADERS);
+    if (Object.keys(cors).length) response.cors = cors;
+
+    const sourceMap = this.SOURCE_MAP_HEADERS.map(name => this.getHeader(headers, name)).find(value => value !== null);
+    if (sourceMap) response.sourceMap = sourceMap;
+
+    return response;
+  }
+
+  /**
+   * Get a header value; repeated headers are joined with ", "
+   * @param {{name: string, value?: string}[]} headers - webRequest response headers
+   * @param {string} name - Lowercase header name
+   * @returns {string|null}
+   */
+  static getHeader(headers, name) {
+    const values = this.getHeaderValues(headers, name);
+    return values.length ? values.join(', ') : null;
+  }
+
+  /**
+   * Get every value of a (possibly repeated) header
+   * @param {{name: string, value?: string}[]} headers - webRequest response headers
+   * @param {string} name - Lowercase header name
+   * @returns {string[]}
+   */
+  static getHeaderValues(headers, name) {
+    return (headers || [])
+      .filter(header => header.name.toLowerCase() === name && header.value !== undefined)
+      .map(header => header.value);
+  }
+}
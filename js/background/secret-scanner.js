@@ -0,0 +1,262 @@
+/**
+ * Secret Scanner Module
+ * Scans JavaScript bodies for credentials, tokens and high-entropy strings
+ */
+
+export class SecretScanner {
+  static SEVERITY = {
+    HIGH: 'high',
+    MEDIUM: 'medium',
+    LOW: 'low'
+  };
+
+  static MAX_FINDINGS_PER_FILE = 200;
+  static CONTEXT_RADIUS = 60; // Characters of context either side of a match
+
+  /**
+   * Pattern rules. `group` selects the capture group holding the secret (0 = whole match).
+   */
+  static RULES = [
+    {
+      id: 'aws-access-key-id',
+      name: 'AWS Access Key ID',
+      severity: this.SEVERITY.HIGH,
+      pattern: /\b((?:AKIA|ASIA|AGPA|AIDA|AROA|AIPA|ANPA|ANVA)[A-Z0-9]{16})\b/g,
+      group: 1
+    },
+    {
+      id: 'aws-secret-access-key',
+      name: 'AWS Secret Access Key',
+      severity: this.SEVERITY.HIGH,
+      pattern: /aws.{0,20}?(?:secret|key).{0,20}?['"`]([A-Za-z0-9/+=]{40})['"`]/gi,
+      group: 1
+    },
+    {
+      id: 'google-api-key',
+      name: 'Google API Key',
+      severity: this.SEVERITY.MEDIUM,
+      pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+      group: 0
+    },
+    {
+      id: 'google-oauth-client-id',
+      name: 'Google OAuth Client ID',
+      severity: this.SEVERITY.LOW,
+      pattern: /\b[0-9]+-[0-9a-z_]{32}\.apps\.googleusercontent\.com\b/g,
+      group: 0
+    },
+    {
+      id: 'stripe-secret-key',
+      name: 'Stripe Secret Key',
+      severity: this.SEVERITY.HIGH,
+      pattern: /\b(?:sk|rk)_live_[0-9a-zA-Z]{24,99}\b/g,
+      group: 0
+    },
+    {
+      id: 'stripe-publishable-key',
+      name: 'Stripe Publishable Key',
+      severity: this.SEVERITY.LOW,
+      pattern: /\bpk_live_[0-9a-zA-Z]{24,99}\b/g,
+      group: 0
+    },
+    {
+      id: 'slack-token',
+      name: 'Slack Token',
+      severity: this.SEVERITY.HIGH,
+      pattern: /\bxox[baprs]-[0-9A-Za-z-]{10,72}\b/g,
+      group: 0
+    },
+    {
+      id: 'slack-webhook',
+      name: 'Slack Webhook URL',
+      severity: this.SEVERITY.HIGH,
+      pattern: /https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]+/g,
+      group: 0
+    },
+    {
+      id: 'github-token',
+      name: 'GitHub Token',
+      severity: this.SEVERITY.HIGH,
+      pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,
+      group: 0
+    },
+    {
+      id: 'jwt',
+      name: 'JSON Web Token',
+      severity: this.SEVERITY.MEDIUM,
+      pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+      group: 0
+    },
+    {
+      id: 'private-key',
+      name: 'Private Key',
+      severity: this.SEVERITY.HIGH,
+      pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/g,
+      group: 0
+    }
+  ];
+
+  /**
+   * Quoted string candidates for the entropy check
+   */
+  static STRING_PATTERN = /(['"`])([A-Za-z0-9+/=_-]{20,128})\1/g;
+
+  /**
+   * Identifiers that make a nearby high-entropy string look like a credential
+   */
+  static KEYWORD_PATTERN = /(?:api[_-]?key|apikey|secret|token|passw(?:or)?d|auth|credential|private[_-]?key|access[_-]?key|client[_-]?secret)[\w$]*['"`]?\s*[:=]\s*$/i;
+
+  static ENTROPY_THRESHOLDS = {
+    keyword: 3.5, // Strings assigned to credential-like names
+    standalone: 4.8 // Anything else has to look close to random base64
+  };
+
+  /**
+   * Scan a file body for secrets
+   * @param {string} body - File content
+   * @param {string} fileUrl - URL of the scanned file
+   * @returns {Object[]} - Findings
+   */
+  static scan(body, fileUrl) {
+    if (!body) return [];
+
+    const lineStarts = this.getLineStarts(body);
+    const findings = [];
+    const seen = new Set(); // Offsets already reported by a pattern rule
+
+    for (const rule of this.RULES) {
+      rule.pattern.lastIndex = 0;
+      let match;
+      while ((match = rule.pattern.exec(body)) !== null) {
+        const value = match[rule.group];
+        const offset = match.index + match[0].indexOf(value);
+        seen.add(offset);
+        findings.push(this.createFinding(rule, value, offset, body, lineStarts, fileUrl));
+        if (findings.length >= this.MAX_FINDINGS_PER_FILE) return findings;
+      }
+    }
+
+    this.STRING_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = this.STRING_PATTERN.exec(body)) !== null) {
+      const value = match[2];
+      const offset = match.index + 1;
+      if (seen.has(offset) || this.isLikelyBenign(value)) continue;
+
+      const prefix = body.slice(Math.max(0, match.index - 40), match.index);
+      const hasKeyword = this.KEYWORD_PATTERN.test(prefix);
+      const threshold = hasKeyword ? this.ENTROPY_THRESHOLDS.keyword : this.ENTROPY_THRESHOLDS.standalone;
+      if (this.entropy(value) < threshold) continue;
+
+      const rule = hasKeyword
+        ? { id: 'generic-secret', name: 'Generic Secret Assignment', severity: this.SEVERITY.MEDIUM }
+        : { id: 'high-entropy-string', name: 'High-Entropy String', severity: this.SEVERITY.LOW };
+      findings.push(this.createFinding(rule, value, offset, body, lineStarts, fileUrl));
+      if (findings.length >= this.MAX_FINDINGS_PER_FILE) break;
+    }
+
+    return findings;
+  }
+
+  /**
+   * Build a finding object
+   * @returns {Object}
+   */
+  static createFinding(rule, value, offset, body, lineStarts, fileUrl) {
+    const { line, column } = this.getPosition(lineStarts, offset);
+    return {
+      id: `secret|${rule.id}|${fileUrl}|${line}:${column}`,
+      type: 'secret',
+      ruleId: rule.id,
+      rule: rule.name,
+      severity: rule.severity,
+      value,
+      file: fileUrl,
+      line,
+      column,
+      context: this.getContext(body, offset, value.length),
+      foundAt: Date.now()
+    };
+  }
+
+  /**
+   * Skip strings that are clearly not secrets (paths, repeated chars, identifiers)
+   * @param {string} value - Candidate string
+   * @returns {boolean}
+   */
+  static isLikelyBenign(value) {
+    if (/^[a-z_-]+$/i.test(value)) return true; // Plain words and identifiers
+    if (/^[A-Z0-9_]+$/.test(value) && value.includes('_')) return true; // CONSTANT_NAMES
+    if ((value.match(/\//g) || []).length > 2) return true; // Paths
+    if (/(.)\1{5,}/.test(value)) return true; // Padding / repeated chars
+    return false;
+  }
+
+  /**
+   * Shannon entropy in bits per character
+   * @param {string} value - String to measure
+   * @returns {number}
+   */
+  static entropy(value) {
+    const counts = new Map();
+    for (const char of value) {
+      counts.set(char, (counts.get(char) || 0) + 1);
+    }
+
+    let entropy = 0;
+    for (const count of counts.values()) {
+      const p = count / value.length;
+      entropy -= p * Math.log2(p);
+    }
+    return entropy;
+  }
+
+  /**
+   * Get the offset of every line start in a body
+   * @param {string} body - File content
+   * @returns {number[]}
+   */
+  static getLineStarts(body) {
+    const starts = [0];
+    for (let i = 0; i < body.length; i++) {
+      if (body.charCodeAt(i) === 10) starts.push(i + 1);
+    }
+    return starts;
+  }
+
+  /**
+   * Convert an offset to a 1-based line and column
+   * @param {number[]} lineStarts - Line start offsets
+   * @param {number} offset - Character offset
+   * @returns {{line: number, column: number}}
+   */
+  static getPosition(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  }
+
+  /**
+   * Get surrounding context for a match, limited to its own line
+   * @param {string} body - File content
+   * @param {number} offset - Match offset
+   * @param {number} length - Match length
+   * @returns {string}
+   */
+  static getContext(body, offset, length) {
+    const lineStart = body.lastIndexOf('\n', offset) + 1;
+    const lineEndIndex = body.indexOf('\n', offset + length);
+    const lineEnd = lineEndIndex === -1 ? body.length : lineEndIndex;
+    const start = Math.max(lineStart, offset - this.CONTEXT_RADIUS);
+    const end = Math.min(lineEnd, offset + length + this.CONTEXT_RADIUS);
+    return body.slice(start, end).trim();
+  }
+}
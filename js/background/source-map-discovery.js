@@ -0,0 +1,177 @@
+/**
+ * Source Map Discovery Module
+ * Locates source maps for archived scripts and rebuilds their original source tree
+ */
+
+export class SourceMapDiscovery {
+  static FOUND_VIA = {
+    COMMENT: 'comment',
+    HEADER: 'header',
+    GUESS: 'guess'
+  };
+
+  static MAX_SIZE = 50 * 1024 * 1024; // Maps are routinely much larger than their bundle
+
+  static COMMENT_PATTERN = /\/[/*][#@]\s*sourceMappingURL=([^\s'"*]+)/g;
+
+  /**
+   * Find and fetch the source map for a script
+   * @param {string} fileUrl - Script URL
+   * @param {string} body - Script body
+   * @param {Object} headers - Lowercased response headers of the script
+   * @returns {Promise<Object|null>} - Reconstructed source map or null
+   */
+  static async discover(fileUrl, body, headers = {}) {
+    const candidates = this.findCandidates(fileUrl, body, headers);
+
+    for (const candidate of candidates) {
+      const map = await this.fetchMap(candidate.url);
+      if (!map) continue;
+
+      const mapUrl = candidate.url.startsWith('data:') ? `${fileUrl} (inline)` : candidate.url;
+      const sources = this.reconstruct(map);
+      return {
+        fileUrl,
+        mapUrl,
+        foundVia: candidate.foundVia,
+        sources,
+        sourceCount: sources.length,
+        withContent: sources.filter(source => source.content !== null).length,
+        fetchedAt: Date.now()
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * List source map locations to try, most reliable first
+   * @param {string} fileUrl - Script URL
+   * @param {string} body - Script body
+   * @param {Object} headers - Lowercased response headers
+   * @returns {{url: string, foundVia: string}[]}
+   */
+  static findCandidates(fileUrl, body, headers) {
+    const candidates = [];
+    const add = (reference, foundVia) => {
+      const url = this.resolve(reference, fileUrl);
+      if (url && !candidates.some(candidate => candidate.url === url)) {
+        candidates.push({ url, foundVia });
+      }
+    };
+
+    // The last sourceMappingURL comment wins, matching browser behaviour
+    const comments = [...(body || '').matchAll(this.COMMENT_PATTERN)];
+    if (comments.length) {
+      add(comments[comments.length - 1][1], this.FOUND_VIA.COMMENT);
+    }
+
+    const header = headers.sourcemap || headers['x-sourcemap'];
+    if (header) {
+      add(header, this.FOUND_VIA.HEADER);
+    }
+
+    // Only guess when the script doesn't tell us where its map is
+    if (!candidates.length) {
+      add(`${fileUrl.split(/[?#]/)[0]}.map`, this.FOUND_VIA.GUESS);
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Resolve a map reference against the script URL
+   * @param {string} reference - Raw reference
+   * @param {string} baseUrl - Script URL
+   * @returns {string|null}
+   */
+  static resolve(reference, baseUrl) {
+    if (reference.startsWith('data:')) return reference;
+    try {
+      return new URL(reference, baseUrl).href;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch and parse a source map
+   * @param {string} url - Map URL (http(s) or data:)
+   * @returns {Promise<Object|null>}
+   */
+  static async fetchMap(url) {
+    try {
+      const response = await fetch(url, { credentials: 'include' });
+      if (!response.ok) return null;
+
+      const declaredSize = parseInt(response.headers.get('content-length'), 10);
+      if (declaredSize > this.MAX_SIZE) return null;
+
+      // Strip the XSSI prefix some servers prepend
+      const text = (await response.text()).replace(/^\)\]\}'[^\n]*\n/, '');
+      const map = JSON.parse(text);
+      return this.isSourceMap(map) ? map : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check that parsed JSON is a source map (regular or indexed)
+   * @param {Object} map - Parsed JSON
+   * @returns {boolean}
+   */
+  static isSourceMap(map) {
+    return Boolean(map && typeof map === 'object' && map.version &&
+      (Array.isArray(map.sources) || Array.isArray(map.sections)));
+  }
+
+  /**
+   * Rebuild the original file list from a source map
+   * @param {Object} map - Parsed source map
+   * @returns {{path: string, content: string|null}[]}
+   */
+  static reconstruct(map) {
+    // Indexed maps nest regular maps in sections
+    if (Array.isArray(map.sections)) {
+      return map.sections.flatMap(section => (section.map ? this.reconstruct(section.map) : []));
+    }
+
+    const root = map.sourceRoot || '';
+    const used = new Set();
+
+    return map.sources.map((source, index) => {
+      let path = this.sanitizePath(`${root}${root && !root.endsWith('/') ? '/' : ''}${source || `source-${index}`}`);
+      if (used.has(path)) {
+        path = `${path}.${index}`;
+      }
+      used.add(path);
+
+      const content = map.sourcesContent?.[index];
+      return { path, content: typeof content === 'string' ? content : null };
+    });
+  }
+
+  /**
+   * Turn a source entry into a safe relative archive path
+   * @param {string} source - Source entry (e.g. "webpack://app/./src/index.js")
+   * @returns {string}
+   */
+  static sanitizePath(source) {
+    const withoutScheme = source
+      .replace(/^[a-z][\w+.-]*:\/\/\/?/i, '')
+      .replace(/[?#].*$/, '');
+
+    const segments = [];
+    withoutScheme.split(/[\\/]+/).forEach(segment => {
+      if (!segment || segment === '.') return;
+      if (segment === '..') {
+        segments.pop();
+        return;
+      }
+      segments.push(segment.replace(/[<>:"|?*\x00-\x1f]/g, '_'));
+    });
+
+    return segments.join('/') || 'unnamed';
+  }
+}
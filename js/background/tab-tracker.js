@@ -0,0 +1,183 @@
+/**
+ * Tab Tracker Module
+ * Tracks the scripts each tab's current page has loaded and shows their count on the toolbar badge.
+ *
+ * State is mirrored to chrome.storage.session, so it survives service worker suspension but not a
+ * browser restart. Files that weren't stored before turn the badge orange until the popup is opened.
+ */
+
+export class TabTracker {
+  static SESSION_KEY = 'bugsniffer_tabs';
+  static SAVE_DELAY = 500; // Batches session writes while a page loads its scripts
+  static MAX_BADGE_COUNT = 999;
+  static BADGE_COLORS = {
+    SEEN: '#4a4a4a',
+    UNSEEN: '#ff9500'
+  };
+
+  static tabs = new Map(); // tabId -> {files: Map<url, domain>, newUrls: Set<url>, unseen: boolean}
+  static readyPromise = null;
+  static saveTimer = null;
+
+  /**
+   * Restore the tab state saved before the service worker was suspended
+   * @returns {Promise<void>}
+   */
+  static ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = chrome.storage.session.get(this.SESSION_KEY)
+        .then(data => {
+          Object.entries(data[this.SESSION_KEY] || {}).forEach(([tabId, saved]) => {
+            this.tabs.set(Number(tabId), {
+              files: new Map(Object.entries(saved.files)),
+              newUrls: new Set(saved.newUrls),
+              unseen: saved.unseen
+            });
+          });
+        })
+        .catch(error => {
+          console.warn('⚠️ Failed to restore tab state:', error.message);
+        });
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * Record a script loaded by a tab
+   * @param {number} tabId - Tab id; negative ids (no tab) are ignored
+   * @param {string} url - Script URL
+   * @param {string} domain - Domain the script is stored under
+   * @param {boolean} isNew - Whether the script wasn't stored before
+   * @returns {boolean} - Whether the tab's current page hadn't loaded the script yet
+   */
+  static add(tabId, url, domain, isNew) {
+    if (tabId < 0) return false;
+
+    const tab = this.getOrCreate(tabId);
+    const newForTab = !tab.files.has(url);
+    tab.files.set(url, domain);
+    if (isNew) {
+      tab.newUrls.add(url);
+      tab.unseen = true;
+    }
+
+    if (newForTab || isNew) {
+      this.updateBadge(tabId);
+      this.scheduleSave();
+    }
+    return newForTab;
+  }
+
+  /**
+   * Get a tab's scripts
+   * @param {number} tabId - Tab id
+   * @returns {{files: {url: string, domain: string}[], newUrls: string[]}}
+   */
+  static get(tabId) {
+    const tab = this.tabs.get(tabId);
+    return {
+      files: tab ? [...tab.files].map(([url, domain]) => ({ url, domain })) : [],
+      newUrls: tab ? [...tab.newUrls] : []
+    };
+  }
+
+  /**
+   * Mark a tab's new scripts as seen, restoring the neutral badge colour
+   * @param {number} tabId - Tab id
+   */
+  static acknowledge(tabId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab?.unseen) return;
+    tab.unseen = false;
+    this.updateBadge(tabId);
+    this.scheduleSave();
+  }
+
+  /**
+   * Forget a tab's scripts when it navigates to another page
+   * @param {number} tabId - Tab id
+   */
+  static reset(tabId) {
+    if (!this.tabs.has(tabId)) return;
+    this.tabs.delete(tabId);
+    this.updateBadge(tabId);
+    this.scheduleSave();
+  }
+
+  /**
+   * Forget a closed tab
+   * @param {number} tabId - Tab id
+   */
+  static remove(tabId) {
+    if (this.tabs.delete(tabId)) {
+      this.scheduleSave();
+    }
+  }
+
+  /**
+   * Forget every tab (e.g. after a workspace switch) and clear their badges
+   */
+  static clear() {
+    const tabIds = [...this.tabs.keys()];
+    this.tabs.clear();
+    tabIds.forEach(tabId => this.updateBadge(tabId));
+    this.scheduleSave();
+  }
+
+  /**
+   * Summarize every tab for debugging
+   * @returns {{tabId: number, urlCount: number, newCount: number}[]}
+   */
+  static getStats() {
+    return [...this.tabs].map(([tabId, tab]) => ({ tabId, urlCount: tab.files.size, newCount: tab.newUrls.size }));
+  }
+
+  static getOrCreate(tabId) {
+    if (!this.tabs.has(tabId)) {
+      this.tabs.set(tabId, { files: new Map(), newUrls: new Set(), unseen: false });
+    }
+    return this.tabs.get(tabId);
+  }
+
+  /**
+   * Show a tab's script count on the badge, orange while it has unseen new scripts
+   * @param {number} tabId - Tab id
+   */
+  static updateBadge(tabId) {
+    if (tabId < 0) return;
+
+    const tab = this.tabs.get(tabId);
+    const count = tab?.files.size || 0;
+    const text = count > this.MAX_BADGE_COUNT ? `${this.MAX_BADGE_COUNT}+` : count ? String(count) : '';
+    const newCount = tab?.newUrls.size || 0;
+    const title = count
+      ? `BugSniffer: ${count} scripts on this page${newCount ? `, ${newCount} new` : ''}`
+      : 'BugSniffer';
+
+    // The tab may be gone by the time its last requests complete
+    const ignoreClosed = () => {};
+    chrome.action.setBadgeText({ tabId, text }).catch(ignoreClosed);
+    chrome.action.setBadgeBackgroundColor({
+      tabId,
+      color: tab?.unseen ? this.BADGE_COLORS.UNSEEN : this.BADGE_COLORS.SEEN
+    }).catch(ignoreClosed);
+    chrome.action.setTitle({ tabId, title }).catch(ignoreClosed);
+  }
+
+  static scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), this.SAVE_DELAY);
+  }
+
+  static async save() {
+    const saved = {};
+    this.tabs.forEach((tab, tabId) => {
+      saved[tabId] = { files: Object.fromEntries(tab.files), newUrls: [...tab.newUrls], unseen: tab.unseen };
+    });
+    try {
+      await chrome.storage.session.set({ [this.SESSION_KEY]: saved });
+    } catch (error) {
+      console.warn('⚠️ Failed to save tab state:', error.message);
+    }
+  }
+}
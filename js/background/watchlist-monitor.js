@@ -0,0 +1,173 @@
+/**
+ * Watchlist Monitor Module
+ * Raises a desktop notification and records an activity event when a watched domain serves a script
+ * that wasn't stored before, or when an archived script's body changes.
+ *
+ * Watching a domain covers its subdomains. Inline code is left out: its entries are keyed by a hash of
+ * their body, so every edit would show up as a new file. Events are grouped per domain for a few seconds,
+ * so a page load that brings a dozen new chunks raises a single notification.
+ */
+
+import { StorageManager } from '../modules/storage.js';
+
+export class WatchlistMonitor {
+  static EVENTS = {
+    NEW_FILE: 'new_file',
+    CHANGED: 'changed'
+  };
+
+  static NOTIFY_DELAY = 5000;
+  static MAX_ACTIVITY = 500;
+  static MAX_LISTED_FILES = 3;
+  static NOTIFICATION_PREFIX = 'bugsniffer-watch:';
+
+  static watchlistPromise = null; // Reloaded when the watchlist changes
+  static pending = new Map(); // Domain -> events waiting to be notified
+  static timers = new Map(); // Domain -> notification timer
+  static reportedChanges = new Map(); // URL -> SHA-256 of the last body reported as changed
+  static activityQueue = Promise.resolve(); // Serializes activity feed writes
+
+  /**
+   * Load the watched domains once; call invalidate() when they change
+   * @returns {Promise<string[]>}
+   */
+  static loadWatchlist() {
+    if (!this.watchlistPromise) {
+      this.watchlistPromise = StorageManager.getWatchlist();
+    }
+    return this.watchlistPromise;
+  }
+
+  static invalidate() {
+    this.watchlistPromise = null;
+  }
+
+  /**
+   * Forget events waiting for a notification (e.g. after a workspace switch)
+   */
+  static clear() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.pending.clear();
+    this.reportedChanges.clear();
+    this.invalidate();
+  }
+
+  /**
+   * Check whether a domain or one of its parent domains is watched
+   * @param {string} domain - Domain a file is stored under
+   * @param {string[]} watchlist - Watched domains
+   * @returns {boolean}
+   */
+  static isWatched(domain, watchlist) {
+    return watchlist.some(watched => domain === watched || domain.endsWith(`.${watched}`));
+  }
+
+  /**
+   * Report a file that was stored for the first time
+   * @param {Object} fileObj - Stored file record
+   */
+  static async fileAdded(fileObj) {
+    await this.record(fileObj, { type: this.EVENTS.NEW_FILE });
+  }
+
+  /**
+   * Report an archived file whose body changed
+   * @param {Object} fileObj - Stored file record
+   * @param {Object} meta - Archive metadata of the new body
+   */
+  static async fileChanged(fileObj, meta) {
+    if (this.reportedChanges.get(fileObj.url) === meta.sha256) return;
+    this.reportedChanges.set(fileObj.url, meta.sha256);
+    await this.record(fileObj, {
+      type: this.EVENTS.CHANGED,
+      sha256: meta.sha256,
+      previousSha256: meta.previousSha256
+    });
+  }
+
+  static async record(fileObj, details) {
+    if (fileObj.inline) return;
+    const watchlist = await this.loadWatchlist();
+    if (!this.isWatched(fileObj.domain, watchlist)) return;
+
+    const event = {
+      ...details,
+      domain: fileObj.domain,
+      url: fileObj.url,
+      filename: fileObj.filename,
+      at: Date.now()
+    };
+
+    this.activityQueue = this.activityQueue
+      .then(() => StorageManager.addActivity([event], this.MAX_ACTIVITY))
+      .catch(error => {
+        console.warn('⚠️ Failed to record watchlist activity:', error.message);
+      });
+
+    if (!this.pending.has(event.domain)) {
+      this.pending.set(event.domain, []);
+    }
+    this.pending.get(event.domain).push(event);
+    if (!this.timers.has(event.domain)) {
+      this.timers.set(event.domain, setTimeout(() => this.notify(event.domain), this.NOTIFY_DELAY));
+    }
+  }
+
+  /**
+   * Raise one notification for a domain's pending events
+   * @param {string} domain - Watched domain
+   */
+  static async notify(domain) {
+    const events = this.pending.get(domain) || [];
+    this.pending.delete(domain);
+    this.timers.delete(domain);
+    if (!events.length) return;
+
+    const added = events.filter(event => event.type === this.EVENTS.NEW_FILE);
+    const changed = events.filter(event => event.type === this.EVENTS.CHANGED);
+    const parts = [];
+    if (added.length) parts.push(`${added.length} new ${added.length === 1 ? 'script' : 'scripts'}`);
+    if (changed.length) parts.push(`${changed.length} changed ${changed.length === 1 ? 'script' : 'scripts'}`);
+
+    const names = [...new Set(events.map(event => event.filename))];
+    const listed = names.slice(0, this.MAX_LISTED_FILES).join(', ');
+    const more = names.length > this.MAX_LISTED_FILES ? ` +${names.length - this.MAX_LISTED_FILES} more` : '';
+
+    // A single changed file opens its diff, anything else the domain on the dashboard
+    const target = events.length === 1 && changed.length === 1
+      ? { page: 'diff', url: changed[0].url }
+      : { page: 'dashboard', domain };
+
+    try {
+      await chrome.notifications.create(`${this.NOTIFICATION_PREFIX}${JSON.stringify(target)}`, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: `👁️ ${domain}: ${parts.join(', ')}`,
+        message: `${listed}${more}`,
+        priority: 1
+      });
+    } catch (error) {
+      console.warn('⚠️ Failed to show watchlist notification:', error.message);
+    }
+  }
+
+  /**
+   * Get the extension page a notification opens
+   * @param {string} notificationId - Notification id
+   * @returns {string|null} - Page URL, or null when the notification isn't ours
+   */
+  static getTargetUrl(notificationId) {
+    if (!notificationId.startsWith(this.NOTIFICATION_PREFIX)) return null;
+
+    try {
+      const target = JSON.parse(notificationId.slice(this.NOTIFICATION_PREFIX.length));
+      if (target.page === 'diff') {
+        return chrome.runtime.getURL(`diff.html?url=${encodeURIComponent(target.url)}`);
+      }
+      return chrome.runtime.getURL(`dashboard.html?domain=${encodeURIComponent(target.domain)}`);
+    } catch {
+      return chrome.runtime.getURL('dashboard.html');
+    }
+  }
+}
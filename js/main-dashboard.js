@@ -0,0 +1,620 @@
+/**
+ * Main Dashboard Page
+ * Lists every collected domain with bulk export, clear and merge actions
+ */
+
+import { DOMUtils } from './modules/dom-utils.js';
+import { StorageManager } from './modules/storage.js';
+import { ToastManager } from './modules/toast-manager.js';
+import { FileRenderer } from './modules/file-renderer.js';
+import { ExportManager } from './modules/export-manager.js';
+import { StatsManager } from './modules/stats-manager.js';
+import { WorkspaceManager } from './modules/workspace-manager.js';
+import { LoadChain } from './modules/load-chain.js';
+import { LoadChainRenderer } from './modules/load-chain-renderer.js';
+import { URLManager } from './modules/url-manager.js';
+
+class DashboardPage {
+  static REFRESH_DELAY = 500; // Debounce for storage change bursts
+  static DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+  static ACTIVITY_LABELS = {
+    new_file: '🆕 New script',
+    changed: '✏️ Changed'
+  };
+
+  constructor() {
+    this.summaries = [];
+    this.selected = new Set();
+    this.activeDomain = null;
+    this.fileRenderer = null;
+    this.chainRenderer = new LoadChainRenderer();
+    this.showChains = false;
+    this.refreshTimer = null;
+    this.workspaces = [];
+    this.activeWorkspace = null;
+    this.watchlist = [];
+  }
+
+  /**
+   * Initialize the dashboard
+   */
+  async init() {
+    await StorageManager.ready();
+    this.setupEventListeners();
+    await this.refresh();
+
+    // Watchlist notifications link to a domain
+    const linkedDomain = new URLSearchParams(location.search).get('domain');
+    if (linkedDomain) {
+      await this.showDomain(linkedDomain);
+    }
+
+    // Keep the tables current while browsing in other tabs
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') return;
+      // Another page switched workspaces: everything shown here belongs to the old one
+      if (StorageManager.ACTIVE_WORKSPACE_KEY in changes) {
+        location.reload();
+        return;
+      }
+      this.scheduleRefresh();
+    });
+    StorageManager.onFilesChanged(() => this.scheduleRefresh());
+  }
+
+  /**
+   * Set up all event listeners
+   */
+  setupEventListeners() {
+    DOMUtils.getElement('domain-search').addEventListener('input', () => this.renderTable());
+    DOMUtils.getElement('select-all').addEventListener('change', (event) => this.handleSelectAll(event.target.checked));
+    DOMUtils.getElement('export-selected').addEventListener('click', () => this.handleExport([...this.selected]));
+    DOMUtils.getElement('merge-selected').addEventListener('click', () => this.handleMerge());
+    DOMUtils.getElement('clear-selected').addEventListener('click', () => this.handleClear());
+    DOMUtils.getElement('copy').addEventListener('click', () => this.handleCopyActive());
+    DOMUtils.getElement('download').addEventListener('click', () => this.handleExport([this.activeDomain]));
+    DOMUtils.getElement('chain-toggle').addEventListener('click', () => this.handleToggleChains());
+    DOMUtils.getElement('open-recrawl').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('recrawl.html') });
+    });
+    DOMUtils.getElement('open-integrations').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('integrations.html') });
+    });
+    DOMUtils.getElement('watch-add').addEventListener('click', () => this.handleAddWatch());
+    DOMUtils.getElement('watch-domain').addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') this.handleAddWatch();
+    });
+    DOMUtils.getElement('watch-list').addEventListener('click', (event) => {
+      const button = event.target.closest('[data-unwatch]');
+      if (button) this.handleSetWatched(button.dataset.unwatch, false);
+    });
+    DOMUtils.getElement('activity-clear').addEventListener('click', () => this.handleClearActivity());
+    DOMUtils.getElement('activity-rows').addEventListener('click', (event) => {
+      const row = event.target.closest('tr[data-url]');
+      if (row) this.openActivity(row.dataset.type, row.dataset.url);
+    });
+
+    const workspaceList = DOMUtils.getElement('workspace-list');
+    const workspaceFile = DOMUtils.getElement('workspace-file');
+    workspaceList.addEventListener('change', () => this.updateWorkspaceActions());
+    DOMUtils.getElement('workspace-switch').addEventListener('click', () => this.handleSwitchWorkspace(workspaceList.value));
+    DOMUtils.getElement('workspace-new').addEventListener('click', () => this.handleCreateWorkspace());
+    DOMUtils.getElement('workspace-archive').addEventListener('click', () => this.handleArchiveWorkspace(workspaceList.value));
+    DOMUtils.getElement('workspace-delete').addEventListener('click', () => this.handleDeleteWorkspace(workspaceList.value));
+    DOMUtils.getElement('workspace-export').addEventListener('click', () => this.handleExportWorkspace(workspaceList.value));
+    DOMUtils.getElement('workspace-import').addEventListener('click', () => workspaceFile.click());
+    workspaceFile.addEventListener('change', () => this.handleImportWorkspace(workspaceFile));
+
+    const rows = DOMUtils.getElement('domain-rows');
+    rows.addEventListener('change', (event) => {
+      if (!event.target.matches('input[type="checkbox"]')) return;
+      if (event.target.checked) {
+        this.selected.add(event.target.value);
+      } else {
+        this.selected.delete(event.target.value);
+      }
+      this.updateSelection();
+    });
+    rows.addEventListener('click', (event) => {
+      const watchButton = event.target.closest('[data-watch]');
+      if (watchButton) {
+        this.handleSetWatched(watchButton.dataset.watch, !this.watchlist.includes(watchButton.dataset.watch));
+        return;
+      }
+      const row = event.target.closest('tr[data-domain]');
+      if (row && !event.target.matches('input')) {
+        this.showDomain(row.dataset.domain);
+      }
+    });
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => this.refresh(), DashboardPage.REFRESH_DELAY);
+  }
+
+  /**
+   * Reload domain summaries and the open domain
+   */
+  async refresh() {
+    try {
+      this.summaries = await StorageManager.getDomainSummaries();
+      this.summaries.sort((a, b) => (b.lastCrawl || 0) - (a.lastCrawl || 0));
+
+      const known = new Set(this.summaries.map(summary => summary.domain));
+      this.selected.forEach(domain => {
+        if (!known.has(domain)) this.selected.delete(domain);
+      });
+
+      this.watchlist = await StorageManager.getWatchlist();
+      await this.renderWorkspaces();
+      await this.renderTotals();
+      this.renderTable();
+      this.updateSelection();
+      this.renderWatchlist();
+      await this.renderActivity();
+
+      if (this.activeDomain) {
+        await this.showDomain(known.has(this.activeDomain) ? this.activeDomain : null);
+      } else {
+        await this.renderChains();
+      }
+    } catch (error) {
+      console.error('Failed to load domains:', error);
+      ToastManager.error('Failed to load domains');
+    }
+  }
+
+  async renderTotals() {
+    const files = this.summaries.reduce((sum, summary) => sum + summary.fileCount, 0);
+    const findings = this.summaries.reduce((sum, summary) => sum + summary.findingCount, 0);
+    const { usage, quota } = await StorageManager.getUsage();
+    DOMUtils.setText('dashboard-totals', `${this.summaries.length} domains · ${files} files · ${findings} findings · ` +
+      `${StatsManager.formatBytes(usage)} of ${StatsManager.formatBytes(quota)} stored`);
+  }
+
+  /**
+   * Render the workspace list, keeping the selection
+   */
+  async renderWorkspaces() {
+    const select = DOMUtils.getElement('workspace-list');
+    const selected = select.value;
+    [this.workspaces, this.activeWorkspace] = await Promise.all([WorkspaceManager.list(), WorkspaceManager.getActive()]);
+
+    select.innerHTML = this.workspaces.map(workspace => {
+      const suffix = [
+        workspace.id === this.activeWorkspace.id ? 'active' : '',
+        workspace.archived ? 'archived' : ''
+      ].filter(Boolean).join(', ');
+      const label = suffix ? `${workspace.name} (${suffix})` : workspace.name;
+      return `<option value="${DOMUtils.escapeHTML(workspace.id)}">${DOMUtils.escapeHTML(label)}</option>`;
+    }).join('');
+    select.value = this.workspaces.some(workspace => workspace.id === selected) ? selected : this.activeWorkspace.id;
+
+    DOMUtils.setText('workspace-active', `Showing ${this.activeWorkspace.name}`);
+    this.updateWorkspaceActions();
+  }
+
+  /**
+   * Enable the workspace actions that apply to the selected workspace
+   */
+  updateWorkspaceActions() {
+    const workspace = this.workspaces.find(item => item.id === DOMUtils.getElement('workspace-list').value);
+    const isActive = workspace?.id === this.activeWorkspace?.id;
+
+    DOMUtils.setDisabled(DOMUtils.getElement('workspace-switch'), !workspace || isActive);
+    DOMUtils.setDisabled(DOMUtils.getElement('workspace-archive'), !workspace || isActive);
+    DOMUtils.setDisabled(DOMUtils.getElement('workspace-delete'),
+      !workspace || isActive || workspace.id === StorageManager.DEFAULT_WORKSPACE);
+    DOMUtils.setText('workspace-archive', workspace?.archived ? '📦 Restore' : '📦 Archive');
+  }
+
+  async handleSwitchWorkspace(id) {
+    try {
+      await WorkspaceManager.switchTo(id);
+      location.reload();
+    } catch (error) {
+      console.error('Failed to switch workspace:', error);
+      ToastManager.error('Failed to switch workspace');
+    }
+  }
+
+  async handleCreateWorkspace() {
+    const name = prompt('New workspace name:')?.trim();
+    if (!name) return;
+
+    try {
+      const workspace = await WorkspaceManager.create(name);
+      await this.renderWorkspaces();
+      DOMUtils.getElement('workspace-list').value = workspace.id;
+      this.updateWorkspaceActions();
+      ToastManager.success(`Created ${workspace.name}`);
+    } catch (error) {
+      console.error('Failed to create workspace:', error);
+      ToastManager.error('Failed to create workspace');
+    }
+  }
+
+  async handleArchiveWorkspace(id) {
+    const workspace = this.workspaces.find(item => item.id === id);
+    if (!workspace) return;
+
+    try {
+      await WorkspaceManager.setArchived(id, !workspace.archived);
+      await this.renderWorkspaces();
+      ToastManager.info(`${workspace.archived ? 'Restored' : 'Archived'} ${workspace.name}`);
+    } catch (error) {
+      console.error('Failed to archive workspace:', error);
+      ToastManager.error(error.message);
+    }
+  }
+
+  async handleDeleteWorkspace(id) {
+    const workspace = this.workspaces.find(item => item.id === id);
+    if (!workspace || !confirm(`Delete workspace "${workspace.name}" and all its files, findings and settings?`)) return;
+
+    try {
+      await WorkspaceManager.remove(id);
+      await this.renderWorkspaces();
+      ToastManager.info(`Deleted ${workspace.name}`);
+    } catch (error) {
+      console.error('Failed to delete workspace:', error);
+      ToastManager.error(error.message);
+    }
+  }
+
+  /**
+   * Download a workspace as a single JSON file
+   * @param {string} id - Workspace id
+   */
+  async handleExportWorkspace(id) {
+    try {
+      const data = await WorkspaceManager.export(id);
+      const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+      const label = data.workspace.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'workspace';
+      await chrome.downloads.download({
+        url: URL.createObjectURL(blob),
+        filename: `bugsniffer-workspace-${label}-${Date.now()}.json`,
+        saveAs: true
+      });
+      ToastManager.success(`Exported ${data.workspace.name}`);
+    } catch (error) {
+      console.error('Failed to export workspace:', error);
+      ToastManager.error('Failed to export workspace');
+    }
+  }
+
+  /**
+   * Import a workspace export as a new workspace
+   * @param {HTMLInputElement} fileInput - File input
+   */
+  async handleImportWorkspace(fileInput) {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    try {
+      const workspace = await WorkspaceManager.import(JSON.parse(await file.text()));
+      await this.renderWorkspaces();
+      DOMUtils.getElement('workspace-list').value = workspace.id;
+      this.updateWorkspaceActions();
+      ToastManager.success(`Imported ${workspace.name} — switch to it to browse its data`);
+    } catch (error) {
+      console.error('Failed to import workspace:', error);
+      ToastManager.error(error instanceof SyntaxError ? 'Could not read workspace file' : error.message);
+    }
+  }
+
+  /**
+   * Render the domain table, applying the search filter
+   */
+  renderTable() {
+    const query = DOMUtils.getElement('domain-search').value.trim().toLowerCase();
+    const visible = this.summaries.filter(summary => summary.domain.toLowerCase().includes(query));
+    const emptyElement = DOMUtils.getElement('domains-empty');
+
+    if (!this.summaries.length) {
+      DOMUtils.show(emptyElement);
+    } else {
+      DOMUtils.hide(emptyElement);
+    }
+
+    DOMUtils.getElement('domain-rows').innerHTML = visible.map(summary => `
+      <tr data-domain="${DOMUtils.escapeHTML(summary.domain)}" class="${summary.domain === this.activeDomain ? 'active' : ''}">
+        <td><input type="checkbox" value="${DOMUtils.escapeHTML(summary.domain)}" ${this.selected.has(summary.domain) ? 'checked' : ''}></td>
+        <td class="cell-domain">${DOMUtils.escapeHTML(summary.domain)}</td>
+        <td>${summary.fileCount}</td>
+        <td>${summary.archivedCount}</td>
+        <td>${summary.findingCount}</td>
+        <td>${summary.endpointCount}</td>
+        <td title="${summary.lastCrawl ? new Date(summary.lastCrawl).toLocaleString() : ''}">${this.formatTime(summary.lastCrawl)}</td>
+        <td>
+          <button class="watch-btn ${this.watchlist.includes(summary.domain) ? 'active' : ''}" data-watch="${DOMUtils.escapeHTML(summary.domain)}"
+            title="${this.watchlist.includes(summary.domain) ? 'Stop watching' : 'Watch for new and changed scripts'}">👁️</button>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  /**
+   * Show a domain's files in the detail panel
+   * @param {string|null} domain - Domain to show, or null to reset
+   */
+  async showDomain(domain) {
+    this.activeDomain = domain;
+    DOMUtils.setText('detail-domain', domain || 'Select a domain');
+    DOMUtils.getElements('#domain-rows tr').forEach(row => {
+      row.classList.toggle('active', row.dataset.domain === domain);
+    });
+
+    this.fileRenderer = new FileRenderer(domain);
+    const files = domain ? await StorageManager.getJSFileRecords(domain) : [];
+    this.fileRenderer.render(files, true);
+    await this.renderChains();
+  }
+
+  async handleToggleChains() {
+    this.showChains = !this.showChains;
+    DOMUtils.setText('chain-toggle', this.showChains ? 'Hide' : 'Show');
+    DOMUtils.getElement('chain-panel').style.display = this.showChains ? '' : 'none';
+    await this.renderChains();
+  }
+
+  /**
+   * Render the load chains of the pages that loaded files of the open domain, or of every page
+   */
+  async renderChains() {
+    if (!this.showChains) {
+      DOMUtils.setText('chain-summary', '');
+      return;
+    }
+
+    const domain = this.activeDomain;
+    const records = await StorageManager.getJSFileRecordsBetween(0);
+    const domainUrls = new Set(records.filter(record => record.domain === domain).map(record => record.url));
+    const trees = LoadChain.build(records).filter(tree => !domain ||
+      URLManager.getDomain(tree.page) === domain ||
+      LoadChain.getUrls(tree).some(url => domainUrls.has(url)));
+
+    this.chainRenderer.render(trees);
+    DOMUtils.setText('chain-summary', domain
+      ? `${trees.length} pages loading files of ${domain}`
+      : `${trees.length} pages`);
+  }
+
+  /**
+   * Render the watched domains as removable chips
+   */
+  renderWatchlist() {
+    DOMUtils.getElement('watch-list').innerHTML = this.watchlist.length
+      ? this.watchlist.map(domain => `
+        <span class="watch-chip">
+          ${DOMUtils.escapeHTML(domain)}
+          <button data-unwatch="${DOMUtils.escapeHTML(domain)}" title="Stop watching">✕</button>
+        </span>
+      `).join('')
+      : '<span class="page-subtitle">No domains watched</span>';
+  }
+
+  /**
+   * Render the watchlist activity feed, newest first
+   */
+  async renderActivity() {
+    const activity = await StorageManager.getActivity();
+    DOMUtils.getElement('activity-empty').style.display = activity.length ? 'none' : '';
+    DOMUtils.setDisabled(DOMUtils.getElement('activity-clear'), !activity.length);
+    DOMUtils.getElement('activity-rows').innerHTML = activity.slice().reverse().map(event => `
+      <tr data-type="${DOMUtils.escapeHTML(event.type)}" data-url="${DOMUtils.escapeHTML(event.url)}"
+        title="${event.type === 'changed' ? 'Open diff' : 'Open in viewer'}">
+        <td title="${new Date(event.at).toLocaleString()}">${this.formatTime(event.at)}</td>
+        <td class="cell-domain">${DOMUtils.escapeHTML(event.domain)}</td>
+        <td>${DOMUtils.escapeHTML(DashboardPage.ACTIVITY_LABELS[event.type] || event.type)}</td>
+        <td class="cell-url">${DOMUtils.escapeHTML(event.url)}</td>
+      </tr>
+    `).join('');
+  }
+
+  /**
+   * Watch a domain typed into the watchlist toolbar; it doesn't have to be collected yet
+   */
+  async handleAddWatch() {
+    const input = DOMUtils.getElement('watch-domain');
+    const domain = input.value.trim().toLowerCase();
+    if (!domain) return;
+    if (!DashboardPage.DOMAIN_PATTERN.test(domain)) {
+      ToastManager.warning('Enter a domain like example.com');
+      return;
+    }
+
+    input.value = '';
+    await this.handleSetWatched(domain, true);
+  }
+
+  /**
+   * Add a domain to the watchlist or remove it
+   * @param {string} domain - Domain
+   * @param {boolean} watched - Whether to watch it
+   */
+  async handleSetWatched(domain, watched) {
+    try {
+      this.watchlist = await StorageManager.setWatched(domain, watched);
+      this.renderTable();
+      this.renderWatchlist();
+      ToastManager.info(watched ? `Watching ${domain}` : `Stopped watching ${domain}`);
+    } catch (error) {
+      console.error('Failed to update watchlist:', error);
+      ToastManager.error('Failed to update watchlist');
+    }
+  }
+
+  async handleClearActivity() {
+    await StorageManager.clearActivity();
+    await this.renderActivity();
+    ToastManager.info('Watchlist activity cleared');
+  }
+
+  /**
+   * Open a changed file's diff, or a new file in the viewer
+   * @param {string} type - Activity event type
+   * @param {string} url - File URL
+   */
+  openActivity(type, url) {
+    const page = type === 'changed' ? 'diff.html' : 'viewer.html';
+    chrome.tabs.create({ url: chrome.runtime.getURL(`${page}?url=${encodeURIComponent(url)}`) });
+  }
+
+  handleSelectAll(checked) {
+    DOMUtils.getElements('#domain-rows input[type="checkbox"]').forEach(input => {
+      input.checked = checked;
+      if (checked) {
+        this.selected.add(input.value);
+      } else {
+        this.selected.delete(input.value);
+      }
+    });
+    this.updateSelection();
+  }
+
+  /**
+   * Reflect the selection in the toolbar
+   */
+  updateSelection() {
+    const count = this.selected.size;
+    DOMUtils.setText('selection-count', `${count} selected`);
+    DOMUtils.setDisabled(DOMUtils.getElement('export-selected'), count === 0);
+    DOMUtils.setDisabled(DOMUtils.getElement('clear-selected'), count === 0);
+    DOMUtils.setDisabled(DOMUtils.getElement('merge-selected'), count < 2);
+
+    const selectAll = DOMUtils.getElement('select-all');
+    selectAll.checked = count > 0 && count === this.summaries.length;
+  }
+
+  /**
+   * Export domains in the chosen format
+   * @param {string[]} domains - Domains to export
+   */
+  async handleExport(domains) {
+    const format = DOMUtils.getElement('export-format').value;
+
+    try {
+      const records = await ExportManager.collect(domains.filter(Boolean));
+      if (records.length === 0) {
+        ToastManager.warning('No JavaScript files to export');
+        return;
+      }
+
+      const { content, extension, mime } = ExportManager.build(format, records);
+      const label = domains.length === 1 ? domains[0] : `${domains.length}-domains`;
+      const blob = new Blob([content], { type: mime });
+      await chrome.downloads.download({
+        url: URL.createObjectURL(blob),
+        filename: `js-files-${label}-${format}-${Date.now()}.${extension}`,
+        saveAs: true
+      });
+
+      ToastManager.success(`Exported ${records.length} files`);
+    } catch (error) {
+      console.error('Failed to export files:', error);
+      ToastManager.error('Failed to export files');
+    }
+  }
+
+  /**
+   * Copy the open domain's file URLs
+   */
+  async handleCopyActive() {
+    try {
+      const urls = this.fileRenderer?.getAllUrls() || [];
+      await navigator.clipboard.writeText(urls.join('\n'));
+      ToastManager.success(`Copied ${urls.length} URLs to clipboard`);
+    } catch (error) {
+      console.error('Failed to copy URLs:', error);
+      ToastManager.error('Failed to copy URLs');
+    }
+  }
+
+  /**
+   * Clear every selected domain
+   */
+  async handleClear() {
+    const domains = [...this.selected];
+    const confirmed = confirm(`Clear all data for ${domains.length} domain(s)?\n\n${domains.join('\n')}`);
+    if (!confirmed) return;
+
+    try {
+      for (const domain of domains) {
+        const response = await chrome.runtime.sendMessage({ type: 'CLEAR_DOMAIN', domain });
+        if (!response?.success) {
+          throw new Error(response?.error || 'No response');
+        }
+      }
+      this.selected.clear();
+      ToastManager.info(`Cleared ${domains.length} domains`);
+      await this.refresh();
+    } catch (error) {
+      console.error('Failed to clear domains:', error);
+      ToastManager.error('Failed to clear domains');
+    }
+  }
+
+  /**
+   * Merge the selected domains into one; their future files are stored there too
+   */
+  async handleMerge() {
+    const domains = [...this.selected];
+    const target = prompt(
+      `Merge ${domains.length} domains into:\n\n${domains.join('\n')}`,
+      this.suggestMergeTarget(domains)
+    )?.trim().toLowerCase();
+    if (!target) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'MERGE_DOMAINS', domains, target });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+
+      this.selected.clear();
+      ToastManager.success(`Merged into ${target} (${response.count} files)`);
+      await this.refresh();
+      await this.showDomain(target);
+    } catch (error) {
+      console.error('Failed to merge domains:', error);
+      ToastManager.error('Failed to merge domains');
+    }
+  }
+
+  /**
+   * Suggest the longest common parent domain (at least two labels) of the given domains
+   * @param {string[]} domains - Domains to merge
+   * @returns {string}
+   */
+  suggestMergeTarget(domains) {
+    const labelLists = domains.map(domain => domain.split('.').reverse());
+    const common = [];
+    for (let i = 0; labelLists.every(labels => i < labels.length && labels[i] === labelLists[0][i]); i++) {
+      common.push(labelLists[0][i]);
+    }
+    return common.length >= 2 ? common.reverse().join('.') : domains[0];
+  }
+
+  /**
+   * Format a timestamp relative to now
+   * @param {number|null} timestamp - Time in milliseconds
+   * @returns {string}
+   */
+  formatTime(timestamp) {
+    if (!timestamp) return '—';
+
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    if (minutes < 24 * 60) return `${Math.round(minutes / 60)}h ago`;
+    return new Date(timestamp).toLocaleDateString();
+  }
+}
+
+// Initialize the dashboard when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new DashboardPage().init();
+});
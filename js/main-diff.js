@@ -0,0 +1,215 @@
+/**
+ * Main Diff Page
+ * Compares archived versions of a JavaScript file as a unified diff
+ */
+
+import { DOMUtils } from './modules/dom-utils.js';
+import { StorageManager } from './modules/storage.js';
+import { ToastManager } from './modules/toast-manager.js';
+import { JSBeautifier } from './modules/js-beautifier.js';
+import { TextDiff } from './modules/text-diff.js';
+
+class DiffPage {
+  constructor() {
+    this.url = null;
+    this.versions = []; // Oldest first; the current content is last
+    this.beautified = new Map();
+  }
+
+  /**
+   * Initialize the diff page
+   */
+  async init() {
+    this.url = new URLSearchParams(location.search).get('url');
+    const fileLabel = DOMUtils.getElement('diff-file');
+
+    if (!this.url) {
+      fileLabel.textContent = 'No file selected';
+      return;
+    }
+    fileLabel.textContent = this.url;
+    document.title = `BugSniffer - Diff ${this.getFilename()}`;
+
+    try {
+      await StorageManager.ready();
+      const [current, previous] = await Promise.all([
+        StorageManager.getContent(this.url),
+        StorageManager.getVersions(this.url)
+      ]);
+      this.versions = current ? [...previous, current] : previous;
+    } catch (error) {
+      console.error('Failed to load versions:', error);
+      ToastManager.error('Failed to load versions');
+      return;
+    }
+
+    if (this.versions.length < 2) {
+      this.showMessage('Only one version of this file has been archived.');
+      return;
+    }
+
+    this.populateSelects();
+    this.setupEventListeners();
+    this.render();
+  }
+
+  /**
+   * Fill both version pickers, defaulting to the last change
+   */
+  populateSelects() {
+    const oldSelect = DOMUtils.getElement('diff-old');
+    const newSelect = DOMUtils.getElement('diff-new');
+    const lastIndex = this.versions.length - 1;
+
+    [oldSelect, newSelect].forEach(select => {
+      select.innerHTML = '';
+      this.versions.forEach((version, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = this.getVersionLabel(version, index === lastIndex);
+        select.appendChild(option);
+      });
+    });
+
+    oldSelect.value = lastIndex - 1;
+    newSelect.value = lastIndex;
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    DOMUtils.getElement('diff-old').addEventListener('change', () => this.render());
+    DOMUtils.getElement('diff-new').addEventListener('change', () => this.render());
+    DOMUtils.getElement('diff-beautify').addEventListener('change', () => this.render());
+    DOMUtils.getElement('diff-download').addEventListener('click', () => this.handleDownload());
+  }
+
+  /**
+   * Get the texts being compared, beautified when requested
+   * @returns {{oldText: string, newText: string, oldVersion: Object, newVersion: Object}}
+   */
+  getSelection() {
+    const oldVersion = this.versions[DOMUtils.getElement('diff-old').value];
+    const newVersion = this.versions[DOMUtils.getElement('diff-new').value];
+    return {
+      oldVersion,
+      newVersion,
+      oldText: this.getText(oldVersion),
+      newText: this.getText(newVersion)
+    };
+  }
+
+  /**
+   * Get a version's body, beautified if the option is on (cached per hash)
+   * @param {Object} version - Content record
+   * @returns {string}
+   */
+  getText(version) {
+    if (!DOMUtils.getElement('diff-beautify').checked) return version.body;
+
+    if (!this.beautified.has(version.sha256)) {
+      this.beautified.set(version.sha256, JSBeautifier.beautify(version.body));
+    }
+    return this.beautified.get(version.sha256);
+  }
+
+  /**
+   * Render the diff of the selected versions
+   */
+  render() {
+    const output = DOMUtils.getElement('diff-output');
+    const summary = DOMUtils.getElement('diff-summary');
+    const { oldText, newText } = this.getSelection();
+
+    const ops = TextDiff.diffLines(oldText, newText);
+    if (!ops) {
+      summary.textContent = '';
+      this.showMessage('The versions differ too much to diff line by line. Download both and compare them locally.');
+      return;
+    }
+
+    const added = ops.filter(op => op.type === 'insert').length;
+    const removed = ops.filter(op => op.type === 'delete').length;
+    summary.textContent = `+${added} / -${removed} lines`;
+
+    const hunks = TextDiff.hunks(ops);
+    if (hunks.length === 0) {
+      this.showMessage('No differences.');
+      return;
+    }
+
+    const prefixes = { equal: ' ', delete: '-', insert: '+' };
+    output.innerHTML = hunks.map(hunk => `
+      <div class="diff-hunk-header">${DOMUtils.escapeHTML(hunk.header)}</div>
+      ${hunk.lines.map(line => `
+        <div class="code-line diff-${line.type}"><span class="line-number">${line.oldLine ?? ''}</span><span class="line-number">${line.newLine ?? ''}</span><span class="line-text">${prefixes[line.type]} ${DOMUtils.escapeHTML(line.text)}</span></div>
+      `.trim()).join('')}
+    `).join('');
+  }
+
+  /**
+   * Show a message in place of the diff
+   * @param {string} message - Message text
+   */
+  showMessage(message) {
+    DOMUtils.getElement('diff-output').innerHTML = `<div class="page-message">${DOMUtils.escapeHTML(message)}</div>`;
+  }
+
+  /**
+   * Handle download button click
+   */
+  async handleDownload() {
+    try {
+      const { oldText, newText, oldVersion, newVersion } = this.getSelection();
+      const diff = TextDiff.unified(
+        oldText,
+        newText,
+        `${this.getFilename()} (${oldVersion.sha256.slice(0, 12)})`,
+        `${this.getFilename()} (${newVersion.sha256.slice(0, 12)})`
+      );
+      if (diff === null) {
+        ToastManager.warning('Versions differ too much to diff');
+        return;
+      }
+
+      const blob = new Blob([diff], { type: 'text/x-diff' });
+      await chrome.downloads.download({
+        url: URL.createObjectURL(blob),
+        filename: `${this.getFilename()}.diff`,
+        saveAs: true
+      });
+    } catch (error) {
+      console.error('Failed to download diff:', error);
+      ToastManager.error('Failed to download diff');
+    }
+  }
+
+  /**
+   * Describe a version for the pickers
+   * @param {Object} version - Content record
+   * @param {boolean} isCurrent - Whether this is the current content
+   * @returns {string}
+   */
+  getVersionLabel(version, isCurrent) {
+    const date = new Date(version.fetchedAt).toLocaleString();
+    return `${isCurrent ? 'Current' : date} · ${version.sha256.slice(0, 12)} · ${version.size} bytes`;
+  }
+
+  /**
+   * Get the file name from the URL
+   * @returns {string}
+   */
+  getFilename() {
+    try {
+      return new URL(this.url).pathname.split('/').pop() || 'script.js';
+    } catch {
+      return 'script.js';
+    }
+  }
+}
+
+// Initialize the page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new DiffPage().init();
+});
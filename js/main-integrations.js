@@ -0,0 +1,169 @@
+/**
+ * Main Integrations Page
+ * Configures streaming of new files and findings to a local tool and shows the delivery log
+ */
+
+import { DOMUtils } from './modules/dom-utils.js';
+import { StorageManager } from './modules/storage.js';
+import { ToastManager } from './modules/toast-manager.js';
+
+class IntegrationsPage {
+  static TRANSPORT_LABELS = {
+    http: 'HTTP',
+    native: 'Native'
+  };
+
+  constructor() {
+    this.settings = null;
+  }
+
+  /**
+   * Initialize the page
+   */
+  async init() {
+    await StorageManager.ready();
+    this.setupEventListeners();
+    this.settings = await StorageManager.getIntegration();
+    this.fillForm(this.settings);
+    this.renderStatus();
+    await this.renderLog();
+
+    // The service worker appends to the log while events are delivered
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') return;
+      if (StorageManager.INTEGRATION_LOG_KEY in changes) {
+        this.renderLog();
+      }
+    });
+  }
+
+  /**
+   * Set up all event listeners
+   */
+  setupEventListeners() {
+    DOMUtils.getElement('integration-form').addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.handleSave();
+    });
+    DOMUtils.getElement('integration-transport').addEventListener('change', () => this.updateTransportFields());
+    DOMUtils.getElement('integration-test').addEventListener('click', () => this.handleTest());
+    DOMUtils.getElement('log-clear').addEventListener('click', () => this.handleClearLog());
+  }
+
+  /**
+   * Show settings in the form
+   * @param {Object} settings - Integration settings
+   */
+  fillForm(settings) {
+    DOMUtils.getElement('integration-enabled').checked = settings.enabled;
+    DOMUtils.getElement('integration-transport').value = settings.transport;
+    DOMUtils.getElement('integration-files').checked = settings.sendFiles;
+    DOMUtils.getElement('integration-findings').checked = settings.sendFindings;
+    DOMUtils.getElement('integration-endpoint').value = settings.endpoint;
+    DOMUtils.getElement('integration-token').value = settings.token;
+    DOMUtils.getElement('integration-host').value = settings.nativeHost;
+    this.updateTransportFields();
+  }
+
+  /**
+   * Read the settings shown in the form
+   * @returns {Object}
+   */
+  readForm() {
+    return {
+      enabled: DOMUtils.getElement('integration-enabled').checked,
+      transport: DOMUtils.getElement('integration-transport').value,
+      sendFiles: DOMUtils.getElement('integration-files').checked,
+      sendFindings: DOMUtils.getElement('integration-findings').checked,
+      endpoint: DOMUtils.getElement('integration-endpoint').value.trim(),
+      token: DOMUtils.getElement('integration-token').value.trim(),
+      nativeHost: DOMUtils.getElement('integration-host').value.trim()
+    };
+  }
+
+  // Only the fields of the selected transport are shown
+  updateTransportFields() {
+    const native = DOMUtils.getElement('integration-transport').value === 'native';
+    DOMUtils.getElement('integration-http').style.display = native ? 'none' : '';
+    DOMUtils.getElement('integration-native').style.display = native ? '' : 'none';
+  }
+
+  renderStatus() {
+    const { enabled, transport, endpoint, nativeHost } = this.settings;
+    const target = transport === 'native' ? nativeHost || 'no host set' : endpoint;
+    DOMUtils.setText('integration-status',
+      `${enabled ? 'Enabled' : 'Disabled'} · ${IntegrationsPage.TRANSPORT_LABELS[transport] || transport} → ${target}`);
+  }
+
+  async handleSave() {
+    try {
+      this.settings = this.readForm();
+      await StorageManager.setIntegration(this.settings);
+      this.renderStatus();
+      ToastManager.success('Integration saved');
+    } catch (error) {
+      console.error('Failed to save integration:', error);
+      ToastManager.error('Failed to save integration');
+    }
+  }
+
+  /**
+   * Send a test event with the settings in the form, saved or not
+   */
+  async handleTest() {
+    const button = DOMUtils.getElement('integration-test');
+    DOMUtils.setDisabled(button, true);
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'TEST_INTEGRATION', settings: this.readForm() });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+
+      const { result } = response;
+      if (result.ok) {
+        ToastManager.success(`Connected in ${result.duration} ms`);
+      } else {
+        ToastManager.error(`Connection failed: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Failed to test integration:', error);
+      ToastManager.error('Failed to test integration');
+    } finally {
+      DOMUtils.setDisabled(button, false);
+    }
+  }
+
+  async handleClearLog() {
+    await StorageManager.clearDeliveryLog();
+    ToastManager.info('Delivery log cleared');
+  }
+
+  /**
+   * Render the delivery log, newest first
+   */
+  async renderLog() {
+    const log = await StorageManager.getDeliveryLog();
+    DOMUtils.getElement('log-empty').style.display = log.length ? 'none' : '';
+    DOMUtils.getElement('log-rows').innerHTML = log.slice().reverse().map(entry => {
+      const result = entry.ok
+        ? `<span class="log-ok">✅ ${entry.status ? `HTTP ${entry.status}` : 'Delivered'}</span>`
+        : `<span class="log-failed">❌ ${DOMUtils.escapeHTML(entry.error || 'Failed')}</span>`;
+      return `
+        <tr>
+          <td title="${new Date(entry.at).toLocaleString()}">${new Date(entry.at).toLocaleTimeString()}</td>
+          <td>${DOMUtils.escapeHTML(entry.kind)}</td>
+          <td>${DOMUtils.escapeHTML(IntegrationsPage.TRANSPORT_LABELS[entry.transport] || entry.transport)}</td>
+          <td>${entry.events}</td>
+          <td>${entry.attempt}</td>
+          <td>${result}</td>
+          <td>${entry.duration} ms</td>
+        </tr>
+      `;
+    }).join('');
+  }
+}
+
+// Initialize the page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new IntegrationsPage().init();
+});
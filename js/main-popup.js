@@ -10,13 +10,37 @@ import { URLManager } from './modules/url-manager.js';
 import { ToastManager } from './modules/toast-manager.js';
 import { FileRenderer } from './modules/file-renderer.js';
 import { StatsManager } from './modules/stats-manager.js';
+import { FindingsRenderer } from './modules/findings-renderer.js';
+import { EndpointRenderer } from './modules/endpoint-renderer.js';
+import { ScopeEditor } from './modules/scope-editor.js';
+import { ExportManager } from './modules/export-manager.js';
+import { FileFilter } from './modules/file-filter.js';
+import { WorkspaceManager } from './modules/workspace-manager.js';
 
 class PopupApp {
+  static VIEWS = {
+    DOMAIN: 'domain',
+    PAGE: 'page'
+  };
+
   constructor() {
     this.currentDomain = null;
+    this.tabId = null;
+    this.pageUrl = null;
+    this.view = PopupApp.VIEWS.DOMAIN;
+    this.watched = false;
+    this.newUrls = new Set(); // Files the page loaded that weren't stored before
     this.enabled = true;
     this.fileRenderer = null;
+    this.files = [];
+    this.filter = FileFilter.createDefault();
+    this.findingsRenderer = null;
+    this.endpointRenderer = null;
+    this.scopeEditor = null;
     this.refreshInterval = null;
+    this.renderedSignature = '';
+    this.findingsSignature = '';
+    this.endpointsSignature = '';
   }
 
   /**
@@ -24,14 +48,28 @@ class PopupApp {
    */
   async init() {
     try {
-      // Get current domain
-      this.currentDomain = await URLManager.getCurrentDomain();
+      // Open the active workspace before reading any of its data
+      await StorageManager.ready();
+
+      // Get current domain (merged subdomains resolve to the domain they were merged into)
+      this.currentDomain = await StorageManager.resolveDomain(await URLManager.getCurrentDomain());
+      this.tabId = await URLManager.getCurrentTabId();
+      this.pageUrl = (await URLManager.getCurrentURL())?.split('#')[0] || null;
+      
+      // Opening the popup counts as seeing the tab's new files
+      if (this.tabId !== null) {
+        chrome.runtime.sendMessage({ type: 'ACKNOWLEDGE_TAB', tabId: this.tabId });
+      }
       
       // Initialize UI components
       await this.initializeUI();
       
       // Initialize file renderer
       this.fileRenderer = new FileRenderer(this.currentDomain);
+      this.findingsRenderer = new FindingsRenderer();
+      this.endpointRenderer = new EndpointRenderer();
+      this.scopeEditor = new ScopeEditor();
+      await this.scopeEditor.init(await URLManager.getCurrentURL());
       
       // Load initial data
       await this.loadInitialData();
@@ -63,6 +101,8 @@ class PopupApp {
 
       // Set up event listeners
       this.setupEventListeners();
+      await this.renderWorkspaces();
+      await this.renderWatchState();
 
       // Initialize enabled state
       this.enabled = await StorageManager.isEnabled();
@@ -79,21 +119,170 @@ class PopupApp {
    */
   async loadInitialData() {
     if (!this.currentDomain) {
-      this.fileRenderer?.render([], this.enabled);
+      this.files = [];
+      this.renderFiles();
+      this.findingsRenderer?.render([]);
+      this.endpointRenderer?.render([], this.enabled);
       await StatsManager.updateAll(0);
       return;
     }
 
     try {
-      const urls = await StorageManager.getJSFiles(this.currentDomain);
-      this.fileRenderer?.render(urls, this.enabled);
-      await StatsManager.updateAll(urls.length);
+      this.files = await this.loadFiles();
+      this.renderFiles();
+      this.renderedSignature = this.getSignature(this.files);
+      await StatsManager.updateAll(this.files.length);
+      await this.loadFindings();
+      await this.loadEndpoints();
     } catch (error) {
       console.error('Failed to load initial data:', error);
       ToastManager.error('Failed to load data');
     }
   }
 
+  /**
+   * Load the file records of the current view
+   * @returns {Promise<Object[]>}
+   */
+  async loadFiles() {
+    if (this.view === PopupApp.VIEWS.DOMAIN) {
+      return StorageManager.getJSFileRecords(this.currentDomain);
+    }
+
+    const response = await chrome.runtime.sendMessage({ type: 'GET_TAB_FILES', tabId: this.tabId });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response');
+    }
+    this.newUrls = new Set(response.newUrls);
+
+    // Inline code doesn't count towards the badge, but it belongs to the page all the same
+    const domainFiles = this.currentDomain ? await StorageManager.getJSFileRecords(this.currentDomain) : [];
+    const inlineFiles = domainFiles.filter(file => file.inline && file.inline.pageUrl === this.pageUrl);
+    return [...response.files, ...inlineFiles];
+  }
+
+  /**
+   * Collect findings or endpoints from every domain the page's files are stored under
+   * @param {function(string): Promise<Object[]>} getter - Loads the items of one domain
+   * @param {function(Object, Set<string>): boolean} belongsToPage - Whether an item comes from the page
+   * @returns {Promise<Object[]>}
+   */
+  async collectForPage(getter, belongsToPage) {
+    const urls = new Set(this.files.map(file => file.url));
+    if (this.pageUrl) urls.add(this.pageUrl);
+
+    const domains = [...new Set([this.currentDomain, ...this.files.map(file => file.domain)])].filter(Boolean);
+    const items = await Promise.all(domains.map(domain => getter(domain)));
+    return items.flat().filter(item => belongsToPage(item, urls));
+  }
+
+  /**
+   * Render the file list through the current search, filters and sort
+   */
+  renderFiles() {
+    this.updateFilterOptions();
+
+    const visible = this.getFilteredFiles();
+    this.fileRenderer?.render(visible, this.enabled);
+
+    const parts = [];
+    if (this.view === PopupApp.VIEWS.PAGE) {
+      const newCount = this.files.filter(file => this.newUrls.has(file.url)).length;
+      parts.push(`${this.files.length} files loaded by this page${newCount ? ` (${newCount} new)` : ''}`);
+    }
+    if (FileFilter.isActive(this.filter) && this.files.length) {
+      parts.push(`Showing ${visible.length} of ${this.files.length} files`);
+    }
+    DOMUtils.setText('filter-summary', parts.join(' · '));
+  }
+
+  /**
+   * Get the files matching the current filter, in display order
+   * @returns {Object[]}
+   */
+  getFilteredFiles() {
+    return FileFilter.apply(this.files, this.filter, this.currentDomain);
+  }
+
+  /**
+   * Rebuild the source and host filter options from the loaded files, keeping the selection
+   */
+  updateFilterOptions() {
+    const { sources, hosts } = FileFilter.getFacets(this.files);
+    const fill = (id, values, anyLabel, selected) => {
+      const select = DOMUtils.getElement(id);
+      if (!select) return;
+
+      const options = selected && !values.includes(selected) ? [...values, selected] : values;
+      select.innerHTML = [`<option value="">${anyLabel}</option>`, ...options.map(value => `
+        <option value="${DOMUtils.escapeHTML(value)}">${DOMUtils.escapeHTML(value)}</option>
+      `)].join('');
+      select.value = selected;
+    };
+
+    fill('filter-source', sources, 'Any source', this.filter.source);
+    fill('filter-host', hosts, 'Any host', this.filter.host);
+  }
+
+  /**
+   * Handle search and filter input changes
+   */
+  handleFilterChange() {
+    this.filter = {
+      text: DOMUtils.getElement('file-search')?.value || '',
+      location: DOMUtils.getElement('filter-location')?.value || FileFilter.LOCATIONS.ALL,
+      context: DOMUtils.getElement('filter-context')?.value || '',
+      source: DOMUtils.getElement('filter-source')?.value || '',
+      host: DOMUtils.getElement('filter-host')?.value || '',
+      sort: DOMUtils.getElement('filter-sort')?.value || FileFilter.SORTS.NEWEST
+    };
+    this.renderFiles();
+  }
+
+  /**
+   * Load and render findings for the current domain or page
+   * @param {boolean} force - Re-render even if nothing changed
+   */
+  async loadFindings(force = true) {
+    const findings = this.view === PopupApp.VIEWS.DOMAIN
+      ? await StorageManager.getFindings(this.currentDomain)
+      : await this.collectForPage(domain => StorageManager.getFindings(domain), (finding, urls) => urls.has(finding.file));
+    const signature = findings.map(finding => finding.id).join('|');
+    
+    if (force || signature !== this.findingsSignature) {
+      this.findingsRenderer?.render(findings);
+      StatsManager.updateFindingCounts(findings);
+      this.findingsSignature = signature;
+    }
+  }
+
+  /**
+   * Load and render extracted endpoints for the current domain or page
+   * @param {boolean} force - Re-render even if nothing changed
+   */
+  async loadEndpoints(force = true) {
+    const endpoints = await this.getViewEndpoints();
+    const signature = endpoints.map(endpoint => `${endpoint.value}:${endpoint.files.length}`).join('|');
+    
+    if (force || signature !== this.endpointsSignature) {
+      this.endpointRenderer?.render(endpoints, this.enabled);
+      this.endpointsSignature = signature;
+    }
+  }
+
+  /**
+   * Get the endpoints of the current view: the whole domain, or the files of the tab's page
+   * @returns {Promise<Array>}
+   */
+  getViewEndpoints() {
+    return this.view === PopupApp.VIEWS.DOMAIN
+      ? StorageManager.getEndpoints(this.currentDomain)
+      : this.collectForPage(
+        domain => StorageManager.getEndpoints(domain),
+        (endpoint, urls) => endpoint.files.some(url => urls.has(url))
+      );
+  }
+
   /**
    * Set up all event listeners
    */
@@ -116,11 +305,146 @@ class PopupApp {
       downloadBtn.addEventListener('click', () => this.handleDownload());
     }
 
+    // Watchlist toggle
+    const watchToggle = DOMUtils.getElement('watch-toggle');
+    if (watchToggle) {
+      watchToggle.addEventListener('click', () => this.handleToggleWatch());
+    }
+
+    // Page / domain view toggle
+    DOMUtils.getElements('.view-btn').forEach(button => {
+      button.addEventListener('click', () => this.handleViewChange(button.dataset.view));
+    });
+
+    // Workspace switcher
+    const workspaceSelect = DOMUtils.getElement('workspace-select');
+    if (workspaceSelect) {
+      workspaceSelect.addEventListener('change', () => this.handleWorkspaceChange(workspaceSelect.value));
+    }
+
+    // Dashboard button
+    const dashboardBtn = DOMUtils.getElement('open-dashboard');
+    if (dashboardBtn) {
+      dashboardBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+      });
+    }
+
+    // Export domain selector
+    const exportScopeSelect = DOMUtils.getElement('export-scope');
+    if (exportScopeSelect) {
+      exportScopeSelect.addEventListener('change', () => this.handleExportScopeChange());
+    }
+
+    // Search, filters and sort
+    const searchInput = DOMUtils.getElement('file-search');
+    if (searchInput) {
+      searchInput.addEventListener('input', () => this.handleFilterChange());
+    }
+
+    ['filter-location', 'filter-context', 'filter-source', 'filter-host', 'filter-sort'].forEach(id => {
+      const select = DOMUtils.getElement(id);
+      if (select) {
+        select.addEventListener('change', () => this.handleFilterChange());
+      }
+    });
+
     // Clear all button
     const clearBtn = DOMUtils.getElement('clear');
     if (clearBtn) {
       clearBtn.addEventListener('click', () => this.handleClear());
     }
+
+    // Endpoint copy/download buttons
+    const copyEndpointsBtn = DOMUtils.getElement('copy-endpoints');
+    if (copyEndpointsBtn) {
+      copyEndpointsBtn.addEventListener('click', () => this.handleCopyEndpoints());
+    }
+
+    const downloadEndpointsBtn = DOMUtils.getElement('download-endpoints');
+    if (downloadEndpointsBtn) {
+      downloadEndpointsBtn.addEventListener('click', () => this.handleDownloadEndpoints());
+    }
+
+    // Rescan button
+    const rescanBtn = DOMUtils.getElement('rescan');
+    if (rescanBtn) {
+      rescanBtn.addEventListener('click', () => this.handleRescan());
+    }
+  }
+
+  /**
+   * Fill the workspace switcher with the active and non-archived workspaces
+   */
+  async renderWorkspaces() {
+    const select = DOMUtils.getElement('workspace-select');
+    if (!select) return;
+
+    const [workspaces, active] = await Promise.all([WorkspaceManager.list(), WorkspaceManager.getActive()]);
+    select.innerHTML = workspaces
+      .filter(workspace => !workspace.archived || workspace.id === active.id)
+      .map(workspace => `<option value="${DOMUtils.escapeHTML(workspace.id)}">${DOMUtils.escapeHTML(workspace.name)}</option>`)
+      .join('');
+    select.value = active.id;
+  }
+
+  /**
+   * Switch workspaces and reload the popup with the new workspace's data
+   * @param {string} id - Workspace id
+   */
+  async handleWorkspaceChange(id) {
+    try {
+      await WorkspaceManager.switchTo(id);
+      location.reload();
+    } catch (error) {
+      console.error('Failed to switch workspace:', error);
+      ToastManager.error('Failed to switch workspace');
+      await this.renderWorkspaces();
+    }
+  }
+
+  /**
+   * Show whether the current domain is on the watchlist
+   */
+  async renderWatchState() {
+    const button = DOMUtils.getElement('watch-toggle');
+    if (!button) return;
+
+    this.watched = this.currentDomain ? (await StorageManager.getWatchlist()).includes(this.currentDomain) : false;
+    DOMUtils.setDisabled(button, !this.currentDomain);
+    DOMUtils.setText('watch-toggle', this.watched ? '👁️ Watching' : '👁️ Watch');
+    button.classList.toggle('active', this.watched);
+  }
+
+  /**
+   * Add the current domain to the watchlist, or remove it
+   */
+  async handleToggleWatch() {
+    if (!this.currentDomain) return;
+
+    try {
+      await StorageManager.setWatched(this.currentDomain, !this.watched);
+      await this.renderWatchState();
+      ToastManager.info(this.watched
+        ? `Watching ${this.currentDomain} for new and changed scripts`
+        : `Stopped watching ${this.currentDomain}`);
+    } catch (error) {
+      console.error('Failed to update watchlist:', error);
+      ToastManager.error('Failed to update watchlist');
+    }
+  }
+
+  /**
+   * Switch between the files of the tab's page and of the whole domain
+   * @param {string} view - One of VIEWS
+   */
+  async handleViewChange(view) {
+    if (view === this.view) return;
+    this.view = view;
+    DOMUtils.getElements('.view-btn').forEach(button => {
+      button.classList.toggle('active', button.dataset.view === view);
+    });
+    await this.loadInitialData();
   }
 
   /**
@@ -156,7 +480,7 @@ class PopupApp {
   }
 
   /**
-   * Handle copy all button click
+   * Handle copy all button click (copies the files matching the current filter)
    */
   async handleCopyAll() {
     if (!this.currentDomain) {
@@ -165,7 +489,7 @@ class PopupApp {
     }
 
     try {
-      const urls = await StorageManager.getJSFiles(this.currentDomain);
+      const urls = this.getFilteredFiles().map(file => file.url);
       
       if (!urls || urls.length === 0) {
         ToastManager.warning('No JavaScript files to copy');
@@ -181,40 +505,149 @@ class PopupApp {
   }
 
   /**
-   * Handle download button click
+   * Handle download button click: export the chosen domains in the chosen format, narrowed by the file filter
    */
   async handleDownload() {
+    const format = DOMUtils.getElement('export-format')?.value || 'urls';
+    const exportScope = DOMUtils.getElement('export-scope')?.value || 'current';
+
+    try {
+      const domains = await this.getExportDomains(exportScope);
+      if (domains.length === 0) {
+        ToastManager.error(exportScope === 'current' ? 'No domain selected' : 'No domains selected');
+        return;
+      }
+
+      // The file list filter was set for the current domain's list, so only that export goes through it
+      const collected = await ExportManager.collect(domains);
+      const records = exportScope === 'current' ? FileFilter.apply(collected, this.filter, this.currentDomain) : collected;
+      if (records.length === 0) {
+        ToastManager.warning('No JavaScript files to export');
+        return;
+      }
+
+      const { content, extension, mime } = ExportManager.build(format, records);
+      const label = exportScope === 'current' ? this.currentDomain : `${domains.length}-domains`;
+      const filename = `js-files-${label}-${format}-${Date.now()}.${extension}`;
+      await this.downloadText(content, filename, mime);
+      
+      ToastManager.success(`Exported ${records.length} files`);
+    } catch (error) {
+      console.error('Failed to export files:', error);
+      ToastManager.error('Failed to export files');
+    }
+  }
+
+  /**
+   * Resolve the domains an export covers
+   * @param {string} exportScope - current, selected or all
+   * @returns {Promise<string[]>}
+   */
+  async getExportDomains(exportScope) {
+    if (exportScope === 'all') {
+      return StorageManager.getDomains();
+    }
+    if (exportScope === 'selected') {
+      return [...DOMUtils.getElements('#export-domains input:checked')].map(input => input.value);
+    }
+    return this.currentDomain ? [this.currentDomain] : [];
+  }
+
+  /**
+   * Handle export domain selector change; list domains as checkboxes for "selected"
+   */
+  async handleExportScopeChange() {
+    const container = DOMUtils.getElement('export-domains');
+    if (!container) return;
+
+    if (DOMUtils.getElement('export-scope').value !== 'selected') {
+      DOMUtils.hide(container);
+      return;
+    }
+
+    const domains = await StorageManager.getDomains();
+    container.innerHTML = domains.length
+      ? domains.map(domain => `
+        <label class="export-domain">
+          <input type="checkbox" value="${DOMUtils.escapeHTML(domain)}" ${domain === this.currentDomain ? 'checked' : ''}>
+          ${DOMUtils.escapeHTML(domain)}
+        </label>
+      `).join('')
+      : '<div class="export-domain">No domains collected yet</div>';
+    DOMUtils.show(container);
+  }
+
+  /**
+   * Handle endpoint copy button click
+   */
+  async handleCopyEndpoints() {
     if (!this.currentDomain) {
       ToastManager.error('No domain selected');
       return;
     }
 
     try {
-      const urls = await StorageManager.getJSFiles(this.currentDomain);
+      const endpoints = await this.getViewEndpoints();
       
-      if (!urls || urls.length === 0) {
-        ToastManager.warning('No JavaScript files to download');
+      if (!endpoints || endpoints.length === 0) {
+        ToastManager.warning('No endpoints to copy');
         return;
       }
 
-      const filename = `js-files-${this.currentDomain}-${Date.now()}.txt`;
-      const content = urls.join('\n');
-      const blob = new Blob([content], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
+      const values = endpoints.map(endpoint => endpoint.value);
+      await navigator.clipboard.writeText(values.join('\n'));
+      ToastManager.success(`Copied ${values.length} endpoints to clipboard`);
+    } catch (error) {
+      console.error('Failed to copy endpoints:', error);
+      ToastManager.error('Failed to copy endpoints');
+    }
+  }
+
+  /**
+   * Handle endpoint download button click
+   */
+  async handleDownloadEndpoints() {
+    if (!this.currentDomain) {
+      ToastManager.error('No domain selected');
+      return;
+    }
+
+    try {
+      const endpoints = await this.getViewEndpoints();
       
-      await chrome.downloads.download({
-        url: url,
-        filename: filename,
-        saveAs: true
-      });
+      if (!endpoints || endpoints.length === 0) {
+        ToastManager.warning('No endpoints to download');
+        return;
+      }
+
+      const values = endpoints.map(endpoint => endpoint.value);
+      const filename = `endpoints-${this.currentDomain}-${Date.now()}.txt`;
+      await this.downloadText(values.join('\n'), filename);
       
-      ToastManager.success(`Downloaded ${urls.length} URLs`);
+      ToastManager.success(`Downloaded ${values.length} endpoints`);
     } catch (error) {
-      console.error('Failed to download URLs:', error);
-      ToastManager.error('Failed to download URLs');
+      console.error('Failed to download endpoints:', error);
+      ToastManager.error('Failed to download endpoints');
     }
   }
 
+  /**
+   * Save text content through the downloads API
+   * @param {string} content - File content
+   * @param {string} filename - Suggested filename
+   * @param {string} type - MIME type
+   */
+  async downloadText(content, filename, type = 'text/plain') {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    
+    await chrome.downloads.download({
+      url: url,
+      filename: filename,
+      saveAs: true
+    });
+  }
+
   /**
    * Handle clear button click
    */
@@ -228,8 +661,15 @@ class PopupApp {
     if (!confirmed) return;
 
     try {
-      await StorageManager.remove([this.currentDomain]);
-      this.fileRenderer?.render([], this.enabled);
+      const response = await chrome.runtime.sendMessage({ type: 'CLEAR_DOMAIN', domain: this.currentDomain });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+      this.files = [];
+      this.renderFiles();
+      this.findingsRenderer?.render([]);
+      this.endpointRenderer?.render([], this.enabled);
+      StatsManager.updateFindingCounts([]);
       await StatsManager.updateAll(0);
       ToastManager.info('Files cleared!');
     } catch (error) {
@@ -238,6 +678,29 @@ class PopupApp {
     }
   }
 
+  /**
+   * Handle rescan button click
+   */
+  async handleRescan() {
+    if (!this.currentDomain) {
+      ToastManager.error('No domain selected');
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SCAN_DOMAIN', domain: this.currentDomain });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+      
+      await this.loadFindings();
+      ToastManager.success(`Scanned ${response.analyzed} files, ${response.findings.length} findings`);
+    } catch (error) {
+      console.error('Failed to rescan files:', error);
+      ToastManager.error('Failed to rescan files');
+    }
+  }
+
   /**
    * Start refresh interval to check for new files
    */
@@ -246,19 +709,44 @@ class PopupApp {
       if (!this.currentDomain) return;
 
       try {
-        const urls = await StorageManager.getJSFiles(this.currentDomain);
-        const currentCount = this.fileRenderer?.getAllUrls().length || 0;
+        const files = await this.loadFiles();
+        const signature = this.getSignature(files);
         
-        if (urls.length !== currentCount) {
-          this.fileRenderer?.render(urls, this.enabled);
-          await StatsManager.updateAll(urls.length);
+        if (signature !== this.renderedSignature) {
+          this.files = files;
+          this.renderFiles();
+          this.renderedSignature = signature;
+          await StatsManager.updateAll(files.length);
         }
+        
+        await this.loadFindings(false);
+        await this.loadEndpoints(false);
+        await this.scopeEditor?.renderQuarantine();
       } catch (error) {
         console.error('Failed to refresh data:', error);
       }
     }, 2000); // Check every 2 seconds
   }
 
+  /**
+   * Build a change signature for a file list: everything a file item shows (archive state, content hash,
+   * change flag, source map, libraries, script element and initiator)
+   * @param {Object[]} files - File records
+   * @returns {string}
+   */
+  getSignature(files) {
+    return files.map(file => [
+      file.url,
+      file.fetch?.status || '',
+      file.fetch?.sha256 || '',
+      file.fetch?.changed ? 1 : 0,
+      file.sourceMap ? 1 : 0,
+      file.libraries?.length || 0,
+      JSON.stringify(file.scriptElement || null),
+      JSON.stringify(file.loadedBy || null)
+    ].join(':')).join('|');
+  }
+
   /**
    * Clean up resources
    */
@@ -0,0 +1,190 @@
+/**
+ * Main Recrawl Page
+ * Manages the seed pages revisited on a schedule and shows the result of their last visit
+ */
+
+import { DOMUtils } from './modules/dom-utils.js';
+import { StorageManager } from './modules/storage.js';
+import { ToastManager } from './modules/toast-manager.js';
+import { URLManager } from './modules/url-manager.js';
+
+class RecrawlPage {
+  constructor() {
+    this.settings = null;
+    this.status = null;
+  }
+
+  /**
+   * Initialize the page
+   */
+  async init() {
+    await StorageManager.ready();
+    this.setupEventListeners();
+    [this.settings, this.status] = await Promise.all([StorageManager.getRecrawl(), StorageManager.getRecrawlStatus()]);
+    this.fillForm(this.settings);
+    this.render();
+
+    // The service worker saves the results of every run
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+      if (areaName !== 'local') return;
+      if (StorageManager.scopedKey(StorageManager.RECRAWL_STATUS_KEY) in changes) {
+        this.status = await StorageManager.getRecrawlStatus();
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * Set up all event listeners
+   */
+  setupEventListeners() {
+    DOMUtils.getElement('recrawl-form').addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.handleSave();
+    });
+    DOMUtils.getElement('recrawl-run').addEventListener('click', () => this.handleRun());
+    DOMUtils.getElement('seed-add').addEventListener('click', () => this.handleAddSeed());
+    DOMUtils.getElement('seed-url').addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') this.handleAddSeed();
+    });
+    DOMUtils.getElement('seed-rows').addEventListener('click', (event) => {
+      const button = event.target.closest('[data-remove]');
+      if (button) this.handleRemoveSeed(button.dataset.domain, button.dataset.remove);
+    });
+  }
+
+  /**
+   * Show the schedule in the form
+   * @param {Object} settings - Recrawl settings
+   */
+  fillForm(settings) {
+    DOMUtils.getElement('recrawl-enabled').checked = settings.enabled;
+    DOMUtils.getElement('recrawl-interval').value = String(settings.intervalMinutes);
+  }
+
+  async handleSave() {
+    try {
+      this.settings = {
+        ...this.settings,
+        enabled: DOMUtils.getElement('recrawl-enabled').checked,
+        intervalMinutes: Number(DOMUtils.getElement('recrawl-interval').value)
+      };
+      await StorageManager.setRecrawl(this.settings);
+      this.render();
+      ToastManager.success('Recrawl schedule saved');
+    } catch (error) {
+      console.error('Failed to save recrawl schedule:', error);
+      ToastManager.error('Failed to save recrawl schedule');
+    }
+  }
+
+  /**
+   * Visit every seed page now, enabled or not
+   */
+  async handleRun() {
+    const button = DOMUtils.getElement('recrawl-run');
+    DOMUtils.setDisabled(button, true);
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'RUN_RECRAWL' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+
+      const results = Object.values(response.status.seeds);
+      const failed = results.filter(result => !result.ok).length;
+      const scripts = results.reduce((sum, result) => sum + (result.scripts || 0), 0);
+      if (failed) {
+        ToastManager.warning(`Visited ${results.length} pages, ${failed} failed`);
+      } else {
+        ToastManager.success(`Visited ${results.length} pages, found ${scripts} scripts`);
+      }
+    } catch (error) {
+      console.error('Failed to run recrawl:', error);
+      ToastManager.error('Failed to run recrawl');
+    } finally {
+      DOMUtils.setDisabled(button, false);
+    }
+  }
+
+  /**
+   * Add the typed URL as a seed page of the domain its files are stored under
+   */
+  async handleAddSeed() {
+    const input = DOMUtils.getElement('seed-url');
+    const url = input.value.trim().split('#')[0];
+    const hostname = URLManager.getDomain(url);
+    if (!hostname || !url.startsWith('http')) {
+      ToastManager.warning('Enter an http(s) page URL');
+      return;
+    }
+
+    const domain = await StorageManager.resolveDomain(hostname);
+    const seeds = this.settings.seeds[domain] || [];
+    if (seeds.includes(url)) {
+      ToastManager.info('Seed page already added');
+      return;
+    }
+
+    input.value = '';
+    await this.saveSeeds({ ...this.settings.seeds, [domain]: [...seeds, url] });
+  }
+
+  async handleRemoveSeed(domain, url) {
+    const seeds = { ...this.settings.seeds, [domain]: (this.settings.seeds[domain] || []).filter(seed => seed !== url) };
+    if (!seeds[domain].length) {
+      delete seeds[domain];
+    }
+    await this.saveSeeds(seeds);
+  }
+
+  async saveSeeds(seeds) {
+    try {
+      this.settings = { ...this.settings, seeds };
+      await StorageManager.setRecrawl(this.settings);
+      this.render();
+    } catch (error) {
+      console.error('Failed to save seed pages:', error);
+      ToastManager.error('Failed to save seed pages');
+    }
+  }
+
+  /**
+   * Render the status line and the seed table
+   */
+  render() {
+    const seeds = Object.entries(this.settings.seeds)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .flatMap(([domain, urls]) => urls.map(url => ({ domain, url })));
+    const lastRun = this.status?.ranAt ? `last run ${new Date(this.status.ranAt).toLocaleString()}` : 'never run';
+    DOMUtils.setText('recrawl-status', `${this.settings.enabled ? 'Enabled' : 'Disabled'} · ` +
+      `every ${this.settings.intervalMinutes} min · ${seeds.length} seed pages · ${lastRun}`);
+
+    DOMUtils.getElement('seed-empty').style.display = seeds.length ? 'none' : '';
+    DOMUtils.getElement('seed-rows').innerHTML = seeds.map(({ domain, url }) => {
+      const result = this.status?.seeds[url];
+      let outcome = '—';
+      if (result) {
+        outcome = result.ok
+          ? `<span class="log-ok">✅ HTTP ${result.httpStatus}</span>`
+          : `<span class="log-failed">❌ ${DOMUtils.escapeHTML(result.error || 'Failed')}</span>`;
+      }
+      return `
+        <tr>
+          <td class="cell-domain">${DOMUtils.escapeHTML(domain)}</td>
+          <td class="cell-url">${DOMUtils.escapeHTML(url)}</td>
+          <td>${result ? new Date(result.at).toLocaleString() : '—'}</td>
+          <td>${outcome}</td>
+          <td>${result?.ok ? result.scripts : '—'}</td>
+          <td>
+            <button class="seed-remove" data-domain="${DOMUtils.escapeHTML(domain)}" data-remove="${DOMUtils.escapeHTML(url)}" title="Remove">✕</button>
+          </td>
+        </tr>
+      `;
+    }).join('');
+  }
+}
+
+// Initialize the page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new RecrawlPage().init();
+});
@@ -0,0 +1,360 @@
+/**
+ * Main Viewer Page
+ * Shows an archived JavaScript file with beautification, syntax highlighting, search and line links.
+ * Open with `viewer.html?url=<file>[&line=<n>&column=<n>&length=<n>]`; positions refer to the raw
+ * file and are mapped onto the beautified view. `#L<n>` jumps to a line of the displayed text.
+ */
+
+import { DOMUtils } from './modules/dom-utils.js';
+import { StorageManager } from './modules/storage.js';
+import { ToastManager } from './modules/toast-manager.js';
+import { JSBeautifier } from './modules/js-beautifier.js';
+import { CodeHighlighter } from './modules/code-highlighter.js';
+
+class ViewerPage {
+  static MAX_MATCHES = 10000;
+  static SEARCH_DELAY = 200; // ms
+
+  constructor() {
+    this.url = null;
+    this.body = '';
+    this.bodyLineStarts = [];
+    this.beautified = null;
+    this.text = ''; // Displayed text, raw or beautified
+    this.lines = []; // Highlighted segments per displayed line
+    this.lineStarts = [];
+    this.target = null; // {line, column, length} in the raw file
+    this.matches = []; // {offset, length} in the displayed text
+    this.matchIndex = -1;
+    this.marked = null; // Line element currently highlighted
+    this.searchTimer = null;
+  }
+
+  /**
+   * Initialize the viewer page
+   */
+  async init() {
+    const params = new URLSearchParams(location.search);
+    this.url = params.get('url');
+    const fileLabel = DOMUtils.getElement('viewer-file');
+
+    if (!this.url) {
+      fileLabel.textContent = 'No file selected';
+      return;
+    }
+    fileLabel.textContent = this.url;
+    document.title = `BugSniffer - ${this.getFilename()}`;
+
+    const line = parseInt(params.get('line'), 10);
+    if (line > 0) {
+      this.target = {
+        line,
+        column: Math.max(parseInt(params.get('column'), 10) || 1, 1),
+        length: Math.max(parseInt(params.get('length'), 10) || 0, 0)
+      };
+    }
+    if (params.get('beautify') === '0') {
+      DOMUtils.getElement('viewer-beautify').checked = false;
+    }
+
+    let content;
+    try {
+      await StorageManager.ready();
+      content = await StorageManager.getContent(this.url);
+    } catch (error) {
+      console.error('Failed to load file:', error);
+      ToastManager.error('Failed to load file');
+      return;
+    }
+
+    if (!content) {
+      this.showMessage('This file has not been archived yet.');
+      return;
+    }
+
+    this.body = content.body;
+    this.bodyLineStarts = this.getLineStarts(this.body);
+    DOMUtils.getElement('viewer-summary').textContent =
+      `${content.size} bytes · SHA-256 ${content.sha256.slice(0, 12)} · fetched ${new Date(content.fetchedAt).toLocaleString()}`;
+
+    this.setupEventListeners();
+    this.render();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    const search = DOMUtils.getElement('viewer-search');
+
+    DOMUtils.getElement('viewer-beautify').addEventListener('change', () => this.render());
+    search.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.handleSearch(), ViewerPage.SEARCH_DELAY);
+    });
+    search.addEventListener('keydown', (event) => {
+      if (event.key !== 'Enter') return;
+      event.preventDefault();
+      if (this.searchTimer) {
+        this.handleSearch();
+      } else {
+        this.stepMatch(event.shiftKey ? -1 : 1);
+      }
+    });
+    DOMUtils.getElement('viewer-search-prev').addEventListener('click', () => this.stepMatch(-1));
+    DOMUtils.getElement('viewer-search-next').addEventListener('click', () => this.stepMatch(1));
+    DOMUtils.getElement('viewer-goto').addEventListener('keydown', (event) => {
+      if (event.key !== 'Enter') return;
+      const line = parseInt(event.target.value, 10);
+      if (!line) return;
+      history.replaceState(null, '', `#L${line}`);
+      this.goToLine(line);
+    });
+    window.addEventListener('hashchange', () => this.revealHash());
+  }
+
+  /**
+   * Render the file, raw or beautified, then restore the search or the requested position
+   */
+  render() {
+    const beautify = DOMUtils.getElement('viewer-beautify').checked;
+    if (beautify && this.beautified === null) {
+      this.beautified = JSBeautifier.beautify(this.body);
+    }
+
+    this.text = beautify ? this.beautified : this.body;
+    this.lines = CodeHighlighter.toLines(this.text);
+    this.lineStarts = this.getLineStarts(this.text);
+    this.marked = null;
+
+    DOMUtils.getElement('viewer-output').innerHTML = this.lines
+      .map((segments, index) => this.createLine(segments, index + 1))
+      .join('');
+    DOMUtils.getElement('viewer-goto').max = this.lines.length;
+
+    this.findMatches();
+    if (this.matches.length) {
+      this.showMatch(0);
+    } else if (this.target) {
+      this.revealTarget();
+    } else {
+      this.revealHash();
+    }
+  }
+
+  /**
+   * Create HTML for a single line
+   * @param {{type: string|null, text: string}[]} segments - Highlighted segments
+   * @param {number} number - 1-based line number
+   * @returns {string} - HTML string
+   */
+  createLine(segments, number) {
+    return `<div class="code-line" id="L${number}"><a class="line-number" href="#L${number}">${number}</a><span class="line-text">${CodeHighlighter.renderLine(segments)}</span></div>`;
+  }
+
+  /**
+   * Highlight the position the page was opened with, mapped onto the displayed text
+   */
+  revealTarget() {
+    const { line, column, length } = this.target;
+    const lineStart = this.bodyLineStarts[Math.min(line, this.bodyLineStarts.length) - 1];
+    const offset = Math.min(lineStart + column - 1, this.body.length);
+
+    const start = this.toDisplayOffset(offset);
+    const end = length ? this.toDisplayOffset(offset + length - 1) + 1 : start;
+    this.markRange(start, end);
+  }
+
+  /**
+   * Jump to the line in the location hash (#L<n>)
+   */
+  revealHash() {
+    const match = location.hash.match(/^#L(\d+)$/);
+    if (match) {
+      this.goToLine(Number(match[1]));
+    }
+  }
+
+  /**
+   * Highlight and scroll to a displayed line
+   * @param {number} line - 1-based line number
+   */
+  goToLine(line) {
+    this.setMark(Math.min(Math.max(line, 1), this.lines.length), 0, 0);
+  }
+
+  /**
+   * Run the search after the query changed and show the first match
+   */
+  handleSearch() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = null;
+
+    this.findMatches();
+    if (this.matches.length) {
+      this.showMatch(0);
+    } else {
+      this.clearMark();
+    }
+  }
+
+  /**
+   * Find case-insensitive occurrences of the search query in the displayed text
+   */
+  findMatches() {
+    const query = DOMUtils.getElement('viewer-search').value;
+    this.matches = [];
+    this.matchIndex = -1;
+
+    if (query) {
+      const pattern = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+      let match;
+      while (this.matches.length < ViewerPage.MAX_MATCHES && (match = pattern.exec(this.text)) !== null) {
+        this.matches.push({ offset: match.index, length: match[0].length });
+      }
+    }
+    this.updateMatchCount();
+  }
+
+  /**
+   * Move to the next or previous match, wrapping around
+   * @param {number} direction - 1 or -1
+   */
+  stepMatch(direction) {
+    if (!this.matches.length) return;
+    this.showMatch((this.matchIndex + direction + this.matches.length) % this.matches.length);
+  }
+
+  /**
+   * Highlight a search match
+   * @param {number} index - Index into matches
+   */
+  showMatch(index) {
+    this.matchIndex = index;
+    const { offset, length } = this.matches[index];
+    this.markRange(offset, offset + length);
+    this.updateMatchCount();
+  }
+
+  /**
+   * Update the match counter
+   */
+  updateMatchCount() {
+    const count = DOMUtils.getElement('viewer-search-count');
+    if (!DOMUtils.getElement('viewer-search').value) {
+      count.textContent = '';
+    } else if (!this.matches.length) {
+      count.textContent = 'No matches';
+    } else {
+      const total = this.matches.length >= ViewerPage.MAX_MATCHES ? `${this.matches.length}+` : this.matches.length;
+      count.textContent = `${this.matchIndex + 1} / ${total}`;
+    }
+  }
+
+  /**
+   * Highlight a range of the displayed text, clipped to the line it starts on
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   */
+  markRange(start, end) {
+    const { line, column } = this.getPosition(start);
+    const lineEnd = (this.lineStarts[line] ?? this.text.length + 1) - 1;
+    this.setMark(line, column, column + Math.min(end, lineEnd) - start);
+  }
+
+  /**
+   * Highlight a line, marking a column range within it, and scroll it into view
+   * @param {number} line - 1-based line number
+   * @param {number} start - 0-based start column
+   * @param {number} end - 0-based end column; equal to start to mark only the line
+   */
+  setMark(line, start, end) {
+    this.clearMark();
+    const element = document.getElementById(`L${line}`);
+    if (!element) return;
+
+    element.querySelector('.line-text').innerHTML =
+      CodeHighlighter.renderLine(this.lines[line - 1], end > start ? { start, end } : null);
+    element.classList.add('code-line-target');
+    element.scrollIntoView({ block: 'center' });
+    this.marked = element;
+  }
+
+  /**
+   * Remove the current line highlight
+   */
+  clearMark() {
+    if (!this.marked) return;
+
+    const line = Number(this.marked.id.slice(1));
+    this.marked.querySelector('.line-text').innerHTML = CodeHighlighter.renderLine(this.lines[line - 1]);
+    this.marked.classList.remove('code-line-target');
+    this.marked = null;
+  }
+
+  /**
+   * Map a raw file offset onto the displayed text
+   * @param {number} offset - Offset in the raw file
+   * @returns {number}
+   */
+  toDisplayOffset(offset) {
+    return this.text === this.body ? offset : JSBeautifier.mapOffset(this.body, this.text, offset);
+  }
+
+  /**
+   * Get the offsets at which each line starts
+   * @param {string} text - Text
+   * @returns {number[]}
+   */
+  getLineStarts(text) {
+    const starts = [0];
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+      starts.push(i + 1);
+    }
+    return starts;
+  }
+
+  /**
+   * Convert an offset in the displayed text to a 1-based line and 0-based column
+   * @param {number} offset - Offset
+   * @returns {{line: number, column: number}}
+   */
+  getPosition(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - this.lineStarts[low] };
+  }
+
+  /**
+   * Show a message in place of the code
+   * @param {string} message - Message text
+   */
+  showMessage(message) {
+    DOMUtils.getElement('viewer-output').innerHTML = `<div class="page-message">${DOMUtils.escapeHTML(message)}</div>`;
+  }
+
+  /**
+   * Get the file name from the URL
+   * @returns {string}
+   */
+  getFilename() {
+    try {
+      return new URL(this.url).pathname.split('/').pop() || 'script.js';
+    } catch {
+      return 'script.js';
+    }
+  }
+}
+
+// Initialize the page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new ViewerPage().init();
+});
@@ -0,0 +1,75 @@
+/**
+ * Code Highlighter Module
+ * Splits JavaScript into syntax-highlighted lines for the code viewer
+ */
+
+import { DOMUtils } from './dom-utils.js';
+import { JSTokenizer } from './js-tokenizer.js';
+
+export class CodeHighlighter {
+  static MAX_HIGHLIGHT_SIZE = 2 * 1024 * 1024; // Larger files are shown as plain text
+
+  // Token types left uncoloured
+  static PLAIN_TYPES = new Set([
+    JSTokenizer.TYPES.WHITESPACE,
+    JSTokenizer.TYPES.IDENTIFIER,
+    JSTokenizer.TYPES.PUNCTUATOR
+  ]);
+
+  /**
+   * Split source into lines of highlighted segments; multi-line tokens are split across lines
+   * @param {string} source - JavaScript source
+   * @returns {{type: string|null, text: string}[][]} - Segments per line; `type` is null for plain text
+   */
+  static toLines(source) {
+    if (source.length > this.MAX_HIGHLIGHT_SIZE) {
+      return source.split('\n').map(text => [{ type: null, text }]);
+    }
+
+    const lines = [[]];
+    JSTokenizer.tokenize(source).forEach(token => {
+      const type = this.PLAIN_TYPES.has(token.type) ? null : token.type;
+      token.value.split('\n').forEach((text, index) => {
+        if (index > 0) lines.push([]);
+        if (text) lines[lines.length - 1].push({ type, text });
+      });
+    });
+    return lines;
+  }
+
+  /**
+   * Render a line's segments as HTML, optionally marking a column range
+   * @param {{type: string|null, text: string}[]} segments - Segments from toLines()
+   * @param {{start: number, end: number}|null} mark - 0-based column range to wrap in <mark>
+   * @returns {string} - HTML string
+   */
+  static renderLine(segments, mark = null) {
+    let column = 0;
+    return segments.map(({ type, text }) => {
+      const start = column;
+      column += text.length;
+
+      const html = mark
+        ? this.markText(text, mark.start - start, mark.end - start)
+        : DOMUtils.escapeHTML(text);
+      return type ? `<span class="tok-${type}">${html}</span>` : html;
+    }).join('');
+  }
+
+  /**
+   * Escape text, wrapping the part between start and end (clamped to the text) in <mark>
+   * @param {string} text - Segment text
+   * @param {number} start - Mark start within the text
+   * @param {number} end - Mark end within the text
+   * @returns {string} - HTML string
+   */
+  static markText(text, start, end) {
+    const from = Math.max(start, 0);
+    const to = Math.min(end, text.length);
+    if (from >= to) return DOMUtils.escapeHTML(text);
+
+    return DOMUtils.escapeHTML(text.slice(0, from)) +
+      `<mark class="code-mark">${DOMUtils.escapeHTML(text.slice(from, to))}</mark>` +
+      DOMUtils.escapeHTML(text.slice(to));
+  }
+}
@@ -45,4 +45,13 @@ export class DOMUtils {
   static setDisabled(element, disabled) {
     element.disabled = disabled;
   }
+
+  static escapeHTML(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
 }
@@ -0,0 +1,98 @@
+/**
+ * Endpoint Renderer Module
+ * Handles rendering of endpoints extracted from JavaScript files
+ */
+
+import { DOMUtils } from './dom-utils.js';
+import { URLManager } from './url-manager.js';
+import { ToastManager } from './toast-manager.js';
+
+export class EndpointRenderer {
+  constructor() {
+    this.endpoints = [];
+  }
+
+  /**
+   * Render the endpoint list
+   * @param {Object[]} endpoints - Endpoints for the current domain
+   * @param {boolean} enabled - Extension enabled state
+   */
+  render(endpoints, enabled = true) {
+    const listElement = DOMUtils.getElement('endpoint-list');
+    const emptyElement = DOMUtils.getElement('endpoint-empty');
+    const copyBtn = DOMUtils.getElement('copy-endpoints');
+    const downloadBtn = DOMUtils.getElement('download-endpoints');
+    if (!listElement || !emptyElement) return;
+
+    this.endpoints = [...(endpoints || [])].sort((a, b) => a.value.localeCompare(b.value));
+
+    if (!enabled || !this.endpoints.length) {
+      listElement.innerHTML = '';
+      DOMUtils.show(emptyElement);
+      DOMUtils.setDisabled(copyBtn, true);
+      DOMUtils.setDisabled(downloadBtn, true);
+      return;
+    }
+
+    DOMUtils.hide(emptyElement);
+    DOMUtils.setDisabled(copyBtn, false);
+    DOMUtils.setDisabled(downloadBtn, false);
+
+    listElement.innerHTML = this.endpoints.map((endpoint, index) => this.createEndpointItem(endpoint, index)).join('');
+    this.attachClickHandlers();
+  }
+
+  /**
+   * Create HTML for a single endpoint
+   * @param {Object} endpoint - Endpoint entry
+   * @param {number} index - Position in the sorted list
+   * @returns {string} - HTML string
+   */
+  createEndpointItem(endpoint, index) {
+    const kindTags = endpoint.kinds
+      .map(kind => `<span class="js-tag endpoint-kind">${DOMUtils.escapeHTML(kind)}</span>`)
+      .join('');
+    const methodTags = endpoint.methods
+      .map(method => `<span class="js-tag endpoint-method">${DOMUtils.escapeHTML(method)}</span>`)
+      .join('');
+    const sources = endpoint.files.map(url => URLManager.getFilename(url)).join(', ');
+
+    return `
+      <div class="endpoint-item" data-index="${index}" title="Click to copy">
+        <div class="endpoint-value">${DOMUtils.escapeHTML(endpoint.value)}</div>
+        <div class="js-info">
+          ${methodTags}
+          ${kindTags}
+          <span class="js-tag domain-tag" title="${DOMUtils.escapeHTML(endpoint.files.join('\n'))}">
+            📄 ${DOMUtils.escapeHTML(sources)}
+          </span>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Attach click handlers to endpoint items
+   */
+  attachClickHandlers() {
+    const items = DOMUtils.getElements('.endpoint-item');
+    items.forEach(item => {
+      item.addEventListener('click', () => {
+        const endpoint = this.endpoints[Number(item.dataset.index)];
+        navigator.clipboard.writeText(endpoint.value).then(() => {
+          ToastManager.success('Endpoint copied to clipboard!');
+        }).catch(() => {
+          ToastManager.error('Failed to copy endpoint');
+        });
+      });
+    });
+  }
+
+  /**
+   * Get all rendered endpoint values
+   * @returns {string[]}
+   */
+  getAllValues() {
+    return this.endpoints.map(endpoint => endpoint.value);
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * Export Manager Module
+ * Builds JSON, CSV, Burp/Caido target and nuclei exports of collected files
+ */
+
+import { StorageManager } from './storage.js';
+
+export class ExportManager {
+  static FORMATS = {
+    urls: { extension: 'txt', mime: 'text/plain' },
+    json: { extension: 'json', mime: 'application/json' },
+    csv: { extension: 'csv', mime: 'text/csv' },
+    burp: { extension: 'json', mime: 'application/json' },
+    hosts: { extension: 'txt', mime: 'text/plain' }
+  };
+
+  static CSV_COLUMNS = [
+    'domain', 'url', 'filename', 'source', 'context', 'discoveredAt', 'tabId', 'fetchStatus', 'httpStatus',
+    'size', 'contentType', 'sha256', 'changed', 'versionCount', 'sourceMap', 'inlinePage', 'frameUrl', 'libraries', 'advisories',
+    'responseStatus', 'cacheControl', 'allowOrigin', 'sourceMapHeader', 'integrity', 'crossorigin',
+    'loadedByType', 'loadedByUrl', 'initiatorOrigin'
+  ];
+
+  /**
+   * Gather file records for the given domains
+   * @param {string[]} domains - Domains to export
+   * @returns {Promise<Object[]>} - File records tagged with their domain
+   */
+  static async collect(domains) {
+    const records = [];
+    for (const domain of domains) {
+      const files = await StorageManager.getJSFileRecords(domain);
+      files.forEach(file => records.push({ ...file, domain }));
+    }
+    return records;
+  }
+
+  /**
+   * Build an export file
+   * @param {string} format - Key of FORMATS
+   * @param {Object[]} records - File records from collect()
+   * @returns {{content: string, extension: string, mime: string}}
+   */
+  static build(format, records) {
+    const spec = this.FORMATS[format];
+    if (!spec) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const builders = {
+      urls: () => this.toURLList(records),
+      json: () => this.toJSON(records),
+      csv: () => this.toCSV(records),
+      burp: () => this.toBurpScope(records),
+      hosts: () => this.getHosts(records).join('\n')
+    };
+
+    return { content: builders[format](), extension: spec.extension, mime: spec.mime };
+  }
+
+  /**
+   * Unique URLs, one per line
+   * @param {Object[]} records - File records
+   * @returns {string}
+   */
+  static toURLList(records) {
+    return [...new Set(records.map(record => record.url))].join('\n');
+  }
+
+  /**
+   * Full metadata export
+   * @param {Object[]} records - File records
+   * @returns {string}
+   */
+  static toJSON(records) {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      version: chrome.runtime.getManifest().version,
+      domains: [...new Set(records.map(record => record.domain))],
+      files: records
+    }, null, 2);
+  }
+
+  /**
+   * One row per file with flattened archive metadata
+   * @param {Object[]} records - File records
+   * @returns {string}
+   */
+  static toCSV(records) {
+    const rows = records.map(record => [
+      record.domain,
+      record.url,
+      record.filename,
+      record.source,
+      record.context || 'page',
+      record.discoveredAt ? new Date(record.discoveredAt).toISOString() : '',
+      record.tabId,
+      record.fetch?.status,
+      record.fetch?.httpStatus,
+      record.fetch?.size,
+      record.fetch?.contentType,
+      record.fetch?.sha256,
+      record.fetch?.changed,
+      record.fetch?.versionCount,
+      record.sourceMap?.url,
+      record.inline?.pageUrl,
+      record.frame?.url,
+      record.libraries?.map(library => `${library.id}@${library.version}`).join(' '),
+      [...new Set((record.libraries || []).flatMap(library =>
+        library.vulnerabilities.flatMap(vulnerability => vulnerability.identifiers)
+      ))].join(' '),
+      record.response?.status,
+      record.response?.cache?.cacheControl,
+      record.response?.cors?.allowOrigin,
+      record.response?.sourceMap,
+      record.scriptElement?.integrity,
+      record.scriptElement?.crossorigin,
+      record.loadedBy?.type,
+      record.loadedBy?.url,
+      record.initiatorOrigin
+    ]);
+
+    return [this.CSV_COLUMNS, ...rows]
+      .map(row => row.map(value => this.escapeCSV(value)).join(','))
+      .join('\r\n');
+  }
+
+  /**
+   * Quote a CSV cell, neutralizing spreadsheet formula prefixes
+   * @param {*} value - Cell value
+   * @returns {string}
+   */
+  static escapeCSV(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Burp Suite project options with an advanced-mode target scope (Project options → Load)
+   * @param {Object[]} records - File records
+   * @returns {string}
+   */
+  static toBurpScope(records) {
+    const include = this.getHosts(records).map(host => ({
+      enabled: true,
+      host: `^${host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`,
+      protocol: 'any'
+    }));
+
+    return JSON.stringify({
+      target: {
+        scope: {
+          advanced_mode: true,
+          exclude: [],
+          include
+        }
+      }
+    }, null, 2);
+  }
+
+  /**
+   * Unique, sorted hostnames of the exported files
+   * @param {Object[]} records - File records
+   * @returns {string[]}
+   */
+  static getHosts(records) {
+    const hosts = new Set();
+    records.forEach(record => {
+      try {
+        hosts.add(new URL(record.url).hostname);
+      } catch {
+        // Ignore unparseable URLs
+      }
+    });
+    return [...hosts].sort();
+  }
+}
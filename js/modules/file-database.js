@@ -0,0 +1,268 @@
+/**
+ * File Database Module
+ * IndexedDB store for file records, archived contents, versions and source maps
+ */
+
+export class FileDatabase {
+  static NAME = 'bugsniffer'; // Database of the default workspace; others are `bugsniffer:<id>`
+
+  static STORES = {
+    FILES: 'files', // {domain, url, host, discoveredAt, ...}, keyed by [domain, url]
+    DOMAINS: 'domains', // {domain, lastCrawl}
+    CONTENTS: 'contents', // Archived bodies, keyed by url
+    VERSIONS: 'versions', // {url, versions}
+    SOURCE_MAPS: 'sourceMaps' // Reconstructed source maps, keyed by fileUrl
+  };
+
+  // Schema upgrades, applied in order; the database version is the number of upgrades
+  static UPGRADES = [
+    db => {
+      const files = db.createObjectStore(this.STORES.FILES, { keyPath: ['domain', 'url'] });
+      files.createIndex('domain', 'domain');
+      files.createIndex('host', 'host');
+      files.createIndex('discoveredAt', 'discoveredAt');
+
+      db.createObjectStore(this.STORES.DOMAINS, { keyPath: 'domain' });
+      db.createObjectStore(this.STORES.CONTENTS, { keyPath: 'url' });
+      db.createObjectStore(this.STORES.VERSIONS, { keyPath: 'url' });
+      db.createObjectStore(this.STORES.SOURCE_MAPS, { keyPath: 'fileUrl' });
+    }
+  ];
+
+  // Extension pages and the service worker share the database; writers announce changed domains here
+  static CHANNEL = 'bugsniffer_files';
+
+  static activeName = this.NAME; // Database the shorthand methods below work on
+  static connections = new Map(); // name -> Promise<IDBDatabase>
+  static channel = null;
+
+  /**
+   * Point the shorthand methods at another database (workspace switch)
+   * @param {string} name - Database name
+   */
+  static use(name) {
+    if (name === this.activeName) return;
+    this.close(this.activeName);
+    this.activeName = name;
+  }
+
+  /**
+   * Open a database, upgrading its schema if needed
+   * @param {string} name - Database name
+   * @returns {Promise<IDBDatabase>}
+   */
+  static open(name = this.activeName) {
+    if (!this.connections.has(name)) {
+      const dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, this.UPGRADES.length);
+
+        request.onupgradeneeded = (event) => {
+          this.UPGRADES.slice(event.oldVersion).forEach(upgrade => upgrade(request.result, request.transaction));
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let a newer schema or a deletion in another context take over
+          db.onversionchange = () => {
+            db.close();
+            this.connections.delete(name);
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => console.warn('⚠️ Database upgrade blocked by another open extension page');
+      }).catch(error => {
+        this.connections.delete(name);
+        throw error;
+      });
+      this.connections.set(name, dbPromise);
+    }
+    return this.connections.get(name);
+  }
+
+  /**
+   * Close a database connection, if open
+   * @param {string} name - Database name
+   */
+  static close(name) {
+    const dbPromise = this.connections.get(name);
+    if (!dbPromise) return;
+
+    this.connections.delete(name);
+    dbPromise.then(db => db.close(), () => {});
+  }
+
+  /**
+   * Delete a database
+   * @param {string} name - Database name
+   * @returns {Promise<void>}
+   */
+  static deleteDatabase(name) {
+    this.close(name);
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(name);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run work inside a transaction
+   * @param {string|string[]} storeNames - Stores to include
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @param {function(IDBTransaction): *} work - Issues requests; its return value is the result.
+   *   It may await requests of this transaction only, or the transaction commits early.
+   * @param {string} name - Database name
+   * @returns {Promise<*>} - Resolves once the transaction has committed
+   */
+  static async transaction(storeNames, mode, work, name = this.activeName) {
+    const db = await this.open(name);
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result;
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+      Promise.resolve(work(tx)).then(value => {
+        result = value;
+      }, error => {
+        tx.abort();
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   * @param {IDBRequest} request - Request
+   * @returns {Promise<*>}
+   */
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get a record by key
+   * @param {string} storeName - Store name
+   * @param {*} key - Record key
+   * @returns {Promise<Object|null>}
+   */
+  static async get(storeName, key) {
+    const record = await this.transaction(storeName, 'readonly', tx => this.request(tx.objectStore(storeName).get(key)));
+    return record ?? null;
+  }
+
+  /**
+   * Get all records of a store, optionally through an index
+   * @param {string} storeName - Store name
+   * @param {string|null} indexName - Index name
+   * @param {*} query - Key or IDBKeyRange
+   * @returns {Promise<Object[]>}
+   */
+  static getAll(storeName, indexName = null, query = undefined) {
+    return this.transaction(storeName, 'readonly', tx => {
+      const store = tx.objectStore(storeName);
+      return this.request((indexName ? store.index(indexName) : store).getAll(query));
+    });
+  }
+
+  /**
+   * Get all primary keys of a store
+   * @param {string} storeName - Store name
+   * @returns {Promise<*[]>}
+   */
+  static getAllKeys(storeName) {
+    return this.transaction(storeName, 'readonly', tx => this.request(tx.objectStore(storeName).getAllKeys()));
+  }
+
+  /**
+   * Count the records of a store
+   * @param {string} storeName - Store name
+   * @returns {Promise<number>}
+   */
+  static count(storeName) {
+    return this.transaction(storeName, 'readonly', tx => this.request(tx.objectStore(storeName).count()));
+  }
+
+  /**
+   * Put records into a store
+   * @param {string} storeName - Store name
+   * @param {Object[]} records - Records to put
+   * @returns {Promise<void>}
+   */
+  static async putAll(storeName, records) {
+    if (!records.length) return;
+    await this.transaction(storeName, 'readwrite', tx => {
+      const store = tx.objectStore(storeName);
+      records.forEach(record => store.put(record));
+    });
+  }
+
+  /**
+   * Delete records from a store
+   * @param {string} storeName - Store name
+   * @param {*[]} keys - Record keys
+   * @returns {Promise<void>}
+   */
+  static async deleteAll(storeName, keys) {
+    if (!keys.length) return;
+    await this.transaction(storeName, 'readwrite', tx => {
+      const store = tx.objectStore(storeName);
+      keys.forEach(key => store.delete(key));
+    });
+  }
+
+  /**
+   * Read every store of a database
+   * @param {string} name - Database name
+   * @returns {Promise<Object<string, Object[]>>} - Records per store name
+   */
+  static async exportStores(name) {
+    const storeNames = Object.values(this.STORES);
+    return this.transaction(storeNames, 'readonly', async tx => {
+      const stores = {};
+      for (const storeName of storeNames) {
+        stores[storeName] = await this.request(tx.objectStore(storeName).getAll());
+      }
+      return stores;
+    }, name);
+  }
+
+  /**
+   * Write records into the stores of a database
+   * @param {string} name - Database name
+   * @param {Object<string, Object[]>} stores - Records per store name; unknown stores are ignored
+   * @returns {Promise<void>}
+   */
+  static async importStores(name, stores) {
+    const storeNames = Object.values(this.STORES);
+    await this.transaction(storeNames, 'readwrite', tx => {
+      storeNames.forEach(storeName => {
+        const store = tx.objectStore(storeName);
+        (Array.isArray(stores[storeName]) ? stores[storeName] : []).forEach(record => store.put(record));
+      });
+    }, name);
+  }
+
+  /**
+   * Tell other extension contexts that a domain's files changed
+   * @param {string} domain - Changed domain
+   */
+  static notifyChange(domain) {
+    this.channel ??= new BroadcastChannel(this.CHANNEL);
+    this.channel.postMessage({ domain });
+  }
+
+  /**
+   * Listen for file changes made in other extension contexts
+   * @param {function(string): void} callback - Called with the changed domain
+   */
+  static onChange(callback) {
+    const channel = new BroadcastChannel(this.CHANNEL);
+    channel.onmessage = (event) => callback(event.data?.domain);
+  }
+}
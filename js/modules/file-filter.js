@@ -0,0 +1,98 @@
+/**
+ * File Filter Module
+ * Text search, filtering and sorting of JavaScript file records
+ */
+
+import { URLManager } from './url-manager.js';
+
+export class FileFilter {
+  static SORTS = {
+    NEWEST: 'newest',
+    OLDEST: 'oldest',
+    FILENAME: 'filename',
+    HOST: 'host'
+  };
+
+  static LOCATIONS = {
+    ALL: 'all',
+    LOCAL: 'local',
+    EXTERNAL: 'external'
+  };
+
+  /**
+   * Criteria that match every file in discovery order
+   * @returns {{text: string, location: string, context: string, source: string, host: string, sort: string}}
+   */
+  static createDefault() {
+    return { text: '', location: this.LOCATIONS.ALL, context: '', source: '', host: '', sort: this.SORTS.NEWEST };
+  }
+
+  /**
+   * Filter and sort file records
+   * @param {Object[]} files - File records
+   * @param {Object} criteria - Filter criteria (see createDefault)
+   * @param {string|null} currentDomain - Domain used to tell local from external files;
+   *   records carrying their own `domain` are compared against that instead
+   * @returns {Object[]}
+   */
+  static apply(files, criteria, currentDomain = null) {
+    const terms = criteria.text.toLowerCase().split(/\s+/).filter(Boolean);
+
+    const filtered = files.filter(file => {
+      const url = file.url.toLowerCase();
+      if (!terms.every(term => url.includes(term))) return false;
+
+      if (criteria.location !== this.LOCATIONS.ALL) {
+        const external = URLManager.isExternal(file.url, file.domain || currentDomain);
+        if (external !== (criteria.location === this.LOCATIONS.EXTERNAL)) return false;
+      }
+
+      // Files recorded before execution contexts were tracked all came from pages
+      if (criteria.context && (file.context || 'page') !== criteria.context) return false;
+      if (criteria.source && (file.source || 'unknown') !== criteria.source) return false;
+      if (criteria.host && URLManager.getDomain(file.url) !== criteria.host) return false;
+      return true;
+    });
+
+    return this.sort(filtered, criteria.sort);
+  }
+
+  /**
+   * Sort file records
+   * @param {Object[]} files - File records
+   * @param {string} sort - One of SORTS
+   * @returns {Object[]} - New sorted array
+   */
+  static sort(files, sort) {
+    const byText = getter => (a, b) => getter(a).localeCompare(getter(b)) || a.url.localeCompare(b.url);
+    const comparators = {
+      [this.SORTS.NEWEST]: (a, b) => (b.discoveredAt || 0) - (a.discoveredAt || 0),
+      [this.SORTS.OLDEST]: (a, b) => (a.discoveredAt || 0) - (b.discoveredAt || 0),
+      [this.SORTS.FILENAME]: byText(file => URLManager.getFilename(file.url).toLowerCase()),
+      [this.SORTS.HOST]: byText(file => URLManager.getDomain(file.url) || '')
+    };
+
+    return [...files].sort(comparators[sort] || comparators[this.SORTS.NEWEST]);
+  }
+
+  /**
+   * Collect the distinct discovery sources and hosts of a file list, for filter options
+   * @param {Object[]} files - File records
+   * @returns {{sources: string[], hosts: string[]}}
+   */
+  static getFacets(files) {
+    const sources = new Set(files.map(file => file.source || 'unknown'));
+    const hosts = new Set(files.map(file => URLManager.getDomain(file.url)).filter(Boolean));
+    return { sources: [...sources].sort(), hosts: [...hosts].sort() };
+  }
+
+  /**
+   * Check whether criteria narrow the list at all
+   * @param {Object} criteria - Filter criteria
+   * @returns {boolean}
+   */
+  static isActive(criteria) {
+    return Boolean(criteria.text.trim() || criteria.context || criteria.source || criteria.host) ||
+      criteria.location !== this.LOCATIONS.ALL;
+  }
+}
@@ -6,18 +6,25 @@
 import { DOMUtils } from './dom-utils.js';
 import { URLManager } from './url-manager.js';
 import { ToastManager } from './toast-manager.js';
+import { SourceMapArchive } from './source-map-archive.js';
 
 export class FileRenderer {
+  // Tags for scripts running outside the page; page scripts get none
+  static CONTEXT_LABELS = {
+    worker: '⚙️ Worker',
+    service_worker: '🛠️ Service worker'
+  };
+
   constructor(currentDomain) {
     this.currentDomain = currentDomain;
   }
 
   /**
    * Render the file list
-   * @param {string[]} urls - Array of JavaScript file URLs
+   * @param {Object[]} files - Array of JavaScript file records
    * @param {boolean} enabled - Extension enabled state
    */
-  render(urls, enabled = true) {
+  render(files, enabled = true) {
     const listElement = DOMUtils.getElement('list');
     const emptyElement = DOMUtils.getElement('empty');
     const copyBtn = DOMUtils.getElement('copy');
@@ -33,7 +40,7 @@ export class FileRenderer {
     }
 
     // Handle empty list
-    if (!urls || !urls.length) {
+    if (!files || !files.length) {
       listElement.innerHTML = '';
       DOMUtils.show(emptyElement);
       DOMUtils.setDisabled(copyBtn, true);
@@ -46,20 +53,61 @@ export class FileRenderer {
     DOMUtils.setDisabled(copyBtn, false);
     DOMUtils.setDisabled(downloadBtn, false);
 
-    const fileItems = urls.map(url => this.createFileItem(url)).join('');
-    listElement.innerHTML = fileItems;
+    // Files loaded by iframes are grouped under their frame; a page without them stays a flat list
+    const groups = this.groupByFrame(files);
+    listElement.innerHTML = groups.length > 1 || groups[0].url
+      ? groups.map(group => this.createFrameGroup(group)).join('')
+      : files.map(file => this.createFileItem(file)).join('');
 
     // Add click-to-copy functionality
     this.attachClickHandlers();
   }
 
+  /**
+   * Group files by the frame that loaded them, top frame first, keeping file order within groups
+   * @param {Object[]} files - File records
+   * @returns {{url: string|null, files: Object[]}[]} - Groups; `url` is null for the top frame
+   */
+  groupByFrame(files) {
+    const groups = new Map([[null, []]]);
+    files.forEach(file => {
+      const url = file.frame && !file.frame.top ? file.frame.url.split('#')[0] : null;
+      if (!groups.has(url)) groups.set(url, []);
+      groups.get(url).push(file);
+    });
+
+    return [...groups]
+      .filter(([, groupFiles]) => groupFiles.length)
+      .map(([url, groupFiles]) => ({ url, files: groupFiles }));
+  }
+
+  /**
+   * Create HTML for a frame group
+   * @param {{url: string|null, files: Object[]}} group - Frame group
+   * @returns {string} - HTML string
+   */
+  createFrameGroup(group) {
+    const label = group.url ? `🪟 ${URLManager.getDomain(group.url) || group.url}` : '📄 Top frame';
+    return `
+      <div class="frame-group">
+        <div class="frame-group-header" title="${DOMUtils.escapeHTML(group.url || 'Loaded by the page itself')}">
+          <span class="frame-group-label">${DOMUtils.escapeHTML(label)}</span>
+          ${group.url ? `<span class="frame-group-url">${DOMUtils.escapeHTML(group.url)}</span>` : ''}
+          <span class="frame-group-count">${group.files.length}</span>
+        </div>
+        ${group.files.map(file => this.createFileItem(file)).join('')}
+      </div>
+    `;
+  }
+
   /**
    * Create HTML for a single file item
-   * @param {string} url - File URL
+   * @param {Object} file - File record
    * @returns {string} - HTML string
    */
-  createFileItem(url) {
-    const filename = URLManager.getFilename(url);
+  createFileItem(file) {
+    const url = file.url;
+    const filename = file.inline ? file.filename : URLManager.getFilename(url);
     const itemDomain = URLManager.getDomain(url) || 'unknown';
     const isExternal = URLManager.isExternal(url, this.currentDomain);
 
@@ -72,6 +120,14 @@ export class FileRenderer {
               ${isExternal ? '🌐 External' : '🏠 Local'}
             </span>
             <span class="js-tag domain-tag">${itemDomain}</span>
+            ${this.createInlineTag(file.inline)}
+            ${this.createContextTag(file.context)}
+            ${file.source === 'chunk_manifest' ? '<span class="js-tag source-chunk" title="Found in a chunk manifest, not yet loaded by the page">🧩 Unloaded chunk</span>' : ''}
+            ${this.createFetchTag(file.fetch)}
+            ${this.createIntegrityTag(file.scriptElement, isExternal)}
+            ${this.createVersionTag(file.fetch)}
+            ${this.createSourceMapTag(file.sourceMap)}
+            ${this.createLibraryTags(file.libraries)}
           </div>
           <div class="full-url" title="${url}">${url}</div>
         </div>
@@ -79,14 +135,162 @@ export class FileRenderer {
     `;
   }
 
+  /**
+   * Create HTML for the inline code tag
+   * @param {Object|undefined} inline - Inline capture metadata
+   * @returns {string} - HTML string
+   */
+  createInlineTag(inline) {
+    if (!inline) return '';
+
+    const location = inline.kind === 'script'
+      ? `<${inline.element}> #${inline.position}`
+      : `${inline.count} event handlers / javascript: URLs`;
+    return `<span class="js-tag type-inline" title="${DOMUtils.escapeHTML(`${location} on ${inline.pageUrl}`)}">📝 Inline</span>`;
+  }
+
+  /**
+   * Create HTML for the execution context tag
+   * @param {string|undefined} context - Execution context
+   * @returns {string} - HTML string
+   */
+  createContextTag(context) {
+    const label = FileRenderer.CONTEXT_LABELS[context];
+    return label ? `<span class="js-tag type-worker">${label}</span>` : '';
+  }
+
+  /**
+   * Create HTML for the Subresource Integrity tag of a file loaded by a <script> element
+   * @param {Object|undefined} scriptElement - Integrity and crossorigin attributes of the element
+   * @param {boolean} isExternal - Whether the file is third-party
+   * @returns {string} - HTML string
+   */
+  createIntegrityTag(scriptElement, isExternal) {
+    if (scriptElement?.integrity) {
+      return `<span class="js-tag sri-present" title="${DOMUtils.escapeHTML(scriptElement.integrity)}">🔒 SRI</span>`;
+    }
+    if (scriptElement && isExternal) {
+      return `<span class="js-tag sri-missing" title="Loaded by ${DOMUtils.escapeHTML(scriptElement.pageUrl)} without an integrity attribute">🔓 No SRI</span>`;
+    }
+    return '';
+  }
+
+  /**
+   * Create HTML for the archive fetch status tag
+   * @param {Object|undefined} fetch - Fetch metadata from the content archive
+   * @returns {string} - HTML string
+   */
+  createFetchTag(fetch) {
+    if (!fetch) return '';
+
+    switch (fetch.status) {
+      case 'ok':
+        return `<span class="js-tag fetch-ok" data-action="view-source" title="SHA-256: ${DOMUtils.escapeHTML(fetch.sha256)}
+Click to open in the viewer">✅ ${this.formatSize(fetch.size)}</span>`;
+      case 'error':
+        return `<span class="js-tag fetch-error" title="${DOMUtils.escapeHTML(fetch.error)}">❌ Fetch failed (${fetch.attempts}x)</span>`;
+      case 'skipped':
+        return `<span class="js-tag fetch-skipped" title="${DOMUtils.escapeHTML(fetch.error)}">⏭️ Not archived</span>`;
+      default:
+        return '<span class="js-tag fetch-pending">⏳ Fetching</span>';
+    }
+  }
+
+  /**
+   * Create HTML for the change/version history tag
+   * @param {Object|undefined} fetch - Fetch metadata from the content archive
+   * @returns {string} - HTML string
+   */
+  createVersionTag(fetch) {
+    if (fetch?.changed) {
+      const changedAt = new Date(fetch.changedAt).toLocaleString();
+      return `<span class="js-tag feature-changed" data-action="view-diff" title="Changed since last visit (${changedAt})
+Click to view diff">🔄 Changed</span>`;
+    }
+    if (fetch?.versionCount) {
+      return `<span class="js-tag feature-versions" data-action="view-diff" title="Click to view diff">🕘 ${fetch.versionCount + 1} versions</span>`;
+    }
+    return '';
+  }
+
+  /**
+   * Create HTML for the exposed source map tag
+   * @param {Object|undefined} sourceMap - Source map summary
+   * @returns {string} - HTML string
+   */
+  createSourceMapTag(sourceMap) {
+    if (!sourceMap) return '';
+
+    return `
+      <span class="js-tag feature-sourcemap" data-action="download-sources"
+            title="Source map: ${DOMUtils.escapeHTML(sourceMap.url)}
+Click to download ${sourceMap.withContent} original sources">
+        🗺️ Source map (${sourceMap.sourceCount})
+      </span>
+    `;
+  }
+
+  /**
+   * Create HTML for detected third-party library tags
+   * @param {Object[]|undefined} libraries - Detected libraries with matching advisories
+   * @returns {string} - HTML string
+   */
+  createLibraryTags(libraries) {
+    if (!libraries?.length) return '';
+
+    return libraries.map(library => {
+      const label = `📚 ${library.name} ${library.version}`;
+      const via = `Detected via ${library.detectedVia}`;
+      if (!library.vulnerabilities.length) {
+        return `<span class="js-tag library-tag" title="${via}">${DOMUtils.escapeHTML(label)}</span>`;
+      }
+
+      const identifiers = [...new Set(library.vulnerabilities.flatMap(vulnerability => vulnerability.identifiers))];
+      const shown = identifiers.length > 2
+        ? `${identifiers.slice(0, 2).join(', ')} +${identifiers.length - 2}`
+        : identifiers.join(', ');
+      const details = library.vulnerabilities
+        .map(vulnerability => `${vulnerability.identifiers.join(', ')} (${vulnerability.severity}): ${vulnerability.summary}`)
+        .join('\n');
+      return `<span class="js-tag library-tag library-vulnerable" title="${DOMUtils.escapeHTML(`${via}\n${details}`)}">${DOMUtils.escapeHTML(`${label} · ⚠️ ${shown}`)}</span>`;
+    }).join('');
+  }
+
+  /**
+   * Format a byte count for display
+   * @param {number} bytes - Size in bytes
+   * @returns {string}
+   */
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
   /**
    * Attach click handlers to file items
    */
   attachClickHandlers() {
     const items = DOMUtils.getElements('.js-item');
     items.forEach(item => {
-      item.addEventListener('click', () => {
+      item.addEventListener('click', (event) => {
         const url = item.dataset.url;
+
+        if (event.target.closest('[data-action="download-sources"]')) {
+          this.downloadSources(url);
+          return;
+        }
+
+        if (event.target.closest('[data-action="view-diff"]')) {
+          chrome.tabs.create({ url: chrome.runtime.getURL(`diff.html?url=${encodeURIComponent(url)}`) });
+          return;
+        }
+
+        if (event.target.closest('[data-action="view-source"]')) {
+          chrome.tabs.create({ url: chrome.runtime.getURL(`viewer.html?url=${encodeURIComponent(url)}`) });
+          return;
+        }
+
         navigator.clipboard.writeText(url).then(() => {
           ToastManager.success('URL copied to clipboard!');
         }).catch(() => {
@@ -96,6 +300,20 @@ export class FileRenderer {
     });
   }
 
+  /**
+   * Download the reconstructed sources of a file
+   * @param {string} url - Script URL
+   */
+  async downloadSources(url) {
+    try {
+      const fileCount = await SourceMapArchive.download(url);
+      ToastManager.success(`Downloaded ${fileCount} original sources`);
+    } catch (error) {
+      console.error('Failed to download sources:', error);
+      ToastManager.error('Failed to download sources');
+    }
+  }
+
   /**
    * Get all rendered URLs
    * @returns {string[]} - Array of URLs
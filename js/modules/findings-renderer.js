@@ -0,0 +1,145 @@
+/**
+ * Findings Renderer Module
+ * Handles rendering of analysis findings
+ */
+
+import { DOMUtils } from './dom-utils.js';
+import { URLManager } from './url-manager.js';
+import { ToastManager } from './toast-manager.js';
+
+export class FindingsRenderer {
+  static SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+  constructor() {
+    this.findings = [];
+  }
+
+  /**
+   * Render the findings list
+   * @param {Object[]} findings - Findings for the current domain
+   */
+  render(findings) {
+    const listElement = DOMUtils.getElement('findings-list');
+    const emptyElement = DOMUtils.getElement('findings-empty');
+    if (!listElement || !emptyElement) return;
+
+    this.findings = [...(findings || [])].sort((a, b) =>
+      (FindingsRenderer.SEVERITY_ORDER[a.severity] ?? 3) - (FindingsRenderer.SEVERITY_ORDER[b.severity] ?? 3)
+    );
+
+    if (!this.findings.length) {
+      listElement.innerHTML = '';
+      DOMUtils.show(emptyElement);
+      return;
+    }
+
+    DOMUtils.hide(emptyElement);
+    listElement.innerHTML = this.findings.map((finding, index) => this.createFindingItem(finding, index)).join('');
+    this.attachClickHandlers();
+  }
+
+  /**
+   * Create HTML for a single finding
+   * @param {Object} finding - Finding object
+   * @param {number} index - Position in the sorted list
+   * @returns {string} - HTML string
+   */
+  createFindingItem(finding, index) {
+    // Only credentials are masked; other finding values (e.g. source map URLs) are shown as-is
+    const masked = finding.type === 'secret' ? FindingsRenderer.mask(finding.value) : finding.value;
+    const context = finding.value
+      ? finding.context.split(finding.value).join(masked)
+      : finding.context;
+
+    return `
+      <div class="finding-item" data-index="${index}" title="Click to copy the full value">
+        <div class="finding-title">
+          <span class="js-tag severity-${finding.severity}">${finding.severity}</span>
+          <span class="finding-rule">${DOMUtils.escapeHTML(finding.rule)}</span>
+          ${finding.flow ? '<span class="js-tag feature-changed" title="A source visibly flows into this sink in the same file">🌊 Source → sink</span>' : ''}
+        </div>
+        <div class="finding-value">${DOMUtils.escapeHTML(masked)}</div>
+        ${this.createSourcesLine(finding)}
+        ${this.createLocation(finding)}
+        <pre class="finding-context">${DOMUtils.escapeHTML(context)}</pre>
+      </div>
+    `;
+  }
+
+  /**
+   * Create HTML for a finding's location; code findings open in the viewer, page findings show the page
+   * @param {Object} finding - Finding object
+   * @returns {string} - HTML string
+   */
+  createLocation(finding) {
+    if (!finding.line) {
+      return `<div class="finding-location finding-page" title="Found on this page">${DOMUtils.escapeHTML(finding.file)}</div>`;
+    }
+
+    const location = `${URLManager.getFilename(finding.file)}:${finding.line}:${finding.column}`;
+    return `<div class="finding-location" data-action="view-source" title="${DOMUtils.escapeHTML(finding.file)}
+Click to open in the viewer">${DOMUtils.escapeHTML(location)}</div>`;
+  }
+
+  /**
+   * Create HTML for the sources related to a DOM XSS sink
+   * @param {Object} finding - Finding object
+   * @returns {string} - HTML string
+   */
+  createSourcesLine(finding) {
+    if (finding.type !== 'domxss') return '';
+
+    const label = finding.flow ? 'Flows from' : 'Sources in file';
+    const sources = finding.sources?.length ? finding.sources.join(', ') : 'none seen';
+    return `<div class="finding-sources">${label}: ${DOMUtils.escapeHTML(sources)}</div>`;
+  }
+
+  /**
+   * Mask a secret, keeping a short prefix and suffix
+   * @param {string} value - Secret value
+   * @returns {string}
+   */
+  static mask(value) {
+    if (!value) return '';
+    if (value.length <= 8) return '*'.repeat(value.length);
+    const visible = Math.min(4, Math.floor(value.length / 4));
+    return `${value.slice(0, visible)}${'*'.repeat(Math.min(value.length - visible * 2, 16))}${value.slice(-visible)}`;
+  }
+
+  /**
+   * Attach click handlers to finding items
+   */
+  attachClickHandlers() {
+    const items = DOMUtils.getElements('.finding-item');
+    items.forEach(item => {
+      item.addEventListener('click', (event) => {
+        const finding = this.findings[Number(item.dataset.index)];
+
+        if (event.target.closest('[data-action="view-source"]')) {
+          this.openInViewer(finding);
+          return;
+        }
+
+        navigator.clipboard.writeText(finding.value).then(() => {
+          ToastManager.success('Value copied to clipboard!');
+        }).catch(() => {
+          ToastManager.error('Failed to copy value');
+        });
+      });
+    });
+  }
+
+  /**
+   * Open a finding's file in the viewer at the finding's position
+   * @param {Object} finding - Finding object
+   */
+  openInViewer(finding) {
+    const params = new URLSearchParams({
+      url: finding.file,
+      line: finding.line,
+      column: finding.column,
+      length: finding.value?.length || 0
+    });
+    chrome.tabs.create({ url: chrome.runtime.getURL(`viewer.html?${params}`) });
+  }
+}
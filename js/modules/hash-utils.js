@@ -0,0 +1,18 @@
+/**
+ * Hash Utilities Module
+ * Handles SHA-256 hashing of strings and binary data
+ */
+
+export class HashUtils {
+  /**
+   * Generate SHA-256 hex digest
+   * @param {string|ArrayBuffer|Uint8Array} data - Data to hash
+   * @returns {Promise<string>} - Lowercase hex digest
+   */
+  static async sha256(data) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    const hashBuffer = await crypto.subtle.digest('SHA-256', bytes);
+    const hashArray = Array.from(new Uint8Array(hashBuffer));
+    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * JS Beautifier Module
+ * Token-based pretty printer for minified JavaScript
+ */
+
+import { JSTokenizer } from './js-tokenizer.js';
+
+export class JSBeautifier {
+  static INDENT = '  ';
+
+  // Keywords always followed by a space ("if (", "return x")
+  static SPACED_KEYWORDS = new Set([
+    'if', 'for', 'while', 'switch', 'catch', 'with', 'return', 'typeof', 'instanceof', 'in', 'of',
+    'new', 'delete', 'void', 'throw', 'case', 'var', 'let', 'const', 'else', 'do', 'try', 'finally',
+    'await', 'yield', 'async', 'export', 'import', 'extends', 'class', 'static'
+  ]);
+
+  // Operators printed with a space on both sides
+  static BINARY_OPERATORS = new Set([
+    '=', '==', '===', '!=', '!==', '<', '>', '<=', '>=', '+=', '-=', '*=', '/=', '%=', '**=',
+    '&=', '|=', '^=', '<<=', '>>=', '>>>=', '&&=', '||=', '??=', '&&', '||', '??', '=>',
+    '*', '/', '%', '**', '&', '|', '^', '<<', '>>', '>>>', '?'
+  ]);
+
+  /**
+   * Pretty-print JavaScript source
+   * @param {string} source - (Minified) JavaScript
+   * @returns {string}
+   */
+  static beautify(source) {
+    const T = JSTokenizer.TYPES;
+    const tokens = JSTokenizer.tokenize(source || '');
+    const lines = [];
+    let line = '';
+    let indent = 0;
+    let parenDepth = 0; // Parentheses open within the current block
+    const parenStack = []; // Depths of the enclosing blocks, restored when they close
+    let ternaryDepth = 0;
+    let previous = null;
+
+    const newline = () => {
+      if (line.trim()) lines.push(this.INDENT.repeat(Math.max(indent, 0)) + line.trim());
+      line = '';
+    };
+    const space = () => {
+      if (line && !line.endsWith(' ')) line += ' ';
+    };
+
+    tokens.forEach((token, index) => {
+      if (token.type === T.WHITESPACE) return;
+      const value = token.value;
+      const nextToken = this.nextSignificant(tokens, index);
+
+      if (token.type === T.COMMENT) {
+        if (value.startsWith('//')) {
+          space();
+          line += value;
+          newline();
+        } else {
+          newline();
+          line += value;
+          newline();
+        }
+        return;
+      }
+
+      if (token.type === T.PUNCTUATOR) {
+        switch (value) {
+          case '{':
+            space();
+            line += '{';
+            newline();
+            indent++;
+            parenStack.push(parenDepth);
+            parenDepth = 0;
+            break;
+          case '}':
+            newline();
+            indent--;
+            parenDepth = parenStack.length ? parenStack.pop() : 0;
+            line += '}';
+            if (!nextToken || ![')', '(', ',', ';', '.', ']', '?.'].includes(nextToken.value) &&
+                !['else', 'catch', 'finally', 'while'].includes(nextToken.value)) {
+              newline();
+            }
+            break;
+          case ';':
+            line += ';';
+            if (parenDepth === 0) newline();
+            else space();
+            break;
+          case ',':
+            line += ', ';
+            break;
+          case '(':
+          case '[':
+            if (value === '(') parenDepth++;
+            line += value;
+            break;
+          case ')':
+          case ']':
+            if (value === ')') parenDepth = Math.max(0, parenDepth - 1);
+            line = line.trimEnd() + value;
+            break;
+          case ':':
+            if (ternaryDepth > 0) {
+              ternaryDepth--;
+              space();
+              line += ': ';
+            } else if (this.isCaseLabel(tokens, index)) {
+              line += ':';
+              newline();
+            } else {
+              line = line.trimEnd() + ': ';
+            }
+            break;
+          case '.':
+          case '?.':
+            line = line.trimEnd() + value;
+            break;
+          case '+':
+          case '-':
+            if (this.isOperand(previous)) {
+              space();
+              line += value + ' ';
+            } else {
+              line += value;
+            }
+            break;
+          case '!':
+          case '~':
+          case '++':
+          case '--':
+          case '...':
+            line += value;
+            break;
+          default:
+            if (value === '?') ternaryDepth++;
+            if (this.BINARY_OPERATORS.has(value)) {
+              space();
+              line += value + ' ';
+            } else {
+              line += value;
+            }
+        }
+        previous = token;
+        return;
+      }
+
+      // Words, literals and everything else
+      if (previous && (this.isWordLike(previous) || previous.value === ')') && this.isWordLike(token)) {
+        space();
+      }
+      if (token.type === T.KEYWORD && value === 'else' && line.endsWith('}')) {
+        line += ' ';
+      }
+      if (token.type === T.KEYWORD && ['catch', 'finally', 'while'].includes(value) && line.trimEnd().endsWith('}')) {
+        line = line.trimEnd() + ' ';
+      }
+      line += value;
+      if (token.type === T.KEYWORD && this.SPACED_KEYWORDS.has(value) && nextToken &&
+          ![';', ')', ',', '.', ':'].includes(nextToken.value)) {
+        line += ' ';
+      }
+      previous = token;
+    });
+
+    newline();
+    return lines.join('\n');
+  }
+
+  /**
+   * Map an offset in the source to the same character in its beautified output.
+   * beautify() only adds and removes whitespace, so the n-th non-whitespace character matches.
+   * @param {string} source - Original source
+   * @param {string} beautified - beautify(source)
+   * @param {number} offset - Offset in the source
+   * @returns {number} - Offset in the beautified output
+   */
+  static mapOffset(source, beautified, offset) {
+    let remaining = 0;
+    for (let i = 0; i < Math.min(offset, source.length); i++) {
+      if (!/\s/.test(source[i])) remaining++;
+    }
+
+    for (let i = 0; i < beautified.length; i++) {
+      if (/\s/.test(beautified[i])) continue;
+      if (remaining === 0) return i;
+      remaining--;
+    }
+    return beautified.length;
+  }
+
+  static nextSignificant(tokens, index) {
+    for (let i = index + 1; i < tokens.length; i++) {
+      if (tokens[i].type !== JSTokenizer.TYPES.WHITESPACE && tokens[i].type !== JSTokenizer.TYPES.COMMENT) {
+        return tokens[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a `:` ends a `case x:` / `default:` label
+   */
+  static isCaseLabel(tokens, index) {
+    for (let i = index - 1; i >= 0; i--) {
+      const token = tokens[i];
+      if (token.type === JSTokenizer.TYPES.WHITESPACE) continue;
+      if (token.value === 'default') return true;
+      if (token.value === 'case') return true;
+      if ([';', '{', '}', ','].includes(token.value)) return false;
+    }
+    return false;
+  }
+
+  static isOperand(token) {
+    if (!token) return false;
+    if (token.type === JSTokenizer.TYPES.PUNCTUATOR) return [')', ']', '}', '++', '--'].includes(token.value);
+    if (token.type === JSTokenizer.TYPES.KEYWORD) return ['this', 'true', 'false', 'null', 'undefined', 'super'].includes(token.value);
+    return true;
+  }
+
+  static isWordLike(token) {
+    return [
+      JSTokenizer.TYPES.KEYWORD, JSTokenizer.TYPES.IDENTIFIER, JSTokenizer.TYPES.NUMBER,
+      JSTokenizer.TYPES.STRING, JSTokenizer.TYPES.TEMPLATE, JSTokenizer.TYPES.REGEX
+    ].includes(token.type);
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * JS Tokenizer Module
+ * Lightweight, error-tolerant JavaScript tokenizer used for beautifying and highlighting
+ */
+
+export class JSTokenizer {
+  static TYPES = {
+    WHITESPACE: 'whitespace',
+    COMMENT: 'comment',
+    STRING: 'string',
+    TEMPLATE: 'template',
+    REGEX: 'regex',
+    NUMBER: 'number',
+    KEYWORD: 'keyword',
+    IDENTIFIER: 'identifier',
+    PUNCTUATOR: 'punctuator'
+  };
+
+  static KEYWORDS = new Set([
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+    'delete', 'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import',
+    'in', 'instanceof', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this',
+    'throw', 'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield'
+  ]);
+
+  // Keywords after which a `/` starts a regex rather than a division
+  static REGEX_PRECEDING_KEYWORDS = new Set([
+    'return', 'typeof', 'case', 'do', 'else', 'in', 'instanceof', 'new', 'delete', 'void', 'throw', 'yield', 'await', 'of'
+  ]);
+
+  // Longest first so greedy matching works
+  static PUNCTUATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=',
+    '&=', '|=', '^=', '<<', '>>', '**',
+    '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%', '&', '|', '^',
+    '!', '~', '?', ':', '=', '.', '@', '#'
+  ];
+
+  /**
+   * Split source into tokens. Concatenating every token value reproduces the input.
+   * @param {string} source - JavaScript source
+   * @returns {{type: string, value: string}[]}
+   */
+  static tokenize(source) {
+    const tokens = [];
+    let index = 0;
+    let lastSignificant = null;
+
+    const push = (type, end) => {
+      const token = { type, value: source.slice(index, end) };
+      tokens.push(token);
+      if (type !== this.TYPES.WHITESPACE && type !== this.TYPES.COMMENT) {
+        lastSignificant = token;
+      }
+      index = end;
+    };
+
+    while (index < source.length) {
+      const char = source[index];
+      const next = source[index + 1];
+
+      if (/\s/.test(char)) {
+        let end = index + 1;
+        while (end < source.length && /\s/.test(source[end])) end++;
+        push(this.TYPES.WHITESPACE, end);
+      } else if (char === '/' && next === '/') {
+        const end = source.indexOf('\n', index);
+        push(this.TYPES.COMMENT, end === -1 ? source.length : end);
+      } else if (char === '/' && next === '*') {
+        const end = source.indexOf('*/', index + 2);
+        push(this.TYPES.COMMENT, end === -1 ? source.length : end + 2);
+      } else if (char === '"' || char === "'") {
+        push(this.TYPES.STRING, this.scanString(source, index, char));
+      } else if (char === '`') {
+        push(this.TYPES.TEMPLATE, this.scanTemplate(source, index));
+      } else if (char === '/' && this.regexAllowed(lastSignificant)) {
+        push(this.TYPES.REGEX, this.scanRegex(source, index));
+      } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(next))) {
+        const match = source.slice(index).match(/^(?:0[xob][\da-f_]+n?|[\d_]*\.?[\d_]+(?:e[+-]?\d+)?n?)/i);
+        push(this.TYPES.NUMBER, index + (match ? match[0].length : 1));
+      } else if (/[\w$\u0080-\uffff]/.test(char)) {
+        const match = source.slice(index).match(/^[\w$\u0080-\uffff]+/);
+        const word = match[0];
+        push(this.KEYWORDS.has(word) ? this.TYPES.KEYWORD : this.TYPES.IDENTIFIER, index + word.length);
+      } else {
+        const punctuator = this.PUNCTUATORS.find(p => source.startsWith(p, index)) || char;
+        push(this.TYPES.PUNCTUATOR, index + punctuator.length);
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Decide whether a `/` begins a regex literal
+   * @param {Object|null} previous - Previous significant token
+   * @returns {boolean}
+   */
+  static regexAllowed(previous) {
+    if (!previous) return true;
+    if (previous.type === this.TYPES.KEYWORD) return this.REGEX_PRECEDING_KEYWORDS.has(previous.value);
+    if (previous.type === this.TYPES.PUNCTUATOR) return ![')', ']', '}', '++', '--'].includes(previous.value);
+    return false;
+  }
+
+  static scanString(source, start, quote) {
+    let i = start + 1;
+    while (i < source.length) {
+      if (source[i] === '\\') {
+        i += 2;
+      } else if (source[i] === quote || source[i] === '\n') {
+        return i + 1;
+      } else {
+        i++;
+      }
+    }
+    return source.length;
+  }
+
+  static scanTemplate(source, start) {
+    let i = start + 1;
+    let depth = 0; // Nesting of ${ ... } expressions
+    while (i < source.length) {
+      const char = source[i];
+      if (char === '\\') {
+        i += 2;
+        continue;
+      }
+      if (depth === 0 && char === '`') return i + 1;
+      if (char === '$' && source[i + 1] === '{') {
+        depth++;
+        i += 2;
+        continue;
+      }
+      if (depth > 0) {
+        if (char === '}') depth--;
+        else if (char === '{') depth++;
+        else if (char === '"' || char === "'") {
+          i = this.scanString(source, i, char);
+          continue;
+        } else if (char === '`') {
+          i = this.scanTemplate(source, i);
+          continue;
+        }
+      }
+      i++;
+    }
+    return source.length;
+  }
+
+  static scanRegex(source, start) {
+    let i = start + 1;
+    let inClass = false;
+    while (i < source.length) {
+      const char = source[i];
+      if (char === '\\') {
+        i += 2;
+        continue;
+      }
+      if (char === '\n') return i; // Not a regex after all; stop at the line end
+      if (char === '[') inClass = true;
+      else if (char === ']') inClass = false;
+      else if (char === '/' && !inClass) {
+        i++;
+        while (i < source.length && /[a-z]/i.test(source[i])) i++;
+        return i;
+      }
+      i++;
+    }
+    return source.length;
+  }
+}
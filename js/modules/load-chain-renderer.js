@@ -0,0 +1,89 @@
+/**
+ * Load Chain Renderer Module
+ * Renders load chain trees as nested, collapsible lists
+ */
+
+import { DOMUtils } from './dom-utils.js';
+import { URLManager } from './url-manager.js';
+
+export class LoadChainRenderer {
+  static TYPE_LABELS = {
+    document: '📄 HTML',
+    script: '🧩 Script',
+    inline: '📝 Inline code',
+    preload: '⏩ Preload',
+    modulepreload: '⚡ Modulepreload',
+    importmap: '🗺️ Import map'
+  };
+
+  /**
+   * Render page trees into the load chain panel
+   * @param {{page: string, children: Object[], size: number}[]} trees - Trees from LoadChain.build
+   */
+  render(trees) {
+    const container = DOMUtils.getElement('chain-tree');
+    const emptyElement = DOMUtils.getElement('chain-empty');
+
+    if (!trees.length) {
+      container.innerHTML = '';
+      DOMUtils.show(emptyElement);
+      return;
+    }
+
+    DOMUtils.hide(emptyElement);
+    container.innerHTML = trees.map(tree => `
+      <details class="chain-page" open>
+        <summary>
+          <span class="chain-page-url">${DOMUtils.escapeHTML(tree.page)}</span>
+          <span class="chain-count">${tree.size} files</span>
+        </summary>
+        <ul class="chain-list">
+          ${tree.children.map(node => this.createNode(node, URLManager.getDomain(tree.page))).join('')}
+        </ul>
+      </details>
+    `).join('');
+  }
+
+  /**
+   * Create HTML for a file and the files it loaded
+   * @param {Object} node - Tree node
+   * @param {string|null} pageHost - Hostname of the page, to mark third-party files
+   * @returns {string} - HTML string
+   */
+  createNode(node, pageHost) {
+    const host = URLManager.getDomain(node.url);
+    const name = node.record?.inline ? node.record.filename : URLManager.getFilename(node.url);
+    const type = node.loadedBy?.type;
+    const line = `
+      <span class="chain-name">${DOMUtils.escapeHTML(name)}</span>
+      ${host && host !== pageHost ? `<span class="js-tag type-external">🌐 ${DOMUtils.escapeHTML(host)}</span>` : ''}
+      ${type && type !== 'script' ? `<span class="js-tag chain-type">${this.getTypeLabel(node.loadedBy)}</span>` : ''}
+      ${node.record ? '' : '<span class="js-tag chain-missing" title="Inserted other scripts but wasn\'t collected itself">Not collected</span>'}
+      ${node.size ? `<span class="chain-count">+${node.size}</span>` : ''}
+    `;
+
+    if (!node.children.length) {
+      return `<li class="chain-node" title="${DOMUtils.escapeHTML(node.url)}">${line}</li>`;
+    }
+    return `
+      <li class="chain-node">
+        <details open>
+          <summary title="${DOMUtils.escapeHTML(node.url)}">${line}</summary>
+          <ul class="chain-list">
+            ${node.children.map(child => this.createNode(child, pageHost)).join('')}
+          </ul>
+        </details>
+      </li>
+    `;
+  }
+
+  /**
+   * Label how a file was loaded; import map entries name their specifier
+   * @param {{type: string, specifier?: string}} loadedBy - Initiator
+   * @returns {string} - Escaped label
+   */
+  getTypeLabel(loadedBy) {
+    const label = LoadChainRenderer.TYPE_LABELS[loadedBy.type] || loadedBy.type;
+    return DOMUtils.escapeHTML(loadedBy.specifier ? `${label} "${loadedBy.specifier}"` : label);
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Load Chain Module
+ * Builds the tree of which page or script loaded which file from the `loadedBy` of file records
+ */
+
+export class LoadChain {
+  static UNKNOWN_PAGE = 'Unknown page';
+
+  /**
+   * Build one tree per page
+   * @param {Object[]} records - File records, across domains
+   * @returns {{page: string, children: Object[], size: number}[]} - Pages with the most files first; nodes are
+   *   {url, record, loadedBy, children, size} where `record` is null for parent scripts that weren't collected
+   */
+  static build(records) {
+    const byUrl = new Map(records.map(record => [record.url, record]));
+    const childrenOf = new Map(); // Parent script URL -> records it inserted
+    const pageRecords = new Map(); // Page URL -> records it loaded itself
+
+    const addTo = (map, key, record) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(record);
+    };
+
+    records.forEach(record => {
+      const { loadedBy } = record;
+      if (loadedBy?.type === 'script' && loadedBy.url !== record.url) {
+        addTo(childrenOf, loadedBy.url, record);
+      } else {
+        addTo(pageRecords, this.getPage(record), record);
+      }
+    });
+
+    // Parent scripts that weren't collected still show up, under the page of their first child
+    childrenOf.forEach((children, url) => {
+      if (!byUrl.has(url)) {
+        addTo(pageRecords, this.getPage(children[0]), { url, placeholder: true });
+      }
+    });
+
+    const visited = new Set();
+    const createNode = (record) => {
+      visited.add(record.url);
+      const children = (childrenOf.get(record.url) || [])
+        .filter(child => !visited.has(child.url))
+        .map(child => createNode(child));
+      return {
+        url: record.url,
+        record: record.placeholder ? null : record,
+        loadedBy: record.loadedBy || null,
+        children,
+        size: children.reduce((sum, child) => sum + 1 + child.size, 0)
+      };
+    };
+
+    const trees = new Map();
+    pageRecords.forEach((pageFiles, page) => {
+      trees.set(page, pageFiles.filter(record => !visited.has(record.url)).map(record => createNode(record)));
+    });
+
+    // Scripts that only load each other never reach a page: break the cycle at its first script
+    records.forEach(record => {
+      if (visited.has(record.url)) return;
+      const page = this.getPage(record);
+      if (!trees.has(page)) trees.set(page, []);
+      trees.get(page).push(createNode(record));
+    });
+
+    return [...trees]
+      .map(([page, children]) => ({
+        page,
+        children,
+        size: children.reduce((sum, child) => sum + 1 + child.size, 0)
+      }))
+      .filter(tree => tree.children.length)
+      .sort((a, b) => b.size - a.size);
+  }
+
+  /**
+   * Get the page a file was loaded on
+   * @param {Object} record - File record
+   * @returns {string}
+   */
+  static getPage(record) {
+    if (record.loadedBy && record.loadedBy.type !== 'script') return record.loadedBy.url;
+    return record.inline?.pageUrl || record.frame?.url || record.initiatorOrigin || this.UNKNOWN_PAGE;
+  }
+
+  /**
+   * Collect the URLs of every file in a tree
+   * @param {{children: Object[]}} tree - Page tree or node
+   * @returns {string[]}
+   */
+  static getUrls(tree) {
+    return tree.children.flatMap(child => [child.url, ...this.getUrls(child)]);
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Scope Editor Module
+ * Handles the popup scope editor, platform imports and the current tab's scope badge
+ */
+
+import { DOMUtils } from './dom-utils.js';
+import { StorageManager } from './storage.js';
+import { ScopeManager } from './scope-manager.js';
+import { ToastManager } from './toast-manager.js';
+
+export class ScopeEditor {
+  static STATUS_LABELS = {
+    in: '✅ In scope',
+    out: '⛔ Out of scope',
+    none: 'No scope'
+  };
+
+  constructor() {
+    this.scope = ScopeManager.createEmpty();
+    this.currentURL = null;
+  }
+
+  /**
+   * Load the stored scope and wire up the editor
+   * @param {string|null} currentURL - Active tab URL
+   */
+  async init(currentURL) {
+    this.currentURL = currentURL;
+    this.scope = { ...ScopeManager.createEmpty(), ...(await StorageManager.getScope()) };
+
+    this.fillEditor();
+    this.setupEventListeners();
+    this.renderStatus();
+    await this.renderQuarantine();
+  }
+
+  /**
+   * Set up editor event listeners
+   */
+  setupEventListeners() {
+    const toggleBtn = DOMUtils.getElement('scope-toggle');
+    if (toggleBtn) {
+      toggleBtn.addEventListener('click', () => this.toggleEditor());
+    }
+
+    const saveBtn = DOMUtils.getElement('scope-save');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => this.handleSave());
+    }
+
+    const importBtn = DOMUtils.getElement('scope-import');
+    const fileInput = DOMUtils.getElement('scope-file');
+    if (importBtn && fileInput) {
+      importBtn.addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', () => this.handleImport(fileInput));
+    }
+
+    const copyBtn = DOMUtils.getElement('copy-quarantine');
+    if (copyBtn) {
+      copyBtn.addEventListener('click', () => this.handleCopyQuarantine());
+    }
+
+    const clearBtn = DOMUtils.getElement('clear-quarantine');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => this.handleClearQuarantine());
+    }
+  }
+
+  /**
+   * Show or hide the editor
+   */
+  toggleEditor() {
+    const editor = DOMUtils.getElement('scope-editor');
+    const toggleBtn = DOMUtils.getElement('scope-toggle');
+    const hidden = editor.style.display === 'none';
+
+    editor.style.display = hidden ? 'flex' : 'none';
+    toggleBtn.textContent = hidden ? 'Close' : 'Edit';
+  }
+
+  /**
+   * Put the current scope into the editor fields
+   */
+  fillEditor() {
+    DOMUtils.getElement('scope-include').value = this.scope.include.join('\n');
+    DOMUtils.getElement('scope-exclude').value = this.scope.exclude.join('\n');
+    DOMUtils.getElement('scope-mode').value = this.scope.outOfScope;
+  }
+
+  /**
+   * Read and validate rules from a textarea
+   * @param {string} id - Textarea id
+   * @returns {{rules: string[], invalid: string[]}}
+   */
+  readRules(id) {
+    const lines = DOMUtils.getElement(id).value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+
+    return {
+      rules: lines.filter(line => ScopeManager.parseRule(line)),
+      invalid: lines.filter(line => !ScopeManager.parseRule(line))
+    };
+  }
+
+  /**
+   * Handle save button click
+   */
+  async handleSave() {
+    const include = this.readRules('scope-include');
+    const exclude = this.readRules('scope-exclude');
+    const invalid = [...include.invalid, ...exclude.invalid];
+
+    if (invalid.length) {
+      ToastManager.error(`Invalid rule: ${invalid[0]}`);
+      return;
+    }
+
+    try {
+      this.scope = {
+        include: include.rules,
+        exclude: exclude.rules,
+        outOfScope: DOMUtils.getElement('scope-mode').value
+      };
+      await StorageManager.setScope(this.scope);
+      this.renderStatus();
+      ToastManager.success('Scope saved');
+    } catch (error) {
+      console.error('Failed to save scope:', error);
+      ToastManager.error('Failed to save scope');
+    }
+  }
+
+  /**
+   * Load rules from a platform scope export into the editor (saved on Save)
+   * @param {HTMLInputElement} fileInput - File input
+   */
+  async handleImport(fileInput) {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    try {
+      const imported = ScopeManager.parsePlatformScope(JSON.parse(await file.text()));
+      if (!imported.include.length && !imported.exclude.length) {
+        ToastManager.warning('No web targets found in file');
+        return;
+      }
+
+      DOMUtils.getElement('scope-include').value = imported.include.join('\n');
+      DOMUtils.getElement('scope-exclude').value = imported.exclude.join('\n');
+      ToastManager.info(`Imported ${imported.include.length} in / ${imported.exclude.length} out — review and save`);
+    } catch (error) {
+      console.error('Failed to import scope:', error);
+      ToastManager.error('Could not read scope JSON');
+    }
+  }
+
+  /**
+   * Render the active tab's scope badge
+   */
+  renderStatus() {
+    const badge = DOMUtils.getElement('scope-status');
+    if (!badge) return;
+
+    const status = this.currentURL
+      ? ScopeManager.check(this.currentURL, ScopeManager.compile(this.scope))
+      : ScopeManager.STATUS.NONE;
+
+    badge.textContent = ScopeEditor.STATUS_LABELS[status];
+    badge.className = `scope-badge scope-${status}`;
+  }
+
+  /**
+   * Render the quarantine count
+   */
+  async renderQuarantine() {
+    const quarantined = await StorageManager.getQuarantine();
+    DOMUtils.setText('quarantine-count', `${quarantined.length} quarantined`);
+    DOMUtils.setDisabled(DOMUtils.getElement('copy-quarantine'), !quarantined.length);
+    DOMUtils.setDisabled(DOMUtils.getElement('clear-quarantine'), !quarantined.length);
+  }
+
+  /**
+   * Handle quarantine copy button click
+   */
+  async handleCopyQuarantine() {
+    try {
+      const quarantined = await StorageManager.getQuarantine();
+      await navigator.clipboard.writeText(quarantined.map(file => file.url).join('\n'));
+      ToastManager.success(`Copied ${quarantined.length} quarantined URLs`);
+    } catch (error) {
+      console.error('Failed to copy quarantine:', error);
+      ToastManager.error('Failed to copy URLs');
+    }
+  }
+
+  /**
+   * Handle quarantine clear button click
+   */
+  async handleClearQuarantine() {
+    try {
+      await StorageManager.clearQuarantine();
+      await this.renderQuarantine();
+      ToastManager.info('Quarantine cleared');
+    } catch (error) {
+      console.error('Failed to clear quarantine:', error);
+      ToastManager.error('Failed to clear quarantine');
+    }
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Scope Manager Module
+ * Parses engagement scope rules and decides whether URLs are in scope
+ */
+
+export class ScopeManager {
+  static STATUS = {
+    IN: 'in',
+    OUT: 'out',
+    NONE: 'none' // No rules configured; everything is collected
+  };
+
+  static OUT_OF_SCOPE = {
+    DROP: 'drop',
+    QUARANTINE: 'quarantine'
+  };
+
+  // Platform asset types worth importing (URLs, wildcards, domains, IP ranges, APIs)
+  static WEB_ASSET_TYPES = /url|wildcard|domain|web|site|api|cidr|^ip\b|ip[_ -]?(?:address|range)/i;
+
+  // Keys platforms use for the asset identifier
+  static IDENTIFIER_KEYS = ['asset_identifier', 'endpoint', 'target', 'uri', 'identifier'];
+
+  /**
+   * Create an empty scope configuration
+   * @returns {{include: string[], exclude: string[], outOfScope: string}}
+   */
+  static createEmpty() {
+    return { include: [], exclude: [], outOfScope: this.OUT_OF_SCOPE.DROP };
+  }
+
+  /**
+   * Parse a rule such as `*.target.com`, `https://app.target.com/api/*`, `10.0.0.0/8` or `203.0.113.7`
+   * @param {string} text - Rule text
+   * @returns {Object|null} - Parsed rule, or null if the text isn't a rule
+   */
+  static parseRule(text) {
+    const rule = String(text || '').trim();
+    if (!rule || rule.startsWith('#')) return null;
+
+    const cidr = rule.match(/^(\d{1,3}(?:\.\d{1,3}){3})(?:\/(\d{1,2}))?$/);
+    if (cidr) {
+      const base = this.ipToInt(cidr[1]);
+      const bits = cidr[2] === undefined ? 32 : parseInt(cidr[2], 10);
+      if (base === null || bits > 32) return null;
+      return { type: 'cidr', text: rule, base: (base & this.cidrMask(bits)) >>> 0, bits };
+    }
+
+    const match = rule
+      .replace(/^[a-z][a-z\d+.-]*:\/\//i, '')
+      .match(/^([^/:?#\s]+)(?::(?:\d+|\*))?(\/[^?#\s]*)?$/);
+    if (!match) return null;
+
+    const host = match[1].toLowerCase();
+    if (host !== '*' && !/^(?:[a-z\d*_-]+\.)+[a-z\d*-]+$/.test(host)) return null;
+
+    // Wildcards match any run of characters, so `*.target.com` covers every subdomain but not the apex
+    const hostPattern = host === '*'
+      ? null
+      : new RegExp(`^${host.split('*').map(part => part.replace(/[.+?^${}()|[\]\\-]/g, '\\$&')).join('.*')}$`);
+    const path = (match[2] || '').replace(/\*+$/, '');
+
+    return { type: 'host', text: rule, hostPattern, path: path === '/' ? '' : path };
+  }
+
+  /**
+   * Compile a scope configuration into matchable rules
+   * @param {Object|null} scope - Stored scope configuration
+   * @returns {{include: Object[], exclude: Object[], outOfScope: string}}
+   */
+  static compile(scope) {
+    const config = { ...this.createEmpty(), ...(scope || {}) };
+    const parse = rules => (rules || []).map(rule => this.parseRule(rule)).filter(Boolean);
+    return {
+      include: parse(config.include),
+      exclude: parse(config.exclude),
+      outOfScope: config.outOfScope
+    };
+  }
+
+  /**
+   * Decide whether a URL is in scope. Exclusions win; with only exclusions, everything else is in scope.
+   * @param {string} url - URL to check
+   * @param {Object} compiled - Result of compile()
+   * @returns {string} - One of STATUS
+   */
+  static check(url, compiled) {
+    if (!compiled || (!compiled.include.length && !compiled.exclude.length)) {
+      return this.STATUS.NONE;
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return this.STATUS.OUT;
+    }
+
+    if (compiled.exclude.some(rule => this.matchRule(rule, parsed))) {
+      return this.STATUS.OUT;
+    }
+    if (compiled.include.length && !compiled.include.some(rule => this.matchRule(rule, parsed))) {
+      return this.STATUS.OUT;
+    }
+    return this.STATUS.IN;
+  }
+
+  /**
+   * Match a parsed rule against a URL
+   * @param {Object} rule - Parsed rule
+   * @param {URL} url - Parsed URL
+   * @returns {boolean}
+   */
+  static matchRule(rule, url) {
+    const host = url.hostname.toLowerCase();
+
+    if (rule.type === 'cidr') {
+      const ip = this.ipToInt(host);
+      return ip !== null && ((ip & this.cidrMask(rule.bits)) >>> 0) === rule.base;
+    }
+
+    if (rule.hostPattern && !rule.hostPattern.test(host)) return false;
+    return !rule.path || url.pathname.startsWith(rule.path);
+  }
+
+  /**
+   * Convert a dotted IPv4 address to an unsigned integer
+   * @param {string} ip - IPv4 address
+   * @returns {number|null}
+   */
+  static ipToInt(ip) {
+    const octets = ip.split('.');
+    if (octets.length !== 4 || !octets.every(octet => /^\d{1,3}$/.test(octet) && Number(octet) <= 255)) {
+      return null;
+    }
+    return octets.reduce((value, octet) => ((value << 8) | Number(octet)) >>> 0, 0);
+  }
+
+  static cidrMask(bits) {
+    return bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  }
+
+  // === PLATFORM IMPORT ===
+
+  /**
+   * Read include/exclude rules from a scope JSON export. Understands HackerOne structured scopes,
+   * Bugcrowd target groups, Intigriti/YesWeHack/bounty-targets-data `in_scope`/`out_of_scope`
+   * lists and plain `{include, exclude}` objects.
+   * @param {Object|Array} data - Parsed JSON
+   * @returns {{include: string[], exclude: string[]}}
+   */
+  static parsePlatformScope(data) {
+    const include = new Set();
+    const exclude = new Set();
+
+    const walk = (node, excluded) => {
+      if (Array.isArray(node)) {
+        node.forEach(item => walk(item, excluded));
+        return;
+      }
+      if (!node || typeof node !== 'object') return;
+
+      const attributes = node.attributes && typeof node.attributes === 'object' ? node.attributes : node;
+      const isExcluded = excluded ||
+        attributes.eligible_for_submission === false ||
+        attributes.in_scope === false;
+
+      const identifierKey = this.IDENTIFIER_KEYS.find(key => typeof attributes[key] === 'string');
+      if (identifierKey && this.isWebAsset(attributes)) {
+        this.splitIdentifier(attributes[identifierKey])
+          .forEach(rule => (isExcluded ? exclude : include).add(rule));
+      }
+
+      Object.entries(node).forEach(([key, value]) => {
+        if (typeof value !== 'object') return;
+        if (/^(?:out_of_scope|outOfScope|out-of-scope|exclude|excluded)$/i.test(key)) {
+          walk(value, true);
+        } else if (/^(?:in_scope|inScope|in-scope|include|included)$/i.test(key) && Array.isArray(value)) {
+          walk(value, false);
+        } else {
+          walk(value, isExcluded);
+        }
+      });
+
+      // Plain string lists: {include: ["*.target.com"], exclude: [...]}
+      ['include', 'in_scope', 'exclude', 'out_of_scope'].forEach(key => {
+        if (!Array.isArray(node[key])) return;
+        const target = key === 'include' || key === 'in_scope' ? include : exclude;
+        node[key]
+          .filter(item => typeof item === 'string')
+          .flatMap(item => this.splitIdentifier(item))
+          .forEach(rule => target.add(rule));
+      });
+    };
+
+    walk(data, false);
+    return { include: [...include], exclude: [...exclude] };
+  }
+
+  /**
+   * Check whether a platform asset is a web target
+   * @param {Object} asset - Asset attributes
+   * @returns {boolean}
+   */
+  static isWebAsset(asset) {
+    const rawType = asset.asset_type ?? asset.type ?? asset.category;
+    const type = typeof rawType === 'object' && rawType !== null ? rawType.value ?? rawType.name : rawType;
+    return typeof type !== 'string' || this.WEB_ASSET_TYPES.test(type);
+  }
+
+  /**
+   * Split an identifier field that may list several hosts ("a.com, b.com") into valid rules
+   * @param {string} identifier - Asset identifier
+   * @returns {string[]}
+   */
+  static splitIdentifier(identifier) {
+    return identifier
+      .split(/[\s,]+/)
+      .map(part => part.trim())
+      .filter(part => this.parseRule(part) && part !== '*');
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Source Map Archive Module
+ * Packages reconstructed source trees into downloadable ZIP archives
+ */
+
+import { StorageManager } from './storage.js';
+import { URLManager } from './url-manager.js';
+import { ZipWriter } from './zip-writer.js';
+
+export class SourceMapArchive {
+  /**
+   * Build a ZIP of the original sources behind a script
+   * @param {string} fileUrl - Script URL
+   * @returns {Promise<{blob: Blob, fileCount: number}|null>}
+   */
+  static async build(fileUrl) {
+    const sourceMap = await StorageManager.getSourceMap(fileUrl);
+    if (!sourceMap) return null;
+
+    const zip = new ZipWriter();
+    let fileCount = 0;
+    sourceMap.sources.forEach(source => {
+      if (source.content === null) return;
+      zip.addFile(source.path, source.content);
+      fileCount++;
+    });
+
+    // Record where everything came from, including sources the map listed without content
+    const missing = sourceMap.sources.filter(source => source.content === null).map(source => source.path);
+    zip.addFile('_bugsniffer.json', JSON.stringify({
+      script: sourceMap.fileUrl,
+      sourceMap: sourceMap.mapUrl,
+      foundVia: sourceMap.foundVia,
+      fetchedAt: new Date(sourceMap.fetchedAt).toISOString(),
+      missingContent: missing
+    }, null, 2));
+
+    return { blob: zip.toBlob(), fileCount };
+  }
+
+  /**
+   * Download the reconstructed sources of a script through chrome.downloads
+   * @param {string} fileUrl - Script URL
+   * @returns {Promise<number>} - Number of source files in the archive
+   */
+  static async download(fileUrl) {
+    const archive = await this.build(fileUrl);
+    if (!archive) {
+      throw new Error('No source map stored for this file');
+    }
+
+    const name = URLManager.getFilename(fileUrl).split(/[?#]/)[0].replace(/[^\w.-]/g, '_');
+    await chrome.downloads.download({
+      url: URL.createObjectURL(archive.blob),
+      filename: `sources-${name}-${Date.now()}.zip`,
+      saveAs: true
+    });
+
+    return archive.fileCount;
+  }
+}
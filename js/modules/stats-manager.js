@@ -33,6 +33,50 @@ export class StatsManager {
     }
   }
 
+  /**
+   * Update storage usage and quota display
+   */
+  static async updateStorageUsage() {
+    try {
+      const { usage, quota } = await StorageManager.getUsage();
+      DOMUtils.setText('storage-usage', `💾 ${this.formatBytes(usage)} used of ${this.formatBytes(quota)}`);
+    } catch (error) {
+      console.error('Failed to update storage usage:', error);
+    }
+  }
+
+  /**
+   * Format a byte count for display
+   * @param {number} bytes - Size in bytes
+   * @returns {string}
+   */
+  static formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return unit === 0 ? `${value} ${units[unit]}` : `${value.toFixed(1)} ${units[unit]}`;
+  }
+
+  /**
+   * Update finding count and severity breakdown
+   * @param {Object[]} findings - Findings for the current domain
+   */
+  static updateFindingCounts(findings) {
+    const counts = { high: 0, medium: 0, low: 0 };
+    findings.forEach(finding => {
+      if (finding.severity in counts) counts[finding.severity]++;
+    });
+
+    DOMUtils.setText('finding-count', findings.length.toString());
+    DOMUtils.setText('severity-high', `${counts.high} H`);
+    DOMUtils.setText('severity-medium', `${counts.medium} M`);
+    DOMUtils.setText('severity-low', `${counts.low} L`);
+  }
+
   /**
    * Update all stats displays
    * @param {number} fileCount - Current file count
@@ -40,5 +84,6 @@ export class StatsManager {
   static async updateAll(fileCount) {
     this.updateFileCount(fileCount);
     await this.updateDomainCount();
+    await this.updateStorageUsage();
   }
 }
@@ -0,0 +1,82 @@
+/**
+ * Storage Migrations Module
+ * Upgrades stored data to the current schema, one numbered migration at a time
+ */
+
+import { FileDatabase } from './file-database.js';
+import { StorageManager } from './storage.js';
+
+const { STORES } = FileDatabase;
+
+export class StorageMigrations {
+  static VERSION_KEY = 'bugsniffer_schema_version';
+
+  // Applied in order; each runs once and must be safe to re-run if interrupted
+  static MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Move file records, contents, versions and source maps to IndexedDB',
+      run: () => this.moveToIndexedDB()
+    }
+  ];
+
+  /**
+   * Apply every migration newer than the stored schema version
+   * @returns {Promise<number>} - Schema version after migrating
+   */
+  static async run() {
+    const data = await StorageManager.get([this.VERSION_KEY]);
+    let version = data[this.VERSION_KEY] || 0;
+
+    for (const migration of this.MIGRATIONS.filter(m => m.version > version)) {
+      await migration.run();
+      version = migration.version;
+      await StorageManager.set({ [this.VERSION_KEY]: version });
+    }
+
+    return version;
+  }
+
+  /**
+   * Migration 1: copy everything archived in chrome.storage.local into IndexedDB, then drop the old keys
+   */
+  static async moveToIndexedDB() {
+    const data = await StorageManager.get(null);
+    const files = [];
+    const domains = [];
+    const contents = [];
+    const versions = [];
+    const sourceMaps = [];
+    const migratedKeys = [];
+
+    Object.entries(data).forEach(([key, value]) => {
+      if (StorageManager.isDomainEntry(key, value)) {
+        // Legacy arrays held plain URL strings
+        const entries = Array.isArray(value) ? value : value.files;
+        entries.forEach(file => {
+          const record = typeof file === 'string' ? { url: file } : file;
+          files.push({ ...record, domain: key, host: StorageManager.getHost(record.url) });
+        });
+        domains.push({ domain: key, lastCrawl: Array.isArray(value) ? null : value.lastCrawl || null });
+      } else if (key.startsWith(StorageManager.LEGACY_CONTENT_PREFIX)) {
+        contents.push(value);
+      } else if (key.startsWith(StorageManager.LEGACY_VERSIONS_PREFIX)) {
+        versions.push({ url: key.slice(StorageManager.LEGACY_VERSIONS_PREFIX.length), versions: value });
+      } else if (key.startsWith(StorageManager.LEGACY_SOURCEMAP_PREFIX)) {
+        sourceMaps.push(value);
+      } else {
+        return;
+      }
+      migratedKeys.push(key);
+    });
+
+    await FileDatabase.putAll(STORES.FILES, files.filter(file => file.url));
+    await FileDatabase.putAll(STORES.DOMAINS, domains);
+    await FileDatabase.putAll(STORES.CONTENTS, contents.filter(content => content?.url));
+    await FileDatabase.putAll(STORES.VERSIONS, versions);
+    await FileDatabase.putAll(STORES.SOURCE_MAPS, sourceMaps.filter(sourceMap => sourceMap?.fileUrl));
+
+    // Only drop the old copies once every store has committed
+    await StorageManager.remove(migratedKeys);
+  }
+}
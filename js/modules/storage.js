@@ -1,9 +1,56 @@
 /**
  * Storage Manager Module
- * Handles all Chrome storage operations
+ * Handles all Chrome storage operations. File records, archived contents, versions and source maps
+ * live in IndexedDB (see FileDatabase); settings, findings and endpoints stay in chrome.storage.local.
  */
 
+import { FileDatabase } from './file-database.js';
+
+const { STORES } = FileDatabase;
+
 export class StorageManager {
+  static FINDINGS_PREFIX = 'bugsniffer_findings:';
+  static ENDPOINTS_PREFIX = 'bugsniffer_endpoints:';
+  static SCOPE_KEY = 'bugsniffer_scope';
+  static QUARANTINE_KEY = 'bugsniffer_quarantine';
+  static DOMAIN_ALIASES_KEY = 'bugsniffer_domain_aliases';
+  static WATCHLIST_KEY = 'bugsniffer_watchlist';
+  static ACTIVITY_KEY = 'bugsniffer_activity';
+  static RECRAWL_KEY = 'bugsniffer_recrawl';
+  static RECRAWL_STATUS_KEY = 'bugsniffer_recrawl_status';
+
+  // Integration settings and delivery log are shared by all workspaces; events name their workspace
+  static INTEGRATION_KEY = 'bugsniffer_integration';
+  static INTEGRATION_LOG_KEY = 'bugsniffer_integration_log';
+  static DEFAULT_INTEGRATION = {
+    enabled: false,
+    transport: 'http',
+    endpoint: 'http://127.0.0.1:8765/events',
+    token: '',
+    nativeHost: '',
+    sendFiles: true,
+    sendFindings: true
+  };
+  static DEFAULT_RECRAWL = {
+    enabled: false,
+    intervalMinutes: 60,
+    seeds: {} // Domain -> seed page URLs
+  };
+
+  // Keys of archived data kept in chrome.storage.local before the IndexedDB store
+  static LEGACY_CONTENT_PREFIX = 'bugsniffer_content:';
+  static LEGACY_SOURCEMAP_PREFIX = 'bugsniffer_sourcemap:';
+  static LEGACY_VERSIONS_PREFIX = 'bugsniffer_versions:';
+
+  // Workspaces: the default one uses the plain keys and database, others prefix both with their id
+  static WORKSPACES_KEY = 'bugsniffer_workspaces';
+  static ACTIVE_WORKSPACE_KEY = 'bugsniffer_active_workspace';
+  static DEFAULT_WORKSPACE = 'default';
+  static WORKSPACE_PREFIX = 'bugsniffer_ws:';
+
+  static workspaceId = this.DEFAULT_WORKSPACE;
+  static readyPromise = null;
+
   /**
    * Get data from Chrome storage
    * @param {string|string[]|null} keys - Keys to retrieve
@@ -37,6 +84,136 @@ export class StorageManager {
     });
   }
 
+  /**
+   * Load the active workspace; call once per extension context before reading workspace data
+   * @returns {Promise<string>} - Active workspace id
+   */
+  static ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.get([this.ACTIVE_WORKSPACE_KEY]).then(data => {
+        this.applyWorkspace(data[this.ACTIVE_WORKSPACE_KEY] || this.DEFAULT_WORKSPACE);
+        return this.workspaceId;
+      });
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * Make a workspace active for this context and for contexts started later
+   * @param {string} id - Workspace id
+   * @returns {Promise<void>}
+   */
+  static async setActiveWorkspace(id) {
+    await this.set({ [this.ACTIVE_WORKSPACE_KEY]: id });
+    this.applyWorkspace(id);
+    this.readyPromise = Promise.resolve(id);
+  }
+
+  static applyWorkspace(id) {
+    this.workspaceId = id;
+    FileDatabase.use(this.databaseName(id));
+  }
+
+  /**
+   * Get the IndexedDB database name of a workspace
+   * @param {string} id - Workspace id
+   * @returns {string}
+   */
+  static databaseName(id) {
+    return id === this.DEFAULT_WORKSPACE ? FileDatabase.NAME : `${FileDatabase.NAME}:${id}`;
+  }
+
+  /**
+   * Get the chrome.storage key of workspace data
+   * @param {string} key - Unscoped key (e.g. SCOPE_KEY or a findings key)
+   * @param {string} workspaceId - Workspace id, the active one by default
+   * @returns {string}
+   */
+  static scopedKey(key, workspaceId = this.workspaceId) {
+    return workspaceId === this.DEFAULT_WORKSPACE ? key : `${this.WORKSPACE_PREFIX}${workspaceId}:${key}`;
+  }
+
+  /**
+   * Check whether an unscoped chrome.storage key holds workspace data (findings, endpoints, settings)
+   * @param {string} key - Unscoped key
+   * @returns {boolean}
+   */
+  static isWorkspaceKey(key) {
+    return key.startsWith(this.FINDINGS_PREFIX) ||
+      key.startsWith(this.ENDPOINTS_PREFIX) ||
+      [this.SCOPE_KEY, this.QUARANTINE_KEY, this.DOMAIN_ALIASES_KEY, this.WATCHLIST_KEY, this.ACTIVITY_KEY,
+        this.RECRAWL_KEY, this.RECRAWL_STATUS_KEY].includes(key);
+  }
+
+  /**
+   * Get the known workspaces; the default workspace always exists
+   * @returns {Promise<{id: string, name: string, createdAt: number|null, archived: boolean}[]>}
+   */
+  static async getWorkspaces() {
+    const data = await this.get([this.WORKSPACES_KEY]);
+    const workspaces = data[this.WORKSPACES_KEY] || [];
+    return workspaces.some(workspace => workspace.id === this.DEFAULT_WORKSPACE)
+      ? workspaces
+      : [{ id: this.DEFAULT_WORKSPACE, name: 'Default', createdAt: null, archived: false }, ...workspaces];
+  }
+
+  /**
+   * Save the workspace list
+   * @param {Object[]} workspaces - Workspaces
+   * @returns {Promise<void>}
+   */
+  static async setWorkspaces(workspaces) {
+    await this.set({ [this.WORKSPACES_KEY]: workspaces });
+  }
+
+  /**
+   * Get a workspace's chrome.storage data under unscoped keys
+   * @param {string} id - Workspace id
+   * @returns {Promise<Object>}
+   */
+  static async getWorkspaceStorage(id) {
+    const data = await this.get(null);
+    const prefix = this.scopedKey('', id);
+    const result = {};
+
+    Object.entries(data).forEach(([key, value]) => {
+      if (id !== this.DEFAULT_WORKSPACE && !key.startsWith(prefix)) return;
+      const unscoped = key.slice(prefix.length);
+      if (this.isWorkspaceKey(unscoped)) {
+        result[unscoped] = value;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Store chrome.storage data for a workspace
+   * @param {string} id - Workspace id
+   * @param {Object} data - Values under unscoped keys; keys that aren't workspace data are ignored
+   * @returns {Promise<void>}
+   */
+  static async setWorkspaceStorage(id, data) {
+    const scoped = {};
+    Object.entries(data).forEach(([key, value]) => {
+      if (this.isWorkspaceKey(key)) {
+        scoped[this.scopedKey(key, id)] = value;
+      }
+    });
+    await this.set(scoped);
+  }
+
+  /**
+   * Remove a workspace's chrome.storage data
+   * @param {string} id - Workspace id
+   * @returns {Promise<void>}
+   */
+  static async removeWorkspaceStorage(id) {
+    const keys = Object.keys(await this.getWorkspaceStorage(id)).map(key => this.scopedKey(key, id));
+    if (keys.length) {
+      await this.remove(keys);
+    }
+  }
+
   /**
    * Get extension enabled state
    * @returns {Promise<boolean>}
@@ -61,21 +238,584 @@ export class StorageManager {
    * @returns {Promise<string[]>}
    */
   static async getJSFiles(domain) {
-    const data = await this.get([domain]);
-    const domainData = data[domain];
-    
-    if (!domainData) return [];
-    
-    // Handle both old format (array) and new format (object with files)
-    if (Array.isArray(domainData)) {
-      return domainData;
-    }
-    
-    if (domainData.files && Array.isArray(domainData.files)) {
-      return domainData.files.map(file => file.url || file);
+    const records = await this.getJSFileRecords(domain);
+    return records.map(record => record.url);
+  }
+
+  /**
+   * Get every domain with collected JS files
+   * @returns {Promise<string[]>}
+   */
+  static async getDomains() {
+    const domains = await FileDatabase.getAll(STORES.DOMAINS);
+    return domains.map(info => info.domain).sort();
+  }
+
+  /**
+   * Get a domain's crawl info
+   * @param {string} domain - Domain
+   * @returns {Promise<{domain: string, lastCrawl: number|null}|null>}
+   */
+  static async getDomainInfo(domain) {
+    return FileDatabase.get(STORES.DOMAINS, domain);
+  }
+
+  /**
+   * Check whether a chrome.storage.local item is a domain's file list from before the IndexedDB
+   * store (legacy array or {files, lastCrawl})
+   * @param {string} key - Storage key
+   * @param {*} value - Stored value
+   * @returns {boolean}
+   */
+  static isDomainEntry(key, value) {
+    return !key.startsWith('bugsniffer_') && (Array.isArray(value) || Array.isArray(value?.files));
+  }
+
+  /**
+   * Summarize every stored domain for the dashboard
+   * @returns {Promise<{domain: string, fileCount: number, archivedCount: number, findingCount: number, endpointCount: number, lastCrawl: number|null}[]>}
+   */
+  static async getDomainSummaries() {
+    const [domains, files, data] = await Promise.all([
+      FileDatabase.getAll(STORES.DOMAINS),
+      FileDatabase.getAll(STORES.FILES),
+      this.get(null)
+    ]);
+
+    const filesByDomain = new Map(domains.map(info => [info.domain, []]));
+    files.forEach(file => filesByDomain.get(file.domain)?.push(file));
+
+    return domains.map(({ domain, lastCrawl }) => {
+      const domainFiles = filesByDomain.get(domain);
+      return {
+        domain,
+        fileCount: domainFiles.length,
+        archivedCount: domainFiles.filter(file => file.fetch?.status === 'ok').length,
+        findingCount: (data[this.findingsKey(domain)] || []).length,
+        endpointCount: (data[this.endpointsKey(domain)] || []).length,
+        lastCrawl: lastCrawl || null
+      };
+    });
+  }
+
+  /**
+   * Get merged-domain aliases
+   * @returns {Promise<Object<string, string>>} - Map of merged hostname to the domain it was merged into
+   */
+  static async getDomainAliases() {
+    const key = this.scopedKey(this.DOMAIN_ALIASES_KEY);
+    const data = await this.get([key]);
+    return data[key] || {};
+  }
+
+  /**
+   * Save merged-domain aliases
+   * @param {Object<string, string>} aliases - Map of merged hostname to target domain
+   * @returns {Promise<void>}
+   */
+  static async setDomainAliases(aliases) {
+    await this.set({ [this.scopedKey(this.DOMAIN_ALIASES_KEY)]: aliases });
+  }
+
+  /**
+   * Map a hostname to the domain its files are stored under
+   * @param {string|null} domain - Hostname
+   * @returns {Promise<string|null>}
+   */
+  static async resolveDomain(domain) {
+    if (!domain) return domain;
+    const aliases = await this.getDomainAliases();
+    return aliases[domain] || domain;
+  }
+
+  /**
+   * Get JS file records (with metadata) for a domain
+   * @param {string} domain - Domain to get files for
+   * @returns {Promise<Object[]>}
+   */
+  static async getJSFileRecords(domain) {
+    if (!domain) return [];
+    const files = await FileDatabase.getAll(STORES.FILES, 'domain', domain);
+    return files.sort((a, b) => (a.discoveredAt || 0) - (b.discoveredAt || 0));
+  }
+
+  /**
+   * Get a single JS file record
+   * @param {string} domain - Domain the file is stored under
+   * @param {string} url - File URL
+   * @returns {Promise<Object|null>}
+   */
+  static async getJSFileRecord(domain, url) {
+    return FileDatabase.get(STORES.FILES, [domain, url]);
+  }
+
+  /**
+   * Get JS file records served from a host, across domains
+   * @param {string} host - Hostname
+   * @returns {Promise<Object[]>}
+   */
+  static async getJSFileRecordsByHost(host) {
+    return FileDatabase.getAll(STORES.FILES, 'host', host);
+  }
+
+  /**
+   * Get JS file records discovered in a time range, across domains
+   * @param {number} since - Start time in milliseconds
+   * @param {number} until - End time in milliseconds
+   * @returns {Promise<Object[]>}
+   */
+  static async getJSFileRecordsBetween(since, until = Date.now()) {
+    return FileDatabase.getAll(STORES.FILES, 'discoveredAt', IDBKeyRange.bound(since, until));
+  }
+
+  /**
+   * Save a JS file record, keeping the archive state (`fetch`) of any existing record for the URL
+   * @param {string} domain - Domain to store the file under
+   * @param {Object} fileObj - File record
+   * @returns {Promise<Object>} - The saved record
+   */
+  static async saveJSFileRecord(domain, fileObj) {
+    const [saved] = await this.applyJSFileWrites(domain, [{ type: 'save', fileObj }]);
+    return saved;
+  }
+
+  /**
+   * Merge a patch into a stored JS file record
+   * @param {string} domain - Domain the file is stored under
+   * @param {string} url - File URL
+   * @param {Object} patch - Fields to set
+   * @returns {Promise<Object|null>} - The updated record, or null if the file isn't stored
+   */
+  static async updateJSFileRecord(domain, url, patch) {
+    const [updated] = await this.applyJSFileWrites(domain, [{ type: 'update', url, patch }]);
+    return updated;
+  }
+
+  /**
+   * Apply a batch of saves and patches to a domain's JS file records in one transaction, in order
+   * @param {string} domain - Domain the files are stored under
+   * @param {({type: 'save', fileObj: Object}|{type: 'update', url: string, patch: Object})[]} writes - Writes
+   * @returns {Promise<(Object|null)[]>} - Resulting record per write; null for patches of unknown files
+   */
+  static async applyJSFileWrites(domain, writes) {
+    const results = await FileDatabase.transaction([STORES.FILES, STORES.DOMAINS], 'readwrite', async tx => {
+      const files = tx.objectStore(STORES.FILES);
+      const records = new Map();
+      const applied = [];
+
+      for (const write of writes) {
+        const url = write.type === 'save' ? write.fileObj.url : write.url;
+        if (!records.has(url)) {
+          records.set(url, (await FileDatabase.request(files.get([domain, url]))) || null);
+        }
+
+        const previous = records.get(url);
+        let record = null;
+        if (write.type === 'save') {
+          record = { ...write.fileObj, domain, host: this.getHost(url), fetch: previous?.fetch || write.fileObj.fetch };
+        } else if (previous) {
+          record = { ...previous, ...write.patch };
+        }
+
+        if (record) {
+          files.put(record);
+          records.set(url, record);
+        }
+        applied.push(record);
+      }
+
+      if (writes.some(write => write.type === 'save')) {
+        tx.objectStore(STORES.DOMAINS).put({ domain, lastCrawl: Date.now() });
+      }
+      return applied;
+    });
+
+    FileDatabase.notifyChange(domain);
+    return results;
+  }
+
+  /**
+   * Get the domain and URL of every stored JS file, without loading the records
+   * @returns {Promise<{domain: string, url: string}[]>}
+   */
+  static async getJSFileKeys() {
+    const keys = await FileDatabase.getAllKeys(STORES.FILES);
+    return keys.map(([domain, url]) => ({ domain, url }));
+  }
+
+  /**
+   * Replace all JS file records of a domain
+   * @param {string} domain - Domain
+   * @param {Object[]} files - File records
+   * @param {number|null} lastCrawl - Last crawl time
+   * @returns {Promise<void>}
+   */
+  static async setJSFileRecords(domain, files, lastCrawl) {
+    await FileDatabase.transaction([STORES.FILES, STORES.DOMAINS], 'readwrite', tx => {
+      const store = tx.objectStore(STORES.FILES);
+      store.delete(IDBKeyRange.bound([domain], [domain, []]));
+      files.forEach(file => store.put({ ...file, domain, host: this.getHost(file.url) }));
+      tx.objectStore(STORES.DOMAINS).put({ domain, lastCrawl });
+    });
+    FileDatabase.notifyChange(domain);
+  }
+
+  /**
+   * Remove a domain and all its JS file records
+   * @param {string} domain - Domain
+   * @returns {Promise<void>}
+   */
+  static async removeDomain(domain) {
+    await FileDatabase.transaction([STORES.FILES, STORES.DOMAINS], 'readwrite', tx => {
+      tx.objectStore(STORES.FILES).delete(IDBKeyRange.bound([domain], [domain, []]));
+      tx.objectStore(STORES.DOMAINS).delete(domain);
+    });
+    FileDatabase.notifyChange(domain);
+  }
+
+  /**
+   * Listen for JS file changes made by the service worker or other extension pages
+   * @param {function(string): void} callback - Called with the changed domain
+   */
+  static onFilesChanged(callback) {
+    FileDatabase.onChange(callback);
+  }
+
+  /**
+   * Get the hostname a file is served from, for the host index
+   * @param {string} url - File URL
+   * @returns {string}
+   */
+  static getHost(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return '';
     }
-    
-    return [];
+  }
+
+  /**
+   * Get archived content for a file
+   * @param {string} url - File URL
+   * @returns {Promise<Object|null>}
+   */
+  static async getContent(url) {
+    return FileDatabase.get(STORES.CONTENTS, url);
+  }
+
+  /**
+   * Store archived content for a file
+   * @param {Object} content - Content record ({url, body, size, contentType, sha256, ...})
+   * @returns {Promise<void>}
+   */
+  static async setContent(content) {
+    return FileDatabase.putAll(STORES.CONTENTS, [content]);
+  }
+
+  /**
+   * Remove archived content for files
+   * @param {string[]} urls - File URLs
+   * @returns {Promise<void>}
+   */
+  static async removeContents(urls) {
+    return FileDatabase.deleteAll(STORES.CONTENTS, urls);
+  }
+
+  /**
+   * Get previous versions of a file, oldest first
+   * @param {string} url - File URL
+   * @returns {Promise<Object[]>}
+   */
+  static async getVersions(url) {
+    const record = await FileDatabase.get(STORES.VERSIONS, url);
+    return record?.versions || [];
+  }
+
+  /**
+   * Keep a replaced content record as a previous version
+   * @param {Object} content - Content record being replaced
+   * @param {number} maxVersions - Number of versions to keep
+   * @returns {Promise<number>} - Number of stored versions
+   */
+  static async addVersion(content, maxVersions) {
+    return FileDatabase.transaction(STORES.VERSIONS, 'readwrite', async tx => {
+      const store = tx.objectStore(STORES.VERSIONS);
+      const record = await FileDatabase.request(store.get(content.url));
+      const versions = [...(record?.versions || []), { ...content, replacedAt: Date.now() }].slice(-maxVersions);
+      store.put({ url: content.url, versions });
+      return versions.length;
+    });
+  }
+
+  /**
+   * Remove previous versions of files
+   * @param {string[]} urls - File URLs
+   * @returns {Promise<void>}
+   */
+  static async removeVersions(urls) {
+    return FileDatabase.deleteAll(STORES.VERSIONS, urls);
+  }
+
+  /**
+   * Get the reconstructed source map for a script
+   * @param {string} url - Script URL
+   * @returns {Promise<Object|null>}
+   */
+  static async getSourceMap(url) {
+    return FileDatabase.get(STORES.SOURCE_MAPS, url);
+  }
+
+  /**
+   * Store a reconstructed source map
+   * @param {Object} sourceMap - Source map record ({fileUrl, mapUrl, sources, ...})
+   * @returns {Promise<void>}
+   */
+  static async setSourceMap(sourceMap) {
+    return FileDatabase.putAll(STORES.SOURCE_MAPS, [sourceMap]);
+  }
+
+  /**
+   * Remove reconstructed source maps for scripts
+   * @param {string[]} urls - Script URLs
+   * @returns {Promise<void>}
+   */
+  static async removeSourceMaps(urls) {
+    return FileDatabase.deleteAll(STORES.SOURCE_MAPS, urls);
+  }
+
+  /**
+   * Get storage key for a domain's findings
+   * @param {string} domain - Domain
+   * @returns {string}
+   */
+  static findingsKey(domain) {
+    return this.scopedKey(this.FINDINGS_PREFIX + domain);
+  }
+
+  /**
+   * Get analysis findings for a domain
+   * @param {string} domain - Domain to get findings for
+   * @returns {Promise<Object[]>}
+   */
+  static async getFindings(domain) {
+    const key = this.findingsKey(domain);
+    const data = await this.get([key]);
+    return data[key] || [];
+  }
+
+  /**
+   * Get storage key for a domain's extracted endpoints
+   * @param {string} domain - Domain
+   * @returns {string}
+   */
+  static endpointsKey(domain) {
+    return this.scopedKey(this.ENDPOINTS_PREFIX + domain);
+  }
+
+  /**
+   * Get extracted endpoints for a domain
+   * @param {string} domain - Domain to get endpoints for
+   * @returns {Promise<Object[]>}
+   */
+  static async getEndpoints(domain) {
+    const key = this.endpointsKey(domain);
+    const data = await this.get([key]);
+    return data[key] || [];
+  }
+
+  /**
+   * Get the engagement scope configuration
+   * @returns {Promise<{include: string[], exclude: string[], outOfScope: string}|null>}
+   */
+  static async getScope() {
+    const key = this.scopedKey(this.SCOPE_KEY);
+    const data = await this.get([key]);
+    return data[key] || null;
+  }
+
+  /**
+   * Save the engagement scope configuration
+   * @param {{include: string[], exclude: string[], outOfScope: string}} scope - Scope configuration
+   * @returns {Promise<void>}
+   */
+  static async setScope(scope) {
+    await this.set({ [this.scopedKey(this.SCOPE_KEY)]: scope });
+  }
+
+  /**
+   * Get quarantined (out-of-scope) file objects
+   * @returns {Promise<Object[]>}
+   */
+  static async getQuarantine() {
+    const key = this.scopedKey(this.QUARANTINE_KEY);
+    const data = await this.get([key]);
+    return data[key] || [];
+  }
+
+  /**
+   * Add an out-of-scope file object to the quarantine bucket
+   * @param {Object} fileObj - File object
+   * @param {number} maxFiles - Number of files to keep
+   * @returns {Promise<void>}
+   */
+  static async addQuarantined(fileObj, maxFiles) {
+    const files = (await this.getQuarantine()).filter(file => file.url !== fileObj.url);
+    files.push(fileObj);
+    await this.set({ [this.scopedKey(this.QUARANTINE_KEY)]: files.slice(-maxFiles) });
+  }
+
+  /**
+   * Empty the quarantine bucket
+   * @returns {Promise<void>}
+   */
+  static async clearQuarantine() {
+    await this.remove([this.scopedKey(this.QUARANTINE_KEY)]);
+  }
+
+  /**
+   * Get the watched domains
+   * @returns {Promise<string[]>}
+   */
+  static async getWatchlist() {
+    const key = this.scopedKey(this.WATCHLIST_KEY);
+    const data = await this.get([key]);
+    return data[key] || [];
+  }
+
+  /**
+   * Save the watched domains
+   * @param {string[]} domains - Watched domains
+   * @returns {Promise<void>}
+   */
+  static async setWatchlist(domains) {
+    await this.set({ [this.scopedKey(this.WATCHLIST_KEY)]: domains });
+  }
+
+  /**
+   * Add a domain to the watchlist or remove it
+   * @param {string} domain - Domain to watch
+   * @param {boolean} watched - Whether to watch it
+   * @returns {Promise<string[]>} - Updated watchlist
+   */
+  static async setWatched(domain, watched) {
+    const watchlist = (await this.getWatchlist()).filter(item => item !== domain);
+    if (watched) watchlist.push(domain);
+    await this.setWatchlist(watchlist.sort());
+    return watchlist;
+  }
+
+  /**
+   * Get the watchlist activity feed, oldest first
+   * @returns {Promise<Object[]>}
+   */
+  static async getActivity() {
+    const key = this.scopedKey(this.ACTIVITY_KEY);
+    const data = await this.get([key]);
+    return data[key] || [];
+  }
+
+  /**
+   * Append events to the watchlist activity feed
+   * @param {Object[]} events - Activity events
+   * @param {number} maxEvents - Number of events to keep
+   * @returns {Promise<void>}
+   */
+  static async addActivity(events, maxEvents) {
+    const activity = await this.getActivity();
+    await this.set({ [this.scopedKey(this.ACTIVITY_KEY)]: [...activity, ...events].slice(-maxEvents) });
+  }
+
+  /**
+   * Empty the watchlist activity feed
+   * @returns {Promise<void>}
+   */
+  static async clearActivity() {
+    await this.remove([this.scopedKey(this.ACTIVITY_KEY)]);
+  }
+
+  /**
+   * Get the recrawl settings, filled in with defaults
+   * @returns {Promise<Object>}
+   */
+  static async getRecrawl() {
+    const key = this.scopedKey(this.RECRAWL_KEY);
+    const data = await this.get([key]);
+    return { ...this.DEFAULT_RECRAWL, ...data[key] };
+  }
+
+  /**
+   * Save the recrawl settings
+   * @param {Object} settings - Recrawl settings
+   * @returns {Promise<void>}
+   */
+  static async setRecrawl(settings) {
+    await this.set({ [this.scopedKey(this.RECRAWL_KEY)]: settings });
+  }
+
+  /**
+   * Get the results of the last recrawl
+   * @returns {Promise<{ranAt: number, seeds: Object<string, Object>}|null>}
+   */
+  static async getRecrawlStatus() {
+    const key = this.scopedKey(this.RECRAWL_STATUS_KEY);
+    const data = await this.get([key]);
+    return data[key] || null;
+  }
+
+  /**
+   * Save the results of a recrawl
+   * @param {{ranAt: number, seeds: Object<string, Object>}} status - Results per seed URL
+   * @returns {Promise<void>}
+   */
+  static async setRecrawlStatus(status) {
+    await this.set({ [this.scopedKey(this.RECRAWL_STATUS_KEY)]: status });
+  }
+
+  /**
+   * Get the integration settings, filled in with defaults
+   * @returns {Promise<Object>}
+   */
+  static async getIntegration() {
+    const data = await this.get([this.INTEGRATION_KEY]);
+    return { ...this.DEFAULT_INTEGRATION, ...data[this.INTEGRATION_KEY] };
+  }
+
+  /**
+   * Save the integration settings
+   * @param {Object} settings - Integration settings
+   * @returns {Promise<void>}
+   */
+  static async setIntegration(settings) {
+    await this.set({ [this.INTEGRATION_KEY]: settings });
+  }
+
+  /**
+   * Get the integration delivery log, oldest first
+   * @returns {Promise<Object[]>}
+   */
+  static async getDeliveryLog() {
+    const data = await this.get([this.INTEGRATION_LOG_KEY]);
+    return data[this.INTEGRATION_LOG_KEY] || [];
+  }
+
+  /**
+   * Append an entry to the integration delivery log
+   * @param {Object} entry - Delivery attempt
+   * @param {number} maxEntries - Number of entries to keep
+   * @returns {Promise<void>}
+   */
+  static async addDeliveryLogEntry(entry, maxEntries) {
+    const log = await this.getDeliveryLog();
+    log.push(entry);
+    await this.set({ [this.INTEGRATION_LOG_KEY]: log.slice(-maxEntries) });
+  }
+
+  /**
+   * Empty the integration delivery log
+   * @returns {Promise<void>}
+   */
+  static async clearDeliveryLog() {
+    await this.remove([this.INTEGRATION_LOG_KEY]);
   }
 
   /**
@@ -83,9 +823,22 @@ export class StorageManager {
    * @returns {Promise<{domainCount: number, totalFiles: number}>}
    */
   static async getAllStats() {
-    const data = await this.get(null);
-    const domains = Object.keys(data).filter(key => Array.isArray(data[key]));
-    const totalFiles = domains.reduce((sum, domain) => sum + data[domain].length, 0);
-    return { domainCount: domains.length, totalFiles };
+    const [domainCount, totalFiles] = await Promise.all([
+      FileDatabase.count(STORES.DOMAINS),
+      FileDatabase.count(STORES.FILES)
+    ]);
+    return { domainCount, totalFiles };
+  }
+
+  /**
+   * Get the extension's storage usage across IndexedDB and chrome.storage
+   * @returns {Promise<{usage: number, quota: number}>} - Bytes used and available to the extension
+   */
+  static async getUsage() {
+    const [estimate, localBytes] = await Promise.all([
+      navigator.storage.estimate(),
+      chrome.storage.local.getBytesInUse(null)
+    ]);
+    return { usage: (estimate.usage || 0) + localBytes, quota: estimate.quota || 0 };
   }
 }
@@ -0,0 +1,185 @@
+/**
+ * Text Diff Module
+ * Line-based Myers diff with unified output
+ */
+
+export class TextDiff {
+  static CONTEXT_LINES = 3;
+  static MAX_EDIT_DISTANCE = 3000; // Bounds memory (the trace grows with the square of this)
+
+  /**
+   * Compute a line diff
+   * @param {string} oldText - Old version
+   * @param {string} newText - New version
+   * @returns {{type: string, text: string, oldLine: number|null, newLine: number|null}[]|null}
+   *   Edit script, or null when the versions differ by more than MAX_EDIT_DISTANCE lines
+   */
+  static diffLines(oldText, newText) {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+
+    // Trim the common prefix and suffix; Myers only has to handle the changed middle
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+           a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const middle = this.myers(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix));
+    if (!middle) return null;
+
+    const ops = [
+      ...a.slice(0, prefix).map(text => ({ type: 'equal', text })),
+      ...middle,
+      ...a.slice(a.length - suffix).map(text => ({ type: 'equal', text }))
+    ];
+
+    // Number the lines on both sides
+    let oldLine = 1;
+    let newLine = 1;
+    return ops.map(op => ({
+      ...op,
+      oldLine: op.type === 'insert' ? null : oldLine++,
+      newLine: op.type === 'delete' ? null : newLine++
+    }));
+  }
+
+  /**
+   * Myers O(ND) shortest edit script
+   * @param {string[]} a - Old lines
+   * @param {string[]} b - New lines
+   * @returns {{type: string, text: string}[]|null}
+   */
+  static myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    if (max === 0) return [];
+
+    const offset = max;
+    const v = new Int32Array(2 * max + 2);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+      if (d > this.MAX_EDIT_DISTANCE) return null;
+      trace.push(v.slice(offset - d, offset + d + 2));
+
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          return this.backtrack(trace, a, b, d);
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Walk the saved V arrays back into an edit script
+   */
+  static backtrack(trace, a, b, finalD) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = finalD; d > 0; d--) {
+      const v = trace[d]; // Snapshot taken before step d, indexed from k = -d
+      const get = k => v[k + d];
+      const k = x - y;
+      const prevK = k === -d || (k !== d && get(k - 1) < get(k + 1)) ? k + 1 : k - 1;
+      const prevX = get(prevK);
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        ops.push({ type: 'equal', text: a[--x] });
+        y--;
+      }
+      if (x === prevX) {
+        ops.push({ type: 'insert', text: b[--y] });
+      } else {
+        ops.push({ type: 'delete', text: a[--x] });
+      }
+    }
+
+    while (x > 0 && y > 0) {
+      ops.push({ type: 'equal', text: a[--x] });
+      y--;
+    }
+
+    return ops.reverse();
+  }
+
+  /**
+   * Group an edit script into unified diff hunks
+   * @param {Object[]} ops - Edit script from diffLines
+   * @param {number} context - Context lines around changes
+   * @returns {{header: string, lines: Object[]}[]}
+   */
+  static hunks(ops, context = this.CONTEXT_LINES) {
+    const hunks = [];
+    let current = null;
+    let lastChange = -Infinity;
+
+    ops.forEach((op, index) => {
+      if (op.type === 'equal') return;
+
+      const start = Math.max(0, index - context);
+      if (current && start <= lastChange + context + 1) {
+        current.end = index;
+      } else {
+        if (current) hunks.push(current);
+        current = { start, end: index };
+      }
+      lastChange = index;
+    });
+    if (current) hunks.push(current);
+
+    return hunks.map(({ start, end }) => {
+      const lines = ops.slice(start, Math.min(ops.length, end + context + 1));
+      const oldLines = lines.filter(line => line.type !== 'insert');
+      const newLines = lines.filter(line => line.type !== 'delete');
+      const oldStart = oldLines[0]?.oldLine ?? (this.lastNumber(ops, start, 'oldLine'));
+      const newStart = newLines[0]?.newLine ?? (this.lastNumber(ops, start, 'newLine'));
+      return {
+        header: `@@ -${oldStart},${oldLines.length} +${newStart},${newLines.length} @@`,
+        lines
+      };
+    });
+  }
+
+  static lastNumber(ops, index, field) {
+    for (let i = index - 1; i >= 0; i--) {
+      if (ops[i][field] !== null) return ops[i][field];
+    }
+    return 0;
+  }
+
+  /**
+   * Render a unified diff as text
+   * @param {string} oldText - Old version
+   * @param {string} newText - New version
+   * @param {string} oldLabel - Label for the old version
+   * @param {string} newLabel - Label for the new version
+   * @returns {string|null} - Unified diff, or null if the versions are too different
+   */
+  static unified(oldText, newText, oldLabel = 'a', newLabel = 'b') {
+    const ops = this.diffLines(oldText, newText);
+    if (!ops) return null;
+
+    const prefixes = { equal: ' ', delete: '-', insert: '+' };
+    const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+    this.hunks(ops).forEach(hunk => {
+      output.push(hunk.header);
+      hunk.lines.forEach(line => output.push(prefixes[line.type] + line.text));
+    });
+    return output.join('\n');
+  }
+}
@@ -9,6 +9,7 @@ export class ToastManager {
   static TYPES = {
     SUCCESS: 'success',
     INFO: 'info',
+    WARNING: 'warning',
     ERROR: 'error'
   };
 
@@ -17,7 +18,7 @@ export class ToastManager {
   /**
    * Show toast notification
    * @param {string} message - Message to display
-   * @param {string} type - Toast type (success, info, error)
+   * @param {string} type - Toast type (success, info, warning, error)
    * @param {number} duration - Duration in milliseconds
    */
   static show(message, type = this.TYPES.SUCCESS, duration = this.DURATION) {
@@ -53,6 +54,14 @@ export class ToastManager {
     this.show(message, this.TYPES.INFO);
   }
 
+  /**
+   * Show warning toast
+   * @param {string} message - Warning message
+   */
+  static warning(message) {
+    this.show(message, this.TYPES.WARNING);
+  }
+
   /**
    * Show error toast
    * @param {string} message - Error message
@@ -34,6 +34,30 @@ export class URLManager {
     });
   }
 
+  /**
+   * Get current tab URL
+   * @returns {Promise<string|null>}
+   */
+  static async getCurrentURL() {
+    return new Promise((resolve) => {
+      chrome.tabs.query({active: true, currentWindow: true}, tabs => {
+        resolve(tabs[0]?.url || null);
+      });
+    });
+  }
+
+  /**
+   * Get current tab id
+   * @returns {Promise<number|null>}
+   */
+  static async getCurrentTabId() {
+    return new Promise((resolve) => {
+      chrome.tabs.query({active: true, currentWindow: true}, tabs => {
+        resolve(tabs[0]?.id ?? null);
+      });
+    });
+  }
+
   /**
    * Check if URL is a JavaScript file
    * @param {string} url - URL to check
@@ -0,0 +1,155 @@
+/**
+ * Workspace Manager Module
+ * Creates, switches, archives, deletes, exports and imports engagement workspaces
+ */
+
+import { FileDatabase } from './file-database.js';
+import { StorageManager } from './storage.js';
+
+export class WorkspaceManager {
+  static EXPORT_FORMAT = 'bugsniffer-workspace';
+  static EXPORT_VERSION = 1;
+
+  /**
+   * Get all workspaces
+   * @returns {Promise<Object[]>}
+   */
+  static async list() {
+    return StorageManager.getWorkspaces();
+  }
+
+  /**
+   * Get the active workspace
+   * @returns {Promise<{id: string, name: string, createdAt: number|null, archived: boolean}>}
+   */
+  static async getActive() {
+    const id = await StorageManager.ready();
+    const workspaces = await this.list();
+    return workspaces.find(workspace => workspace.id === id) || workspaces[0];
+  }
+
+  /**
+   * Create an empty workspace
+   * @param {string} name - Display name
+   * @returns {Promise<Object>} - The new workspace
+   */
+  static async create(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Workspace name is required');
+    }
+
+    const slug = trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 32) || 'workspace';
+    const workspace = {
+      id: `${slug}-${Date.now().toString(36)}`,
+      name: trimmed,
+      createdAt: Date.now(),
+      archived: false
+    };
+
+    const workspaces = await this.list();
+    await StorageManager.setWorkspaces([...workspaces, workspace]);
+    return workspace;
+  }
+
+  /**
+   * Make a workspace active; the service worker flushes pending writes and reloads its indexes
+   * @param {string} id - Workspace id
+   * @returns {Promise<void>}
+   */
+  static async switchTo(id) {
+    const response = await chrome.runtime.sendMessage({ type: 'SWITCH_WORKSPACE', id });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response');
+    }
+  }
+
+  /**
+   * Archive or restore a workspace; archived workspaces are hidden from the popup switcher
+   * @param {string} id - Workspace id
+   * @param {boolean} archived - Archive state
+   * @returns {Promise<void>}
+   */
+  static async setArchived(id, archived) {
+    if (archived && id === await StorageManager.ready()) {
+      throw new Error('Switch to another workspace before archiving this one');
+    }
+
+    const workspaces = await this.list();
+    await StorageManager.setWorkspaces(workspaces.map(workspace => (
+      workspace.id === id ? { ...workspace, archived } : workspace
+    )));
+  }
+
+  /**
+   * Delete a workspace and all its data
+   * @param {string} id - Workspace id
+   * @returns {Promise<void>}
+   */
+  static async remove(id) {
+    if (id === StorageManager.DEFAULT_WORKSPACE) {
+      throw new Error('The default workspace cannot be deleted');
+    }
+    if (id === await StorageManager.ready()) {
+      throw new Error('Switch to another workspace before deleting this one');
+    }
+
+    await FileDatabase.deleteDatabase(StorageManager.databaseName(id));
+    await StorageManager.removeWorkspaceStorage(id);
+
+    const workspaces = await this.list();
+    await StorageManager.setWorkspaces(workspaces.filter(workspace => workspace.id !== id));
+  }
+
+  /**
+   * Export a workspace with its files, archived contents, findings and settings
+   * @param {string} id - Workspace id
+   * @returns {Promise<Object>} - Portable export
+   */
+  static async export(id) {
+    const workspace = (await this.list()).find(item => item.id === id);
+    if (!workspace) {
+      throw new Error(`Unknown workspace: ${id}`);
+    }
+
+    return {
+      format: this.EXPORT_FORMAT,
+      version: this.EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      workspace: { name: workspace.name, createdAt: workspace.createdAt },
+      storage: await StorageManager.getWorkspaceStorage(id),
+      stores: await FileDatabase.exportStores(StorageManager.databaseName(id))
+    };
+  }
+
+  /**
+   * Import an exported workspace as a new workspace
+   * @param {Object} data - Parsed export
+   * @returns {Promise<Object>} - The new workspace
+   */
+  static async import(data) {
+    if (data?.format !== this.EXPORT_FORMAT || typeof data.stores !== 'object') {
+      throw new Error('Not a BugSniffer workspace export');
+    }
+    if (data.version > this.EXPORT_VERSION) {
+      throw new Error(`Workspace export version ${data.version} is newer than this extension supports`);
+    }
+
+    const names = new Set((await this.list()).map(workspace => workspace.name));
+    let name = data.workspace?.name || 'Imported workspace';
+    while (names.has(name)) {
+      name = `${name} (imported)`;
+    }
+
+    const workspace = await this.create(name);
+    try {
+      await FileDatabase.importStores(StorageManager.databaseName(workspace.id), data.stores);
+      await StorageManager.setWorkspaceStorage(workspace.id, data.storage || {});
+    } catch (error) {
+      await this.remove(workspace.id);
+      throw error;
+    }
+    return workspace;
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * ZIP Writer Module
+ * Builds uncompressed (stored) ZIP archives in memory
+ */
+
+export class ZipWriter {
+  static CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  constructor() {
+    this.entries = [];
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} path - Relative path inside the archive
+   * @param {string|Uint8Array} content - File content
+   */
+  addFile(path, content) {
+    const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+    this.entries.push({
+      name: this.encoder.encode(path),
+      data,
+      crc: ZipWriter.crc32(data)
+    });
+  }
+
+  /**
+   * Build the archive
+   * @returns {Blob}
+   */
+  toBlob() {
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+    const { time, date } = ZipWriter.dosDateTime(new Date());
+
+    for (const entry of this.entries) {
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true); // Local file header signature
+      local.setUint16(4, 20, true); // Version needed
+      local.setUint16(6, 0x0800, true); // UTF-8 filenames
+      local.setUint16(8, 0, true); // Stored, no compression
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, entry.crc, true);
+      local.setUint32(18, entry.data.length, true);
+      local.setUint32(22, entry.data.length, true);
+      local.setUint16(26, entry.name.length, true);
+      local.setUint16(28, 0, true);
+      parts.push(local, entry.name, entry.data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); // Central directory signature
+      central.setUint16(4, 20, true); // Version made by
+      central.setUint16(6, 20, true); // Version needed
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, entry.crc, true);
+      central.setUint32(20, entry.data.length, true);
+      central.setUint32(24, entry.data.length, true);
+      central.setUint16(28, entry.name.length, true);
+      central.setUint32(42, offset, true); // Local header offset
+      centralDirectory.push(central, entry.name);
+
+      offset += 30 + entry.name.length + entry.data.length;
+    }
+
+    const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+  }
+
+  /**
+   * CRC-32 of a byte array
+   * @param {Uint8Array} data - Bytes
+   * @returns {number}
+   */
+  static crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = ZipWriter.CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Convert a date to MS-DOS time/date fields
+   * @param {Date} value - Date
+   * @returns {{time: number, date: number}}
+   */
+  static dosDateTime(value) {
+    return {
+      time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+      date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+  }
+}
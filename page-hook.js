@@ -0,0 +1,90 @@
+// page-hook.js
+// Runs in the page's own world at document_start to see which script inserts which <script> element.
+// content.js can't observe this from its isolated world, so inserted scripts are reported to it through
+// DOM events carrying JSON strings (objects don't cross worlds).
+
+(function() {
+  const EVENT = 'bugsniffer:initiator';
+  const REQUEST_EVENT = 'bugsniffer:initiators-request';
+  const REPLAY_EVENT = 'bugsniffer:initiators';
+  const STACK_URL = /https?:\/\/[^\s()]+?(?=:\d+:\d+)/g;
+
+  const initiators = new Map(); // Inserted script URL -> {type, url} of what inserted it
+
+  // The script running the insertion: currentScript for classic scripts, the call stack otherwise
+  function getInitiator() {
+    const page = location.href.split('#')[0];
+    const current = document.currentScript;
+    if (current && current.src) {
+      return { type: 'script', url: current.src };
+    }
+
+    const callers = (new Error().stack || '').match(STACK_URL) || [];
+    const caller = callers[0];
+    if (!caller) return null;
+    // Inline code shows up with the document's own URL
+    return caller.split('#')[0] === page ? { type: 'inline', url: page } : { type: 'script', url: caller };
+  }
+
+  function record(script) {
+    if (!script.src || !script.src.startsWith('http') || initiators.has(script.src)) return;
+    const initiator = getInitiator();
+    if (!initiator || initiator.url === script.src) return;
+
+    initiators.set(script.src, initiator);
+    document.dispatchEvent(new CustomEvent(EVENT, { detail: JSON.stringify({ src: script.src, ...initiator }) }));
+  }
+
+  // Nodes that are already in the document are being moved, which doesn't run them again
+  function inspect(node) {
+    if (!node || typeof node !== 'object' || node.isConnected) return;
+    if (node.nodeType === 1 && node.tagName === 'SCRIPT') {
+      record(node);
+    } else if ((node.nodeType === 1 || node.nodeType === 11) && node.firstElementChild) {
+      node.querySelectorAll('script[src]').forEach(record);
+    }
+  }
+
+  function wrap(proto, name) {
+    const original = proto[name];
+    if (typeof original !== 'function') return;
+    Object.defineProperty(proto, name, {
+      configurable: true,
+      writable: true,
+      value: function(...args) {
+        try {
+          args.forEach(inspect);
+        } catch {
+          // Never break the page's own insertion
+        }
+        return original.apply(this, args);
+      }
+    });
+  }
+
+  ['appendChild', 'insertBefore', 'replaceChild'].forEach(name => wrap(Node.prototype, name));
+  ['append', 'prepend', 'before', 'after', 'replaceWith'].forEach(name => wrap(Element.prototype, name));
+  wrap(Element.prototype, 'insertAdjacentElement');
+
+  // A connected script that gets its src later is fetched at that point
+  const srcDescriptor = Object.getOwnPropertyDescriptor(HTMLScriptElement.prototype, 'src');
+  if (srcDescriptor && srcDescriptor.set) {
+    Object.defineProperty(HTMLScriptElement.prototype, 'src', {
+      ...srcDescriptor,
+      set(value) {
+        srcDescriptor.set.call(this, value);
+        try {
+          if (this.isConnected) record(this);
+        } catch {
+          // Never break the page's own assignment
+        }
+      }
+    });
+  }
+
+  // content.js starts at document_idle and asks for everything recorded before it was listening
+  document.addEventListener(REQUEST_EVENT, () => {
+    const entries = [...initiators].map(([src, initiator]) => ({ src, ...initiator }));
+    document.dispatchEvent(new CustomEvent(REPLAY_EVENT, { detail: JSON.stringify(entries) }));
+  });
+})();